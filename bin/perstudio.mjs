@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// perstudio balance | jobs | get <job> | gallery | gen "<intent>" — see `perstudio help`
+import { runCli } from "../index.mjs";
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -1,14 +1,18 @@
 /**
  * Perstudio API Plugin for OpenClaw — v3.2.1
  *
- * Modal serverless GPU: generate_sync / generate / run_workflow trigger
- * auto-scaling containers. Cold starts handled by comfyui_client retry.
+ * Modal serverless GPU: generate_sync / generate / generate_batch trigger
+ * auto-scaling containers. Cold starts (502/503) are retried by httpJson.
  * Containers auto-scale to zero after 5 min idle — no manual stop needed.
  */
 
-import { readFile, writeFile, appendFile, mkdir, access, realpath } from "node:fs/promises";
-import { basename, join, resolve } from "node:path";
+import { readFile, writeFile, appendFile, mkdir, readdir, realpath, rename, open, stat, unlink, copyFile } from "node:fs/promises";
+import { basename, dirname, extname, isAbsolute, join, resolve } from "node:path";
 import { tmpdir, homedir } from "node:os";
+import { randomUUID, createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { setTimeout as delay } from "node:timers/promises";
 
 // ── Helpers ──────────────────────────────────────────────
 
@@ -20,27 +24,102 @@ function errorResult(msg) {
   return { content: [{ type: "text", text: `Error: ${msg}` }], isError: true };
 }
 
-// Allowed directories for file operations (path traversal prevention)
+// Allowed directories for file operations (path traversal prevention),
+// unless the policy config replaces them
 const ALLOWED_FILE_DIRS = [
   join(tmpdir(), "perstudio"),
   join(homedir(), ".openclaw", "workspace"),
   join(homedir(), "Downloads"),
   join(homedir(), "Pictures"),
   join(homedir(), "Desktop"),
-  tmpdir(),
 ];
 
-async function validateFilePath(filePath) {
+const isInside = (path, dir) => path === dir || path.startsWith(dir.endsWith("/") ? dir : dir + "/");
+
+async function validateFilePath(filePath, policy = DEFAULT_POLICY) {
   const real = await realpath(filePath);
-  const allowed = ALLOWED_FILE_DIRS.some((dir) => real.startsWith(dir + "/") || real === dir);
-  if (!allowed) {
-    throw new Error(
-      "File path not allowed. Files must be in tmp/perstudio, workspace, Downloads, Pictures, or Desktop."
-    );
+  if (policy.deniedDirs.some((dir) => isInside(real, dir))) {
+    throw policyError("File path not allowed: that directory is blocked by the perstudio policy.");
+  }
+  if (!policy.allowedDirs.some((dir) => isInside(real, dir))) {
+    throw policyError(policy.allowedDirs === ALLOWED_FILE_DIRS
+      ? "File path not allowed. Files must be in tmp/perstudio, workspace, Downloads, Pictures, or Desktop."
+      : `File path not allowed. Files must be in ${policy.allowedDirs.map(tildePath).join(", ")}.`);
   }
   return real;
 }
 
+function tildePath(p) {
+  const home = homedir();
+  return isInside(p, home) ? "~" + p.slice(home.length) : p;
+}
+
+// Rejects with an AbortError when `signal` fires first
+const sleep = (ms, signal) => delay(ms, undefined, { signal });
+
+// AbortSignal.any, which Node 18 lacks
+function anySignal(...signals) {
+  const live = signals.filter(Boolean);
+  if (live.length < 2) return live[0];
+  if (AbortSignal.any) return AbortSignal.any(live);
+  const ctrl = new AbortController();
+  for (const s of live) {
+    if (s.aborted) {
+      ctrl.abort(s.reason);
+      break;
+    }
+    s.addEventListener("abort", () => ctrl.abort(s.reason), { once: true });
+  }
+  return ctrl.signal;
+}
+
+function localDay(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Write to a sibling temp file and rename over the target, so readers
+// never observe a half-written file.
+async function writeFileAtomic(filePath, data) {
+  await mkdir(dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, filePath);
+}
+
+const LOCK_STALE_MS = 30 * 1000;
+
+// Cross-process mutex via an exclusive lock file. A lock older than
+// LOCK_STALE_MS is assumed to belong to a crashed process and is broken.
+async function withFileLock(lockPath, fn, { timeoutMs = 15000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  await mkdir(dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      const fh = await open(lockPath, "wx");
+      await fh.close();
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      try {
+        const st = await stat(lockPath);
+        if (Date.now() - st.mtimeMs > LOCK_STALE_MS) {
+          await unlink(lockPath).catch(() => {});
+          continue;
+        }
+      } catch {
+        continue; // lock vanished between open and stat
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${basename(lockPath)}`);
+      await sleep(50);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await unlink(lockPath).catch(() => {});
+  }
+}
+
 function sanitizeError(detail) {
   const msg = typeof detail === "object" ? JSON.stringify(detail) : String(detail);
   if (/content policy|nsfw/i.test(msg))
@@ -49,81 +128,432 @@ function sanitizeError(detail) {
     return "Too many requests. Please wait a moment before trying again.";
   if (/insufficient token/i.test(msg))
     return "Insufficient token balance. Please purchase more tokens to continue.";
+  if (/bad gateway|service unavailable|gateway time-?out|temporarily unavailable/i.test(msg))
+    return "The generation service is starting up or busy. Please try again in a minute.";
   if (/timed? ?out/i.test(msg))
     return "Generation timed out. Please try again.";
   return "Generation failed. Please try a different prompt or try again later.";
 }
-async function mediaResult(summaryText, filePath, logger) {
-  const isVideo = filePath.endsWith('.mp4');
+async function thumbnailBlock(filePath, logger) {
+  // Only needed for the inline block, so it doesn't outlive the call
+  const tmpJpg = filePath.replace(/\.[^.]+$/, "_thumb.jpg");
+  try {
+    // Resize large images to stay under 5MB base64 limit (~3.7MB raw)
+    const { execFileSync } = await import("node:child_process");
+    try {
+      execFileSync(
+        "convert",
+        [`${filePath}[0]`, "-resize", "2048x2048>", "-quality", "85", tmpJpg],
+        { timeout: 10000 }
+      );
+    } catch {
+      // ImageMagick not available, try ffmpeg
+      execFileSync(
+        "ffmpeg",
+        ["-y", "-i", filePath, "-vf", "scale='min(2048,iw)':'min(2048,ih)':force_original_aspect_ratio=decrease", tmpJpg],
+        { timeout: 10000 }
+      );
+    }
+    const imgData = await readFile(tmpJpg);
+    return { type: "image", data: imgData.toString("base64"), mimeType: "image/jpeg" };
+  } catch (e) {
+    if (logger) logger.error("perstudio-api: failed to create thumbnail for content block: " + e.message);
+    // Fall back to just the MEDIA path without image block
+    return null;
+  } finally {
+    await unlink(tmpJpg).catch(() => {});
+  }
+}
+
+const VIDEO_STRIP_FRAMES = 4;
+
+// A poster frame and a one-row strip of evenly spaced frames, as image
+// blocks. Needs ffmpeg; without it the video is only referenced by path.
+async function videoPreviewBlocks(filePath, logger) {
+  if (!(await hasMediaTool("ffmpeg"))) return [];
+  const stem = filePath.replace(/\.[^.]+$/, "");
   const blocks = [];
+  const previews = [`${stem}_poster.jpg`, `${stem}_strip.jpg`];
+  try {
+    const duration = await probeDuration(filePath);
+    // A little way in: the first frame is often black or mid-fade
+    const poster = await processMedia({
+      operation: "extract_frame", inputs: [filePath], format: "jpg",
+      options: { time: Math.min(duration * 0.1, 1) }, outputPath: previews[0],
+    });
+    blocks.push({ type: "image", data: (await readFile(poster)).toString("base64"), mimeType: "image/jpeg" });
+    const strip = await processMedia({
+      operation: "contact_sheet", inputs: [filePath],
+      options: { columns: VIDEO_STRIP_FRAMES, rows: 1, width: 320 }, outputPath: previews[1],
+    });
+    blocks.push({ type: "image", data: (await readFile(strip)).toString("base64"), mimeType: "image/jpeg" });
+  } catch (e) {
+    logger?.error(`perstudio-api: video preview failed for ${basename(filePath)}: ${e.message}`);
+  } finally {
+    for (const p of previews) await unlink(p).catch(() => {});
+  }
+  return blocks;
+}
 
-  if (isVideo) {
-    blocks.push({ type: "text", text: summaryText + "\n\nFILE:" + filePath });
-  } else {
-    try {
-      // Resize large images to stay under 5MB base64 limit (~3.7MB raw)
-      const { execFileSync } = await import("node:child_process");
-      const tmpJpg = filePath.replace(/\.[^.]+$/, "_thumb.jpg");
-      try {
-        execFileSync(
-          "convert",
-          [filePath, "-resize", "2048x2048>", "-quality", "85", tmpJpg],
-          { timeout: 10000 }
-        );
-      } catch {
-        // ImageMagick not available, try ffmpeg
-        execFileSync(
-          "ffmpeg",
-          ["-y", "-i", filePath, "-vf", "scale='min(2048,iw)':'min(2048,ih)':force_original_aspect_ratio=decrease", tmpJpg],
-          { timeout: 10000 }
-        );
-      }
-      const imgData = await readFile(tmpJpg);
-      blocks.push({ type: "image", data: imgData.toString("base64"), mimeType: "image/jpeg" });
-    } catch (e) {
-      if (logger) logger.error("perstudio-api: failed to create thumbnail for content block: " + e.message);
-      // Fall back to just the MEDIA path without image block
+// Accepts a single path or an array of paths (multi-output generations).
+// Images get a thumbnail block each, videos a poster frame and a strip;
+// every file is listed as MEDIA:/FILE:.
+async function mediaResult(summaryText, filePaths, logger) {
+  const paths = Array.isArray(filePaths) ? filePaths : [filePaths];
+  const blocks = [];
+  const refs = [];
+
+  for (const filePath of paths) {
+    if (mediaTypeOf(filePath) === "video") {
+      blocks.push(...await videoPreviewBlocks(filePath, logger));
+      refs.push("FILE:" + filePath);
+      continue;
+    }
+    // Audio can't be previewed inline — reference the file only
+    if (mediaTypeOf(filePath) !== "image") {
+      refs.push("FILE:" + filePath);
+      continue;
     }
-    blocks.push({ type: "text", text: summaryText + "\n\nMEDIA:" + filePath });
+    const thumb = await thumbnailBlock(filePath, logger);
+    if (thumb) blocks.push(thumb);
+    refs.push("MEDIA:" + filePath);
   }
+  blocks.push({ type: "text", text: summaryText + "\n\n" + refs.join("\n") });
 
   return { content: blocks };
 }
 
+// ── Request retries ──────────────────────────────────────
+// Scaling-up containers answer 502/503 for a while before the first request
+// gets through, so idempotent requests are retried with exponential backoff
+// and jitter, honouring Retry-After. POSTs are only retried when they carry
+// an Idempotency-Key, so a retried generation is never charged twice.
+
+const HTTP_MAX_ATTEMPTS = 6;
+const HTTP_RETRY_BASE_MS = 1000;
+const HTTP_RETRY_MAX_MS = 20 * 1000;
+const RETRY_AFTER_MAX_MS = 60 * 1000;
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const COLD_START_STATUSES = [502, 503];
+// Connection dropped mid-request; a refused connection or failed DNS lookup
+// won't fix itself within a backoff window.
+const RETRYABLE_NET_CODES = ["ECONNRESET", "EPIPE", "ETIMEDOUT", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+// After BREAKER_THRESHOLD consecutive requests to a host end in upstream
+// failure (retries exhausted), calls fail fast for BREAKER_OPEN_MS. The first
+// call after the window is let through; another failure reopens it.
+const BREAKER_THRESHOLD = 3;
+const BREAKER_OPEN_MS = 30 * 1000;
+const breakers = new Map();
+
+function breakerFor(url) {
+  const origin = new URL(url).origin;
+  if (!breakers.has(origin)) breakers.set(origin, { failures: 0, openUntil: 0 });
+  return breakers.get(origin);
+}
+
+function circuitOpenError(breaker) {
+  const err = new Error(`Service temporarily unavailable after repeated failures; retry in ${Math.ceil((breaker.openUntil - Date.now()) / 1000)}s`);
+  err.name = "CircuitOpenError";
+  return err;
+}
+
+function retryDelay(attempt, res) {
+  const header = res?.headers.get("retry-after");
+  if (header) {
+    const secs = Number(header);
+    const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(header) - Date.now();
+    if (Number.isFinite(ms)) return Math.max(ms, 0);
+  }
+  const ceiling = Math.min(HTTP_RETRY_BASE_MS * 2 ** (attempt - 1), HTTP_RETRY_MAX_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function isRetryableNetError(err) {
+  const code = err?.cause?.code || err?.code;
+  return RETRYABLE_NET_CODES.includes(code);
+}
 
+// Resolves with { status, ok, data, retries, coldStartMs }; errors thrown
+// after retries carry the same `retries` / `coldStartMs` counters.
+// `signal` defaults to the cancellation signal of the tool call in scope;
+// an abort is never retried and doesn't count against the breaker.
 async function httpJson(url, options = {}) {
-  const { method = "GET", headers = {}, body, timeoutMs } = options;
+  const { method = "GET", headers = {}, body, timeoutMs, idempotencyKey, signal = callSignal() } = options;
   const opts = { method, headers: { ...headers } };
-  if (body !== undefined) {
+  // FormData sets its own multipart Content-Type and is re-encoded per attempt
+  if (body instanceof FormData) {
+    opts.body = body;
+  } else if (body !== undefined) {
     opts.headers["Content-Type"] = "application/json";
     opts.body = JSON.stringify(body);
   }
-  if (timeoutMs) {
-    opts.signal = AbortSignal.timeout(timeoutMs);
+  if (idempotencyKey) opts.headers["Idempotency-Key"] = idempotencyKey;
+  const retryable = method === "GET" || method === "HEAD" || Boolean(idempotencyKey);
+  const breaker = breakerFor(url);
+  const stats = { retries: 0, coldStartMs: 0 };
+
+  for (let attempt = 1; ; attempt++) {
+    if (breaker.openUntil > Date.now()) {
+      noteHttp(null, stats);
+      throw Object.assign(circuitOpenError(breaker), stats);
+    }
+    let res;
+    try {
+      signal?.throwIfAborted();
+      opts.signal = anySignal(signal, timeoutMs && AbortSignal.timeout(timeoutMs));
+      res = await fetch(url, opts);
+    } catch (err) {
+      if (retryable && isRetryableNetError(err) && attempt < HTTP_MAX_ATTEMPTS) {
+        await sleep(retryDelay(attempt), signal);
+        stats.retries++;
+        continue;
+      }
+      if (!signal?.aborted && err.name !== "TimeoutError" && err.name !== "AbortError") {
+        if (++breaker.failures >= BREAKER_THRESHOLD) breaker.openUntil = Date.now() + BREAKER_OPEN_MS;
+      }
+      noteHttp(null, stats);
+      throw Object.assign(err, stats);
+    }
+
+    if (retryable && RETRYABLE_STATUSES.includes(res.status) && attempt < HTTP_MAX_ATTEMPTS) {
+      const delay = retryDelay(attempt, res);
+      if (delay <= RETRY_AFTER_MAX_MS) {
+        await res.body?.cancel().catch(() => {});
+        await sleep(delay, signal);
+        stats.retries++;
+        if (COLD_START_STATUSES.includes(res.status)) stats.coldStartMs += delay;
+        continue;
+      }
+    }
+
+    if (res.status >= 502 && res.status <= 504) {
+      if (++breaker.failures >= BREAKER_THRESHOLD) breaker.openUntil = Date.now() + BREAKER_OPEN_MS;
+    } else {
+      breaker.failures = 0;
+    }
+    const resText = await res.text();
+    let data;
+    try {
+      data = JSON.parse(resText);
+    } catch {
+      data = resText;
+    }
+    noteHttp(res.status, stats);
+    return { status: res.status, ok: res.ok, data, ...stats };
   }
-  const res = await fetch(url, opts);
-  const resText = await res.text();
-  let data;
+}
+
+// Suffix for execute's log lines
+function retryLog(r) {
+  return ` retries=${r?.retries || 0}${r?.coldStartMs ? ` cold_start_wait=${r.coldStartMs}ms` : ""}`;
+}
+
+// ── Constants ────────────────────────────────────────────
+
+const PLUGIN_VERSION = "3.2.1";
+const DEFAULT_BASE_URL = "https://api.perstudio.ai";
+const SYNC_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const OUT_DIR = join(tmpdir(), "perstudio");
+// Durable plugin state (survives reboots, unlike OUT_DIR)
+const STATE_DIR = join(homedir(), ".openclaw", "perstudio");
+
+// ── Configuration ────────────────────────────────────────
+
+const PLUGIN_ID = "perstudio";
+
+// Latest plugin config. The host's live loader is tried first so values
+// changed with `openclaw config set` apply without restarting the gateway.
+function readPluginConfig(api) {
   try {
-    data = JSON.parse(resText);
+    const live = api.runtime?.config?.loadConfig?.();
+    const entry = live?.plugins?.entries?.[PLUGIN_ID]?.config;
+    if (entry) return entry;
   } catch {
-    data = resText;
+    // Fall through to the config captured at registration
   }
-  return { status: res.status, ok: res.ok, data };
+  return api.pluginConfig || api.config?.plugins?.entries?.[PLUGIN_ID]?.config || {};
 }
 
-// ── Constants ────────────────────────────────────────────
+function envProfileKey(name) {
+  return process.env[`PERSTUDIO_API_KEY_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`];
+}
 
-const BASE_URL = process.env.PERSTUDIO_BASE_URL || "https://api.perstudio.ai";
-const SYNC_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+// Resolve where and as whom to call the API. Precedence: named profile
+// (per-call `profile` arg, else `defaultProfile`), then top-level plugin
+// config, then PERSTUDIO_* environment variables. A selected profile never
+// borrows the top-level key, so a team call can't silently bill a personal key.
+function resolveConnection(config, profileName) {
+  const profiles = config.profiles || {};
+  const name = profileName || config.defaultProfile || null;
+  let apiKey;
+  let baseUrl;
+  if (name) {
+    const profile = profiles[name];
+    if (!profile) {
+      const known = Object.keys(profiles);
+      throw new Error(`Unknown profile '${name}'.${known.length ? ` Available: ${known.join(", ")}` : " No profiles are configured."}`);
+    }
+    apiKey = profile.apiKey || envProfileKey(name);
+    baseUrl = profile.baseUrl;
+  } else {
+    apiKey = config.apiKey || process.env.PERSTUDIO_API_KEY;
+  }
+  baseUrl = baseUrl || config.baseUrl || process.env.PERSTUDIO_BASE_URL || DEFAULT_BASE_URL;
+  return {
+    profile: name,
+    baseUrl: baseUrl.replace(/\/+$/, ""),
+    headers: apiKey ? { "X-API-Key": apiKey } : null,
+  };
+}
+
+// ── Policy ───────────────────────────────────────────────
+//
+// Admin limits from the `policy` config section: which actions and
+// generation categories are available, where file arguments may point, how
+// large an upload may be, and prompts refused before anything is sent.
+// The section is checked at load and on every call; while it is invalid
+// the tool refuses to run rather than fall back to looser defaults.
+
+const POLICY_FIELDS = [
+  "allowedActions", "deniedActions", "allowedCategories",
+  "allowedDirs", "deniedDirs", "maxUploadMB", "promptBlocklist",
+];
+
+const DEFAULT_POLICY = Object.freeze({
+  allowedActions: null,
+  deniedActions: new Set(),
+  allowedCategories: null,
+  allowedDirs: ALLOWED_FILE_DIRS,
+  deniedDirs: [],
+  maxUploadBytes: null,
+  blocklist: [],
+});
+
+function policyError(message) {
+  const err = new Error(message);
+  err.name = "PolicyError";
+  return err;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Blocklist entries are words or phrases matched case-insensitively on
+// word boundaries, or /regex/flags for anything more specific.
+function blocklistPattern(entry) {
+  const re = /^\/(.+)\/([a-z]*)$/.exec(entry);
+  if (re) return new RegExp(re[1], re[2].replace(/[gy]/g, "")); // exec() must not keep state
+  return new RegExp(`(?<!\\w)${escapeRegExp(entry.trim()).replace(/\s+/g, "\\s+")}(?!\\w)`, "i");
+}
+
+// `~`-relative or absolute directory → absolute path, else null
+function policyDir(dir) {
+  const expanded = dir === "~" ? homedir() : dir.startsWith("~/") ? join(homedir(), dir.slice(2)) : dir;
+  return isAbsolute(expanded) ? resolve(expanded) : null;
+}
+
+// Validate and compile the `policy` config section. Every problem is
+// collected so one load-time log line lists them all.
+function compilePolicy(raw) {
+  if (raw === undefined || raw === null) return DEFAULT_POLICY;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw policyError("Invalid policy: must be an object");
+  const problems = [];
+  const list = (key) => {
+    const value = raw[key];
+    if (value === undefined) return null;
+    if (!Array.isArray(value) || !value.every((v) => typeof v === "string" && v.trim())) {
+      problems.push(`'${key}' must be an array of non-empty strings`);
+      return null;
+    }
+    return value;
+  };
+  const known = (key, names, kind) => {
+    const values = list(key);
+    const unknown = (values || []).filter((v) => !names.includes(v));
+    if (unknown.length) problems.push(`'${key}' has unknown ${kind}(s): ${unknown.join(", ")}`);
+    return values && new Set(values);
+  };
+  const dirs = (key) => {
+    const values = list(key);
+    if (!values) return null;
+    const resolved = values.map(policyDir);
+    const bad = values.filter((_, i) => !resolved[i]);
+    if (bad.length) problems.push(`'${key}' entries must be absolute or ~/ paths: ${bad.join(", ")}`);
+    return resolved.filter(Boolean);
+  };
+
+  for (const key of Object.keys(raw)) {
+    if (!POLICY_FIELDS.includes(key)) problems.push(`unknown setting '${key}'`);
+  }
+  const policy = {
+    allowedActions: known("allowedActions", ACTIONS, "action"),
+    deniedActions: known("deniedActions", ACTIONS, "action") || new Set(),
+    allowedCategories: known("allowedCategories", Object.keys(DEFAULT_PRICING), "category"),
+    allowedDirs: DEFAULT_POLICY.allowedDirs,
+    deniedDirs: dirs("deniedDirs") || [],
+    maxUploadBytes: null,
+    blocklist: [],
+  };
+  const allowedDirs = dirs("allowedDirs");
+  if (allowedDirs) {
+    if (!allowedDirs.length) problems.push("'allowedDirs' must list at least one directory");
+    // The plugin's own output folder stays usable so results can be post-processed and shared
+    policy.allowedDirs = [...new Set([OUT_DIR, ...allowedDirs])];
+  }
+  if (raw.maxUploadMB !== undefined) {
+    if (typeof raw.maxUploadMB === "number" && raw.maxUploadMB > 0) policy.maxUploadBytes = Math.floor(raw.maxUploadMB * 1024 * 1024);
+    else problems.push("'maxUploadMB' must be a positive number");
+  }
+  for (const entry of list("promptBlocklist") || []) {
+    try {
+      policy.blocklist.push({ entry, pattern: blocklistPattern(entry) });
+    } catch (e) {
+      problems.push(`'promptBlocklist' entry ${entry} is not a valid regular expression (${e.message})`);
+    }
+  }
+  if (problems.length) throw policyError(`Invalid policy: ${problems.join("; ")}`);
+  return policy;
+}
+
+function actionDenial(policy, action) {
+  if (policy.deniedActions.has(action) || (policy.allowedActions && !policy.allowedActions.has(action))) {
+    return `The '${action}' action is turned off by the perstudio policy for this workspace.`;
+  }
+  return null;
+}
+
+// Uses the same local category guess as the spend estimate
+function categoryDenial(policy, args) {
+  if (!policy.allowedCategories) return null;
+  const wanted = [classifyIntent(args)];
+  if (args.auto_upscale && !["upscale", "video", "tts"].includes(wanted[0])) wanted.push("upscale");
+  const blocked = wanted.find((c) => !policy.allowedCategories.has(c));
+  if (!blocked) return null;
+  return `${blocked.replace(/_/g, " ")} generations are not allowed by the perstudio policy. ` +
+    `Allowed: ${[...policy.allowedCategories].join(", ").replace(/_/g, " ")}.`;
+}
+
+function promptDenial(policy, intent) {
+  for (const { pattern } of policy.blocklist) {
+    const hit = pattern.exec(String(intent || ""));
+    if (hit) return `The request contains "${hit[0]}", which the perstudio policy blocks. Rephrase it without that term.`;
+  }
+  return null;
+}
+
+function uploadSizeDenial(policy, bytes) {
+  if (!policy.maxUploadBytes || bytes <= policy.maxUploadBytes) return null;
+  const mb = (n) => `${Math.round((n / (1024 * 1024)) * 10) / 10} MB`;
+  return `The file is ${mb(bytes)}; the perstudio policy allows uploads up to ${mb(policy.maxUploadBytes)}.`;
+}
 
 // ── Pod lifecycle (Modal: simplified) ────────────────────
 
-async function ensurePodRunning(hdrs, logger) {
+async function ensurePodRunning(conn, logger) {
   // With Modal, we just check if the endpoint is configured and reachable.
-  // Cold starts (502/503) are handled by comfyui_client's retry logic.
+  // Cold starts (502/503) are retried with backoff by httpJson.
   // No need for a poll loop — the first real request will wake the container.
-  const status = await httpJson(`${BASE_URL}/pod/status`, { headers: hdrs });
+  const status = await httpJson(`${conn.baseUrl}/pod/status`, { headers: conn.headers });
   if (status.ok && status.data?.status === "running") {
     return { ready: true, alreadyRunning: true };
   }
@@ -147,174 +577,4054 @@ const MIME_EXT = {
   "image/jpeg": "jpg",
   "image/webp": "webp",
   "image/gif": "gif",
+  "image/avif": "avif",
   "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "audio/wav": "wav",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+  "audio/vnd.wave": "wav",
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/aac": "m4a",
+  "audio/ogg": "ogg",
+  "audio/flac": "flac",
+  "audio/x-flac": "flac",
 };
 
+// Identify a file from its leading bytes. Returns a MIME type, or null when
+// the content is not a format the API accepts.
+function sniffMime(buf) {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+  if (buf[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (ascii(0, 4) === "fLaC") return "audio/flac";
+  if (ascii(0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return "video/webm"; // EBML (WebM/Matroska)
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "avif" || brand === "avis") return "image/avif";
+    if (brand.startsWith("M4A") || brand.startsWith("M4B")) return "audio/mp4";
+    if (brand === "qt  ") return "video/quicktime";
+    return "video/mp4";
+  }
+  // Older QuickTime files start straight with an atom instead of ftyp
+  if (["moov", "mdat", "wide", "free"].includes(ascii(4, 8))) return "video/quicktime";
+  return null;
+}
+
+function baseMime(contentType) {
+  return String(contentType || "").split(";")[0].trim().toLowerCase();
+}
+
 const MAX_DOWNLOAD_BYTES = 500 * 1024 * 1024; // 500 MB
 
-async function downloadAsset(assetId, jobId, hdrs) {
-  const res = await fetch(
-    `${BASE_URL}/assets/${encodeURIComponent(assetId)}`,
-    { headers: { "X-API-Key": hdrs["X-API-Key"] } }
-  );
-  if (!res.ok) throw new Error(`Asset download failed: HTTP ${res.status}`);
+const MAX_OUTPUTS = 16;
 
-  // Check Content-Length header before downloading full body
-  const clHeader = res.headers.get("content-length");
-  if (clHeader && parseInt(clHeader, 10) > MAX_DOWNLOAD_BYTES) {
-    throw new Error(`Asset too large: ${clHeader} bytes exceeds ${MAX_DOWNLOAD_BYTES / (1024*1024)}MB limit`);
-  }
+const DOWNLOAD_ATTEMPTS = 4;
+const DOWNLOAD_RETRY_BASE_MS = 1000;
 
-  const contentType = res.headers.get("content-type") || "image/png";
-  const ext = MIME_EXT[contentType] || "png";
-  const buffer = Buffer.from(await res.arrayBuffer());
-  if (buffer.length > MAX_DOWNLOAD_BYTES) {
-    throw new Error(`Asset too large: ${buffer.length} bytes exceeds ${MAX_DOWNLOAD_BYTES / (1024*1024)}MB limit`);
-  }
+// Errors that retrying can't fix (size limits, 4xx, checksum mismatch)
+function fatalDownloadError(message) {
+  const err = new Error(message);
+  err.fatal = true;
+  return err;
+}
 
-  const outDir = join(tmpdir(), "perstudio");
-  await mkdir(outDir, { recursive: true });
-  const outPath = join(outDir, `${jobId}.${ext}`);
-  await writeFile(outPath, buffer);
-  return outPath;
+function tooLarge(bytes) {
+  return fatalDownloadError(`Asset too large: ${bytes} bytes exceeds ${MAX_DOWNLOAD_BYTES / (1024*1024)}MB limit`);
 }
 
-// ── Memory persistence ───────────────────────────────────
+function overBudget() {
+  return fatalDownloadError(`Combined outputs exceed ${MAX_DOWNLOAD_BYTES / (1024*1024)}MB limit`);
+}
 
-const GALLERY_DIR = join(homedir(), ".openclaw", "workspace", "memory");
-const GALLERY_PATH = join(GALLERY_DIR, "perstudio-gallery.md");
-const GALLERY_HEADER = "## Perstudio Gallery\n\nGenerated images and videos from perstudio workflows.\n\n";
+function safeFileName(s) {
+  return String(s).replace(/[^\w.-]+/g, "_").replace(/^\.+/, "").slice(0, 80) || "asset";
+}
+
+// Checksums the server may advertise, normalized to { algo, digest(hex) }.
+function expectedChecksum(headers) {
+  const fromB64 = (v) => Buffer.from(v, "base64").toString("hex");
+  const sha = headers.get("x-checksum-sha256");
+  if (sha) return { algo: "sha256", digest: /^[a-f0-9]{64}$/i.test(sha) ? sha.toLowerCase() : fromB64(sha) };
+  const digest = headers.get("repr-digest") || headers.get("digest");
+  const m = /sha-256=:?([A-Za-z0-9+/=]+):?/i.exec(digest || "");
+  if (m) return { algo: "sha256", digest: fromB64(m[1]) };
+  const md5 = headers.get("content-md5");
+  if (md5) return { algo: "md5", digest: fromB64(md5) };
+  return null;
+}
+
+// Stream an asset to a temp file and rename it into place when complete.
+// Network drops resume with an HTTP Range request (or restart if the server
+// ignores it) with exponential backoff; size and, when advertised, checksum
+// are verified before the file becomes visible. `budget` is shared between
+// concurrent downloads of one job so MAX_DOWNLOAD_BYTES also caps the
+// combined output size. An aborted `signal` stops the download for good.
+async function downloadAsset(assetId, jobId, conn, { budget, signal = callSignal() } = {}) {
+  const url = `${conn.baseUrl}/assets/${encodeURIComponent(assetId)}`;
+  await mkdir(OUT_DIR, { recursive: true });
+  const baseName = `${safeFileName(jobId)}_${safeFileName(assetId)}`;
+  const partPath = join(OUT_DIR, `.${baseName}.${randomUUID().slice(0, 8)}.part`);
+
+  let received = 0;
+  let expectedTotal = null;
+  let contentType = "";
+  let checksum = null;
+  let hash = null;
+  let head = Buffer.alloc(0);
+  const fh = await open(partPath, "w");
+
+  const restart = async () => {
+    await fh.truncate(0);
+    if (budget) budget.remaining += received;
+    received = 0;
+    head = Buffer.alloc(0);
+    hash = checksum ? createHash(checksum.algo) : null;
+  };
 
-async function persistToMemory({ intent, workflowName, jobId, assetId, filePath, logger }) {
   try {
-    await mkdir(GALLERY_DIR, { recursive: true });
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const headers = { "X-API-Key": conn.headers["X-API-Key"] };
+        if (received > 0) headers.Range = `bytes=${received}-`;
+        const res = await fetch(url, { headers, signal });
 
-    try {
-      await access(GALLERY_PATH);
-    } catch {
-      await writeFile(GALLERY_PATH, GALLERY_HEADER);
+        if (!res.ok) {
+          const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+          const msg = `Asset download failed: HTTP ${res.status}`;
+          throw retryable ? new Error(msg) : fatalDownloadError(msg);
+        }
+        if (received > 0 && res.status !== 206) {
+          // Server ignored the Range header — start over from byte 0
+          await restart();
+        }
+
+        if (received === 0) {
+          contentType = baseMime(res.headers.get("content-type"));
+          checksum = expectedChecksum(res.headers);
+          hash = checksum ? createHash(checksum.algo) : null;
+          // Check Content-Length header before downloading the body
+          const cl = parseInt(res.headers.get("content-length") || "", 10);
+          if (cl > MAX_DOWNLOAD_BYTES) throw tooLarge(cl);
+          if (cl && budget && cl > budget.remaining) throw overBudget();
+          expectedTotal = cl || null;
+        } else {
+          const total = /\/(\d+)\s*$/.exec(res.headers.get("content-range") || "");
+          if (total) expectedTotal = Number(total[1]);
+        }
+
+        for await (const chunk of res.body) {
+          received += chunk.length;
+          if (received > MAX_DOWNLOAD_BYTES) throw tooLarge(received);
+          if (budget) {
+            budget.remaining -= chunk.length;
+            if (budget.remaining < 0) throw overBudget();
+          }
+          if (head.length < 16) head = Buffer.concat([head, chunk.subarray(0, 16 - head.length)]);
+          hash?.update(chunk);
+          await fh.write(chunk, 0, chunk.length, received - chunk.length);
+        }
+        if (expectedTotal !== null && received < expectedTotal) {
+          throw new Error(`Download interrupted at ${received}/${expectedTotal} bytes`);
+        }
+        break;
+      } catch (e) {
+        if (e.fatal || signal?.aborted || attempt >= DOWNLOAD_ATTEMPTS) throw e;
+        await sleep(DOWNLOAD_RETRY_BASE_MS * 2 ** (attempt - 1), signal);
+      }
     }
 
-    const now = new Date();
-    const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")} ${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
-    const desc = intent ? `"${intent}"` : "(direct workflow run)";
-    const wf = workflowName ? ` → ${workflowName}` : "";
-    const entry = `- ${ts} — ${desc}${wf}, job ${jobId}, asset ${assetId}, saved ${filePath}\n`;
-    await appendFile(GALLERY_PATH, entry);
-    logger.info(`perstudio-api: gallery entry written for job ${jobId}`);
-  } catch (err) {
-    logger.error(`perstudio-api: persistToMemory failed: ${err.message}`);
+    if (expectedTotal !== null && received !== expectedTotal) {
+      throw fatalDownloadError(`Asset size mismatch: got ${received} bytes, expected ${expectedTotal}`);
+    }
+    if (checksum && hash.digest("hex") !== checksum.digest) {
+      throw fatalDownloadError(`Asset ${checksum.algo} checksum mismatch`);
+    }
+    await fh.close();
+
+    // Trust a known Content-Type; otherwise (missing, generic octet-stream)
+    // look at the bytes so audio and video aren't saved as .png
+    const ext = MIME_EXT[contentType] || MIME_EXT[sniffMime(head)] || "png";
+    const outPath = join(OUT_DIR, `${baseName}.${ext}`);
+    await rename(partPath, outPath);
+    return outPath;
+  } catch (e) {
+    // Give this asset's share of the combined limit back to the others
+    if (budget) budget.remaining += received;
+    await fh.close().catch(() => {});
+    await unlink(partPath).catch(() => {});
+    throw e;
   }
 }
 
-// ── Catbox image hosting ─────────────────────────────────
+// Output assets come back as plain ids or { asset_id | id } objects
+// under either `output_assets` or `outputs`.
+function extractAssetIds(data) {
+  const assets = data?.output_assets || data?.outputs;
+  if (!Array.isArray(assets)) return [];
+  return assets
+    .map((a) => (typeof a === "string" ? a : (a?.asset_id || a?.id)))
+    .filter(Boolean);
+}
 
-const CATBOX_URL = "https://catbox.moe/user/api.php";
+// Download every output concurrently. Failed assets are logged and
+// skipped; the caller decides what to do when nothing came through.
+// `provenance` (intent, palette, inputs) is embedded into each file after
+// download; pass null to skip. Embedding failures never fail the download.
+// Rejects with the abort reason when `signal` fires.
+async function downloadAssets(assetIds, jobId, conn, logger, { provenance = null, signal = callSignal() } = {}) {
+  const budget = { remaining: MAX_DOWNLOAD_BYTES };
+  const settled = await Promise.allSettled(
+    assetIds.map((assetId) => downloadAsset(assetId, jobId, conn, { budget, signal }))
+  );
+  if (signal?.aborted) {
+    await Promise.all(settled.map((r) => r.status === "fulfilled" && unlink(r.value).catch(() => {})));
+    signal.throwIfAborted();
+  }
+  const files = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") {
+      files.push({ assetId: assetIds[i], filePath: r.value });
+    } else {
+      logger.error(`perstudio-api: asset download failed (${i + 1}/${assetIds.length}): ${r.reason?.message}`);
+    }
+  });
+  if (provenance) {
+    for (const f of files) {
+      try {
+        const written = await embedProvenance(f.filePath, buildProvenance({ ...provenance, jobId, assetId: f.assetId }));
+        if (!written) logger.info(`perstudio-api: provenance not embedded in ${basename(f.filePath)} (unsupported format)`);
+      } catch (e) {
+        logger.error(`perstudio-api: provenance embed failed for ${basename(f.filePath)}: ${e.message}`);
+      }
+    }
+  }
+  return files;
+}
 
-async function uploadToCatbox(filePath) {
-  const fileData = await readFile(filePath);
-  const fileName = basename(filePath);
-  const formData = new FormData();
-  formData.append("reqtype", "fileupload");
-  formData.append("fileToUpload", new Blob([fileData]), fileName);
-  const res = await fetch(CATBOX_URL, { method: "POST", body: formData });
-  const url = await res.text();
-  if (!res.ok || !url.startsWith("http")) {
-    throw new Error(`Catbox upload failed: ${res.status} ${url}`);
+// ── Media post-processing ────────────────────────────────
+
+const PROCESS_OPERATIONS = [
+  "resize", "crop", "convert", "strip_metadata",
+  "video_to_gif", "extract_frame", "contact_sheet",
+];
+const OUTPUT_FORMATS = ["png", "jpg", "webp", "avif", "gif"];
+const MAX_PROCESS_SIDE = 8192;
+const MAX_GIF_SECONDS = 30;
+
+function positiveInt(value, label, max = MAX_PROCESS_SIDE) {
+  if (value === undefined) return undefined;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`'${label}' must be an integer between 1 and ${max}`);
   }
-  return url.trim();
+  return value;
 }
 
-// ── Moltbook posting ─────────────────────────────────────
+function secondsArg(value, label, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new Error(`'${label}' must be a number of seconds`);
+  }
+  return value;
+}
 
-const MOLTBOOK_BASE = "https://www.moltbook.com/api/v1";
+// "16:9" -> 1.777...
+function parseAspect(aspect) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(aspect));
+  if (!m || !Number(m[1]) || !Number(m[2])) throw new Error(`Invalid aspect ratio: ${aspect}`);
+  return Number(m[1]) / Number(m[2]);
+}
+
+// Crop box in pixels: either explicit x/y/width/height (pixels or "%"), or
+// the largest centered box with the requested aspect ratio.
+function cropBox(opts, size) {
+  if (opts.aspect) {
+    const ratio = parseAspect(opts.aspect);
+    let width = size.width;
+    let height = Math.round(width / ratio);
+    if (height > size.height) {
+      height = size.height;
+      width = Math.round(height * ratio);
+    }
+    return { x: Math.floor((size.width - width) / 2), y: Math.floor((size.height - height) / 2), width, height };
+  }
+  const box = {
+    x: maskCoord(opts.x ?? 0, size.width, "x"),
+    y: maskCoord(opts.y ?? 0, size.height, "y"),
+    width: maskCoord(opts.width ?? size.width, size.width, "width"),
+    height: maskCoord(opts.height ?? size.height, size.height, "height"),
+  };
+  if (box.x < 0 || box.y < 0 || box.width < 1 || box.height < 1 ||
+      box.x + box.width > size.width || box.y + box.height > size.height) {
+    throw new Error(`Crop box ${box.width}x${box.height}+${box.x}+${box.y} is outside the ${size.width}x${size.height} image`);
+  }
+  return box;
+}
 
-async function postToMoltbook({ title, content, submolt, url, logger }) {
-  const apiKey = process.env.MOLTBOOK_API_KEY;
-  if (!apiKey) throw new Error("MOLTBOOK_API_KEY not configured");
+function outputPathFor(inputPath, operation, ext) {
+  const stem = safeFileName(basename(inputPath, extname(inputPath)));
+  return join(OUT_DIR, `${stem}_${operation}_${randomUUID().slice(0, 6)}.${ext}`);
+}
 
-  const attribution = "\n\n*image by [perstudio.ai](https://perstudio.ai)*";
-  const body = { title, submolt_name: submolt || "general" };
-  body.content = (content || "") + attribution;
-  if (url) body.url = url;
+const isVideoPath = (p) => mediaTypeOf(p) === "video";
 
-  const res = await fetch(`${MOLTBOOK_BASE}/posts`, {
+// Build and run one post-processing step. ImageMagick handles still images
+// when installed, with ffmpeg as the fallback; video steps need ffmpeg.
+async function processMedia({ operation, inputs, format, options = {}, outputPath }) {
+  if (!PROCESS_OPERATIONS.includes(operation)) {
+    throw new Error(`'operation' must be one of: ${PROCESS_OPERATIONS.join(", ")}`);
+  }
+  if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`'format' must be one of: ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  const input = inputs[0];
+  const [im, ff] = await Promise.all([hasMediaTool("convert"), hasMediaTool("ffmpeg")]);
+  if (!im && !ff) throw new Error("Media processing needs ImageMagick (convert) or ffmpeg installed");
+  const needFfmpeg = () => {
+    if (!ff) throw new Error(`'${operation}' on video needs ffmpeg installed`);
+  };
+  const inExt = extname(input).slice(1).toLowerCase() === "jpeg" ? "jpg" : extname(input).slice(1).toLowerCase();
+  const ext = format || {
+    video_to_gif: "gif",
+    extract_frame: "png",
+    contact_sheet: "jpg",
+  }[operation] || (isVideoPath(input) ? "png" : inExt || "png");
+  await mkdir(OUT_DIR, { recursive: true });
+  const out = outputPath || outputPathFor(input, operation, ext);
+
+  // Flatten onto white when going to a format without alpha
+  const flatten = ext === "jpg" ? ["-background", "white", "-alpha", "remove", "-alpha", "off"] : [];
+  const quality = options.quality !== undefined ? ["-quality", String(positiveInt(options.quality, "quality", 100))] : [];
+  const ffQuality = options.quality !== undefined ? ["-q:v", String(Math.max(1, Math.round(31 - (positiveInt(options.quality, "quality", 100) / 100) * 30)))] : [];
+
+  switch (operation) {
+    case "resize": {
+      const width = positiveInt(options.width, "width");
+      const height = positiveInt(options.height, "height");
+      if (!width && !height) throw new Error("resize needs 'width' and/or 'height'");
+      const fit = options.fit || "contain";
+      if (!["contain", "cover", "fill"].includes(fit)) throw new Error("'fit' must be contain, cover or fill");
+      if (fit !== "contain" && !(width && height)) throw new Error(`fit '${fit}' needs both 'width' and 'height'`);
+      if (im && !isVideoPath(input)) {
+        const geom = `${width || ""}x${height || ""}`;
+        const cmd = [`${input}[0]`];
+        if (fit === "cover") cmd.push("-resize", `${geom}^`, "-gravity", "center", "-extent", geom);
+        else cmd.push("-resize", fit === "fill" ? `${geom}!` : geom);
+        await runMediaTool("convert", [...cmd, ...flatten, ...quality, out]);
+      } else {
+        needFfmpeg();
+        const w = width || -2;
+        const h = height || -2;
+        const vf = fit === "cover"
+          ? `scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}`
+          : fit === "fill" || !(width && height)
+            ? `scale=${w}:${h}`
+            : `scale=${w}:${h}:force_original_aspect_ratio=decrease`;
+        await runMediaTool("ffmpeg", ["-y", "-i", input, "-vf", vf, ...(isVideoPath(input) ? [] : ["-frames:v", "1"]), ...ffQuality, out], { timeout: 120000 });
+      }
+      break;
+    }
+
+    case "crop": {
+      const box = cropBox(options, await probeImageSize(input));
+      if (im && !isVideoPath(input)) {
+        await runMediaTool("convert", [`${input}[0]`, "-crop", `${box.width}x${box.height}+${box.x}+${box.y}`, "+repage", ...flatten, ...quality, out]);
+      } else {
+        needFfmpeg();
+        await runMediaTool("ffmpeg", ["-y", "-i", input, "-vf", `crop=${box.width}:${box.height}:${box.x}:${box.y}`, ...(isVideoPath(input) ? [] : ["-frames:v", "1"]), ...ffQuality, out], { timeout: 120000 });
+      }
+      break;
+    }
+
+    case "convert":
+    case "strip_metadata": {
+      if (operation === "convert" && !format) throw new Error("convert needs 'format'");
+      if (isVideoPath(input)) throw new Error(`${operation} works on images; use video_to_gif or extract_frame for video`);
+      if (im) {
+        const strip = operation === "strip_metadata" || options.strip ? ["-strip"] : [];
+        await runMediaTool("convert", [input, ...strip, ...flatten, ...quality, out]);
+      } else {
+        const webp = ext === "webp" ? ["-c:v", "libwebp", "-pix_fmt", "yuva420p"] : [];
+        await runMediaTool("ffmpeg", ["-y", "-i", input, "-map_metadata", "-1", ...webp, ...ffQuality, "-frames:v", "1", out]);
+      }
+      break;
+    }
+
+    case "extract_frame": {
+      needFfmpeg();
+      const at = secondsArg(options.time, "time", 0);
+      await runMediaTool("ffmpeg", ["-y", "-ss", String(at), "-i", input, "-frames:v", "1", ...ffQuality, out]);
+      break;
+    }
+
+    case "video_to_gif": {
+      needFfmpeg();
+      const start = secondsArg(options.start, "start", 0);
+      const duration = Math.min(secondsArg(options.duration, "duration", 5), MAX_GIF_SECONDS);
+      const fps = positiveInt(options.fps ?? 12, "fps", 30);
+      const width = positiveInt(options.width ?? 480, "width", 1920);
+      const vf = `fps=${fps},scale=${width}:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`;
+      await runMediaTool("ffmpeg", ["-y", "-ss", String(start), "-t", String(duration), "-i", input, "-vf", vf, "-loop", "0", out], { timeout: 120000 });
+      break;
+    }
+
+    case "contact_sheet": {
+      const columns = positiveInt(options.columns ?? 4, "columns", 12);
+      const tileWidth = positiveInt(options.width ?? 320, "width", 1024);
+      if (inputs.length > 1 || !isVideoPath(input)) {
+        // Grid of still images
+        if (!im) throw new Error("A contact sheet of images needs ImageMagick installed");
+        await runMediaTool("montage", [
+          ...inputs.map((f) => `${f}[0]`), "-tile", `${columns}x`, "-geometry", `${tileWidth}x${tileWidth}>+4+4`,
+          "-background", "white", ...quality, out,
+        ], { timeout: 120000 });
+      } else {
+        // Evenly spaced frames from one video
+        needFfmpeg();
+        const rows = positiveInt(options.rows ?? 3, "rows", 12);
+        const duration = await probeDuration(input);
+        const frames = columns * rows;
+        const vf = `fps=${frames}/${duration.toFixed(3)},scale=${tileWidth}:-2,tile=${columns}x${rows}:padding=4:margin=4`;
+        await runMediaTool("ffmpeg", ["-y", "-i", input, "-vf", vf, "-frames:v", "1", ...ffQuality, out], { timeout: 120000 });
+      }
+      break;
+    }
+  }
+  return out;
+}
+
+// ── Asset upload ─────────────────────────────────────────
+
+// The idempotency key lets httpJson retry the upload through cold starts
+async function uploadAsset(conn, fileData, fileName, mimeType) {
+  const formData = new FormData();
+  formData.append("file", new Blob([fileData], mimeType ? { type: mimeType } : {}), fileName);
+  return httpJson(`${conn.baseUrl}/assets`, {
     method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
+    headers: { "X-API-Key": conn.headers["X-API-Key"] },
+    body: formData,
+    idempotencyKey: randomUUID(),
   });
-  const data = await res.text();
-  let parsed;
-  try { parsed = JSON.parse(data); } catch { parsed = data; }
-  if (!res.ok) {
-    const detail = parsed?.detail || parsed?.message || data;
-    throw new Error(`Moltbook POST failed: HTTP ${res.status} ${detail}`);
-  }
-  return parsed;
 }
 
-// ── Plugin ───────────────────────────────────────────────
+// ── Upload cache ─────────────────────────────────────────
 
-export default {
-  id: "perstudio-api",
-  name: "Perstudio API",
-  description: "AI image and video generation via perstudio",
-  version: "3.2.1",
+// Maps file content (SHA-256) to the remote asset it was uploaded as, per
+// API endpoint and profile, so repeat uploads of the same file are free.
+const UPLOAD_CACHE_PATH = join(STATE_DIR, "upload-cache.json");
+const UPLOAD_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
 
-  register(api) {
-    const logger = api.logger;
+let uploadCache = null;
+let uploadCacheWrites = Promise.resolve();
 
-    logger.info("perstudio-api: registering v3.2.1");
+function uploadCacheKey(conn, sha256) {
+  return `${conn.baseUrl}|${conn.profile || ""}|${sha256}`;
+}
 
-    function authHeaders() {
-      const key = process.env.PERSTUDIO_API_KEY;
-      if (!key) return null;
-      return { "X-API-Key": key };
-    }
+async function loadUploadCache() {
+  if (!uploadCache) {
+    uploadCache = readFile(UPLOAD_CACHE_PATH, "utf8")
+      .then((raw) => new Map(Object.entries(JSON.parse(raw))))
+      .catch(() => new Map());
+  }
+  return uploadCache;
+}
 
-    api.registerTool({
-      name: "perstudio",
-      description:
-        "Generate AI images and videos. Supports text-to-image, img2img, style transfer, upscale, and video generation.\n" +
-        "IMPORTANT: ALWAYS use generate_sync for ALL generation requests. It automatically selects the best model for the request. Do NOT use run_workflow or manually pick workflows.\n" +
-        "IMPORTANT: Never reveal internal details to the user — do not mention workflow IDs, workflow names, model names, provider names, asset IDs, job IDs, or any backend infrastructure. Just describe what was generated.\n" +
-        "Actions:\n" +
-        "- generate_sync: Synchronous generation (ALWAYS USE THIS). Provide 'intent' (natural language). Returns the image/video directly.\n" +
-        "- generate: Async generation. Provide 'intent'. Returns job_id to poll with get_job.\n" +
-        "- get_job: Poll job status. Provide 'job_id'. Returns status and output when completed.\n" +
-        "- list_jobs: List recent jobs. Optional 'status' filter, 'limit' (default 20).\n" +
-        "- upload_asset: Upload an image for img2img. Provide 'file_path' (local path).\n" +
-        "- balance: Check token balance.\n" +
+function saveUploadCache(cache) {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (Date.parse(entry.expires_at) <= now) cache.delete(key);
+  }
+  uploadCacheWrites = uploadCacheWrites
+    .then(() => writeFileAtomic(UPLOAD_CACHE_PATH, JSON.stringify(Object.fromEntries(cache), null, 2)))
+    .catch(() => {});
+  return uploadCacheWrites;
+}
+
+async function cachedUpload(conn, sha256) {
+  const entry = (await loadUploadCache()).get(uploadCacheKey(conn, sha256));
+  if (!entry || Date.parse(entry.expires_at) <= Date.now()) return null;
+  return entry;
+}
+
+async function rememberUpload(conn, sha256, assetId, { mimeType, size, ttlMs = UPLOAD_CACHE_TTL_MS }) {
+  const cache = await loadUploadCache();
+  const now = Date.now();
+  cache.set(uploadCacheKey(conn, sha256), {
+    asset_id: assetId,
+    mime_type: mimeType,
+    size,
+    uploaded_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlMs).toISOString(),
+  });
+  await saveUploadCache(cache);
+}
+
+// Drop cache entries pointing at assets the server no longer has.
+async function forgetUploads(conn, assetIds) {
+  const cache = await loadUploadCache();
+  const prefix = `${conn.baseUrl}|${conn.profile || ""}|`;
+  let changed = false;
+  for (const [key, entry] of cache) {
+    if (key.startsWith(prefix) && assetIds.includes(entry.asset_id)) {
+      cache.delete(key);
+      changed = true;
+    }
+  }
+  if (changed) await saveUploadCache(cache);
+  return changed;
+}
+
+function isMissingAssetResponse(res) {
+  const detail = typeof res.data === "string" ? res.data : JSON.stringify(res.data ?? "");
+  return res.status === 404 || /asset[^"]*(not found|missing|expired|does not exist)/i.test(detail);
+}
+
+// ── Local media tools ────────────────────────────────────
+
+const toolAvailability = new Map();
+
+async function runMediaTool(cmd, cmdArgs, { timeout = 30000 } = {}) {
+  const { execFile } = await import("node:child_process");
+  return new Promise((done, fail) => {
+    execFile(cmd, cmdArgs, { timeout, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `${cmd} failed: ${String(stderr || err.message).trim().split("\n").pop()}`;
+        fail(err);
+      } else {
+        done(String(stdout));
+      }
+    });
+  });
+}
+
+async function hasMediaTool(cmd) {
+  if (!toolAvailability.has(cmd)) {
+    toolAvailability.set(cmd, runMediaTool(cmd, ["-version"], { timeout: 5000 }).then(() => true, () => false));
+  }
+  return toolAvailability.get(cmd);
+}
+
+async function probeImageSize(filePath) {
+  if (await hasMediaTool("convert")) {
+    const out = await runMediaTool("identify", ["-format", "%w %h", `${filePath}[0]`]).catch(() => null);
+    const m = /^(\d+) (\d+)/.exec(out || "");
+    if (m) return { width: Number(m[1]), height: Number(m[2]) };
+  }
+  const out = await runMediaTool("ffprobe", [
+    "-v", "error", "-select_streams", "v:0",
+    "-show_entries", "stream=width,height", "-of", "csv=p=0:s=x", filePath,
+  ]);
+  const m = /(\d+)x(\d+)/.exec(out);
+  if (!m) throw new Error("Could not read image dimensions");
+  return { width: Number(m[1]), height: Number(m[2]) };
+}
+
+async function probeDuration(filePath) {
+  const out = await runMediaTool("ffprobe", [
+    "-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", filePath,
+  ]);
+  const seconds = parseFloat(out);
+  if (!Number.isFinite(seconds) || seconds <= 0) throw new Error("Could not read video duration");
+  return seconds;
+}
+
+// ── Mask creation ────────────────────────────────────────
+
+const MAX_MASK_SIDE = 8192;
+
+// A coordinate is a pixel number or a percentage string of the given axis.
+function maskCoord(value, size, label) {
+  if (typeof value === "number" && Number.isFinite(value)) return Math.round(value);
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*(%|px)?\s*$/.exec(String(value ?? ""));
+  if (!m) throw new Error(`Invalid mask coordinate for ${label}: ${JSON.stringify(value)}`);
+  return Math.round(m[2] === "%" ? (Number(m[1]) / 100) * size : Number(m[1]));
+}
+
+// Normalize region specs into pixel shapes:
+//   { shape: "rect", x, y, width, height }
+//   { shape: "ellipse", cx, cy, rx, ry }
+//   { shape: "polygon", points: [[x, y], ...] }
+function resolveMaskRegions(regions, width, height) {
+  if (!Array.isArray(regions) || !regions.length) {
+    throw new Error("'regions' must be a non-empty array of shapes");
+  }
+  return regions.map((r, i) => {
+    const X = (v, k) => maskCoord(v, width, `regions[${i}].${k}`);
+    const Y = (v, k) => maskCoord(v, height, `regions[${i}].${k}`);
+    switch (r?.shape) {
+      case "rect":
+        return { shape: "rect", x: X(r.x, "x"), y: Y(r.y, "y"), width: X(r.width, "width"), height: Y(r.height, "height") };
+      case "ellipse":
+        return { shape: "ellipse", cx: X(r.cx, "cx"), cy: Y(r.cy, "cy"), rx: X(r.rx, "rx"), ry: Y(r.ry, "ry") };
+      case "polygon":
+        if (!Array.isArray(r.points) || r.points.length < 3) {
+          throw new Error(`regions[${i}].points needs at least 3 [x, y] points`);
+        }
+        return { shape: "polygon", points: r.points.map((p, j) => [X(p?.[0], `points[${j}]`), Y(p?.[1], `points[${j}]`)]) };
+      default:
+        throw new Error(`regions[${i}].shape must be rect, ellipse or polygon`);
+    }
+  });
+}
+
+function imageMagickMaskArgs(shapes, width, height, { feather, invert }, outPath) {
+  const cmd = ["-size", `${width}x${height}`, "xc:black", "-fill", "white"];
+  for (const s of shapes) {
+    if (s.shape === "rect") cmd.push("-draw", `rectangle ${s.x},${s.y} ${s.x + s.width - 1},${s.y + s.height - 1}`);
+    if (s.shape === "ellipse") cmd.push("-draw", `ellipse ${s.cx},${s.cy} ${s.rx},${s.ry} 0,360`);
+    if (s.shape === "polygon") cmd.push("-draw", `polygon ${s.points.map((p) => p.join(",")).join(" ")}`);
+  }
+  if (feather) cmd.push("-blur", `0x${feather}`);
+  if (invert) cmd.push("-negate");
+  cmd.push("-colorspace", "Gray", outPath);
+  return cmd;
+}
+
+// ffmpeg has no drawing primitives for these shapes, so each one becomes a
+// per-pixel geq test; polygons use the even-odd crossing rule.
+function ffmpegMaskArgs(shapes, width, height, { feather, invert }, outPath) {
+  const tests = shapes.map((s) => {
+    if (s.shape === "rect") {
+      return `between(X,(${s.x}),(${s.x + s.width - 1}))*between(Y,(${s.y}),(${s.y + s.height - 1}))`;
+    }
+    if (s.shape === "ellipse") {
+      return `lte(pow((X-(${s.cx}))/${Math.max(s.rx, 1)},2)+pow((Y-(${s.cy}))/${Math.max(s.ry, 1)},2),1)`;
+    }
+    const crossings = s.points.map(([xi, yi], i) => {
+      const [xj, yj] = s.points[(i + 1) % s.points.length];
+      if (yi === yj) return "0";
+      return `(gt(${yi},Y)-gt(${yj},Y))*(gt(${yi},Y)-gt(${yj},Y))*lt(X,(${xj - xi})*(Y-(${yi}))/(${yj - yi})+(${xi}))`;
+    });
+    return `mod(${crossings.join("+")},2)`;
+  });
+  let lum = `255*gt(${tests.join("+")},0)`;
+  if (invert) lum = `255-${lum}`;
+  const filters = [`geq=lum='${lum}'`];
+  if (feather) filters.push(`gblur=sigma=${feather}`);
+  filters.push("format=gray");
+  return [
+    "-y", "-f", "lavfi", "-i", `color=c=black:s=${width}x${height}:d=1,format=gray`,
+    "-vf", filters.join(","), "-frames:v", "1", outPath,
+  ];
+}
+
+async function createMask({ regions, width, height, referencePath, feather = 0, invert = false }) {
+  if (referencePath && (!width || !height)) {
+    ({ width, height } = await probeImageSize(referencePath));
+  }
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error("Provide 'width' and 'height' in pixels, or 'file_path' of the image to mask");
+  }
+  if (width > MAX_MASK_SIDE || height > MAX_MASK_SIDE) {
+    throw new Error(`Mask dimensions are limited to ${MAX_MASK_SIDE}px per side`);
+  }
+  if (typeof feather !== "number" || feather < 0 || feather > 200) {
+    throw new Error("'feather' must be a number of pixels between 0 and 200");
+  }
+  const shapes = resolveMaskRegions(regions, width, height);
+
+  await mkdir(OUT_DIR, { recursive: true });
+  const outPath = join(OUT_DIR, `mask_${randomUUID().slice(0, 8)}.png`);
+  const opts = { feather, invert };
+  if (await hasMediaTool("convert")) {
+    await runMediaTool("convert", imageMagickMaskArgs(shapes, width, height, opts, outPath));
+  } else if (await hasMediaTool("ffmpeg")) {
+    await runMediaTool("ffmpeg", ffmpegMaskArgs(shapes, width, height, opts, outPath), { timeout: 60000 });
+  } else {
+    throw new Error("Mask creation needs ImageMagick (convert) or ffmpeg installed");
+  }
+  return { path: outPath, width, height };
+}
+
+// ── Provenance ───────────────────────────────────────────
+//
+// Records how a file was made inside the file itself: a PNG iTXt chunk,
+// XMP for JPEG/WebP, and container tags for MP4 (via ffmpeg). The same
+// JSON document is stored in every format so inspect_media can read any
+// of them back.
+
+const PROVENANCE_KEYWORD = "perstudio:provenance";
+const XMP_NS = "https://perstudio.ai/ns/provenance/1.0/";
+const JPEG_XMP_HEADER = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1");
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function buildProvenance({ intent, palette, jobId, assetId, inputs, parentJobId }) {
+  return {
+    generator: "perstudio.ai",
+    plugin: `perstudio-openclaw ${PLUGIN_VERSION}`,
+    created_at: new Date().toISOString(),
+    intent: intent || null,
+    palette: palette || null,
+    job_id: jobId || null,
+    asset_id: assetId || null,
+    inputs: inputs || {},
+    ...(parentJobId ? { parent_job_id: parentJobId } : {}),
+  };
+}
+
+// Asset references that went into a generation, keyed by input slot
+function provenanceInputs(args) {
+  const inputs = {};
+  for (const slot of ["input_image_asset_id", "input_mask_asset_id", ...REFERENCE_SLOTS]) {
+    if (args[slot]) inputs[slot] = args[slot];
+  }
+  if (args.input_asset_ids?.length) inputs.input_asset_ids = args.input_asset_ids;
+  return inputs;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Pass the previous result as `crc` to continue over a following chunk
+function crc32(buf, crc = 0) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function* pngChunks(buf) {
+  let off = PNG_SIGNATURE.length;
+  while (off + 8 <= buf.length) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("latin1", off + 4, off + 8);
+    const end = off + 12 + len;
+    if (end > buf.length) return;
+    yield { type, data: buf.subarray(off + 8, off + 8 + len), start: off, end };
+    off = end;
+  }
+}
+
+// iTXt: keyword\0 compression-flag(0) method(0) language\0 translated\0 text(UTF-8)
+function pngWithProvenance(buf, json) {
+  const itxt = Buffer.concat([
+    Buffer.from(`${PROVENANCE_KEYWORD}\0\0\0\0\0`, "latin1"),
+    Buffer.from(json, "utf8"),
+  ]);
+  const software = Buffer.from(`Software\0perstudio-openclaw ${PLUGIN_VERSION}`, "latin1");
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of pngChunks(buf)) {
+    // Replace what an earlier embed wrote rather than stacking copies
+    if (chunk.type === "iTXt" && chunk.data.toString("latin1", 0, PROVENANCE_KEYWORD.length + 1) === `${PROVENANCE_KEYWORD}\0`) continue;
+    if (chunk.type === "tEXt" && chunk.data.toString("latin1").startsWith("Software\0perstudio-openclaw")) continue;
+    if (chunk.type === "IEND") parts.push(pngChunk("iTXt", itxt), pngChunk("tEXt", software));
+    parts.push(buf.subarray(chunk.start, chunk.end));
+  }
+  return Buffer.concat(parts);
+}
+
+function pngProvenance(buf) {
+  for (const chunk of pngChunks(buf)) {
+    if (chunk.type !== "iTXt") continue;
+    const nul = chunk.data.indexOf(0);
+    if (chunk.data.toString("latin1", 0, nul) !== PROVENANCE_KEYWORD) continue;
+    // Skip compression flag, method, then language and translated keyword
+    let off = nul + 3;
+    off = chunk.data.indexOf(0, off) + 1;
+    off = chunk.data.indexOf(0, off) + 1;
+    return chunk.data.toString("utf8", off);
+  }
+  return null;
+}
+
+function xmlEscape(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function xmlUnescape(s) {
+  return s.replace(/&(lt|gt|amp|quot|apos);/g, (_, e) => ({ lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" })[e]);
+}
+
+function xmpPacket(provenance) {
+  return Buffer.from(
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:perstudio="${XMP_NS}">` +
+    `<xmp:CreatorTool>${xmlEscape(provenance.plugin)}</xmp:CreatorTool>` +
+    `<xmp:CreateDate>${xmlEscape(provenance.created_at)}</xmp:CreateDate>` +
+    (provenance.intent ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(provenance.intent)}</rdf:li></rdf:Alt></dc:description>` : "") +
+    `<perstudio:provenance>${xmlEscape(JSON.stringify(provenance))}</perstudio:provenance>` +
+    "</rdf:Description></rdf:RDF></x:xmpmeta>\n" +
+    '<?xpacket end="w"?>',
+    "utf8"
+  );
+}
+
+function xmpProvenance(xmp) {
+  const m = /<perstudio:provenance>([\s\S]*?)<\/perstudio:provenance>/.exec(xmp);
+  return m ? xmlUnescape(m[1]) : null;
+}
+
+// Walk JPEG marker segments up to the start of scan
+function* jpegSegments(buf) {
+  let off = 2;
+  while (off + 4 <= buf.length && buf[off] === 0xff) {
+    const marker = buf[off + 1];
+    if (marker === 0xda || marker === 0xd9) return;
+    const len = buf.readUInt16BE(off + 2);
+    yield { marker, data: buf.subarray(off + 4, off + 2 + len), start: off, end: off + 2 + len };
+    off += 2 + len;
+  }
+}
+
+const isXmpSegment = (seg) => seg.marker === 0xe1 && seg.data.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER);
+
+function jpegWithProvenance(buf, provenance) {
+  const payload = Buffer.concat([JPEG_XMP_HEADER, xmpPacket(provenance)]);
+  if (payload.length + 2 > 0xffff) throw new Error("Provenance too large for a JPEG XMP segment");
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  const app1 = Buffer.concat([header, payload]);
+
+  // Keep JFIF/EXIF (APP0/APP1) first, drop any previous XMP, insert ours after them
+  let insertAt = 2;
+  const drop = [];
+  for (const seg of jpegSegments(buf)) {
+    if (isXmpSegment(seg)) drop.push(seg);
+    else if (seg.marker === 0xe0 || seg.marker === 0xe1) insertAt = seg.end;
+  }
+  const parts = [];
+  let off = 0;
+  for (const seg of drop.filter((d) => d.start < insertAt)) {
+    parts.push(buf.subarray(off, seg.start));
+    off = seg.end;
+  }
+  parts.push(buf.subarray(off, insertAt), app1);
+  off = insertAt;
+  for (const seg of drop.filter((d) => d.start >= insertAt)) {
+    parts.push(buf.subarray(off, seg.start));
+    off = seg.end;
+  }
+  parts.push(buf.subarray(off));
+  return Buffer.concat(parts);
+}
+
+function jpegProvenance(buf) {
+  for (const seg of jpegSegments(buf)) {
+    if (isXmpSegment(seg)) return xmpProvenance(seg.data.toString("utf8", JPEG_XMP_HEADER.length));
+  }
+  return null;
+}
+
+function* webpChunks(buf) {
+  let off = 12;
+  while (off + 8 <= buf.length) {
+    const type = buf.toString("latin1", off, off + 4);
+    const len = buf.readUInt32LE(off + 4);
+    const end = off + 8 + len + (len & 1);
+    yield { type, data: buf.subarray(off + 8, off + 8 + len), start: off, end: Math.min(end, buf.length) };
+    off = end;
+  }
+}
+
+function webpChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, "latin1");
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, data.length & 1 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+}
+
+// Canvas size from a simple-format (VP8 / VP8L) bitstream
+function webpCanvasSize(chunk) {
+  const d = chunk.data;
+  if (chunk.type === "VP8 " && d.length >= 10) {
+    return { width: d.readUInt16LE(6) & 0x3fff, height: d.readUInt16LE(8) & 0x3fff };
+  }
+  if (chunk.type === "VP8L" && d.length >= 5) {
+    const bits = d.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: Boolean((bits >>> 28) & 1) };
+  }
+  return null;
+}
+
+// XMP in WebP needs the extended (VP8X) layout with the XMP flag set;
+// simple files are upgraded by prepending a VP8X chunk.
+function webpWithProvenance(buf, provenance) {
+  const chunks = [...webpChunks(buf)].filter((c) => c.type !== "XMP ");
+  let vp8x = chunks.find((c) => c.type === "VP8X");
+  const parts = [];
+  if (vp8x) {
+    const data = Buffer.from(vp8x.data);
+    data[0] |= 0x04;
+    for (const c of chunks) parts.push(c === vp8x ? webpChunk("VP8X", data) : buf.subarray(c.start, c.end));
+  } else {
+    const size = chunks.map(webpCanvasSize).find(Boolean);
+    if (!size) throw new Error("Unrecognized WebP bitstream");
+    const data = Buffer.alloc(10);
+    data[0] = 0x04 | (size.alpha ? 0x10 : 0);
+    data.writeUIntLE(size.width - 1, 4, 3);
+    data.writeUIntLE(size.height - 1, 7, 3);
+    parts.push(webpChunk("VP8X", data));
+    for (const c of chunks) parts.push(buf.subarray(c.start, c.end));
+  }
+  parts.push(webpChunk("XMP ", xmpPacket(provenance)));
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+function webpProvenance(buf) {
+  for (const c of webpChunks(buf)) {
+    if (c.type === "XMP ") return xmpProvenance(c.data.toString("utf8"));
+  }
+  return null;
+}
+
+// Embed provenance in place (atomically). Formats without support are
+// left untouched; returns whether metadata was written.
+async function embedProvenance(filePath, provenance) {
+  const mime = sniffMime(await readFile(filePath).then((b) => b.subarray(0, 16)));
+  const json = JSON.stringify(provenance);
+  if (mime === "image/png" || mime === "image/jpeg" || mime === "image/webp") {
+    const buf = await readFile(filePath);
+    const out = mime === "image/png" ? pngWithProvenance(buf, json)
+      : mime === "image/jpeg" ? jpegWithProvenance(buf, provenance)
+        : webpWithProvenance(buf, provenance);
+    await writeFileAtomic(filePath, out);
+    return true;
+  }
+  if (mime === "video/mp4" && await hasMediaTool("ffmpeg")) {
+    const tmp = join(dirname(filePath), `.${basename(filePath)}.${randomUUID().slice(0, 8)}.mp4`);
+    try {
+      await runMediaTool("ffmpeg", [
+        "-y", "-i", filePath, "-map", "0", "-codec", "copy",
+        "-metadata", `comment=${json}`,
+        "-metadata", `description=${provenance.intent || ""}`,
+        "-metadata", `encoder=${provenance.plugin}`,
+        "-movflags", "use_metadata_tags", tmp,
+      ], { timeout: 120000 });
+      await rename(tmp, filePath);
+    } catch (e) {
+      await unlink(tmp).catch(() => {});
+      throw e;
+    }
+    return true;
+  }
+  return false;
+}
+
+async function readProvenance(filePath) {
+  const buf = await readFile(filePath);
+  const mime = sniffMime(buf);
+  let raw = null;
+  if (mime === "image/png") raw = pngProvenance(buf);
+  else if (mime === "image/jpeg") raw = jpegProvenance(buf);
+  else if (mime === "image/webp") raw = webpProvenance(buf);
+  else if (mime === "video/mp4") {
+    if (!(await hasMediaTool("ffprobe"))) throw new Error("Reading MP4 metadata needs ffprobe installed");
+    const out = await runMediaTool("ffprobe", ["-v", "error", "-show_entries", "format_tags", "-of", "json", filePath]);
+    const tags = JSON.parse(out)?.format?.tags || {};
+    raw = tags.comment || tags.COMMENT || null;
+  }
+  let provenance = null;
+  if (raw) {
+    try {
+      provenance = JSON.parse(raw);
+    } catch {
+      provenance = { raw };
+    }
+  }
+  return { mime_type: mime, provenance };
+}
+
+// ── Memory persistence ───────────────────────────────────
+
+const GALLERY_DIR = join(homedir(), ".openclaw", "workspace", "memory");
+const GALLERY_PATH = join(GALLERY_DIR, "perstudio-gallery.md");
+const GALLERY_INDEX_PATH = join(GALLERY_DIR, "perstudio-gallery.jsonl");
+const GALLERY_LOCK_PATH = join(GALLERY_DIR, ".perstudio-gallery.lock");
+const GALLERY_HEADER = "## Perstudio Gallery\n\nGenerated images and videos from perstudio workflows.\n\n";
+
+// Line format of the markdown gallery, used to import history written
+// before the JSONL index existed.
+const LEGACY_LINE = /^- (\d{4}-\d{2}-\d{2} \d{2}:\d{2}) — (?:"(.*)"|\(direct workflow run\))(?: → (.+?))?, job (\S+), asset (\S+), saved (.+?)(?: \[(.*)\])?$/;
+
+const MEDIA_TYPES = {
+  image: ["png", "jpg", "jpeg", "webp", "gif", "avif"],
+  video: ["mp4", "webm", "mov"],
+  audio: ["wav", "mp3", "m4a", "ogg", "flac"],
+};
+
+function mediaTypeOf(filePath) {
+  const ext = extname(filePath || "").slice(1).toLowerCase();
+  return Object.keys(MEDIA_TYPES).find((t) => MEDIA_TYPES[t].includes(ext)) || "other";
+}
+
+function formatLocalTime(date) {
+  return `${localDay(date)} ${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+function parseLegacyGallery(markdown) {
+  const entries = [];
+  for (const line of markdown.split("\n")) {
+    const m = LEGACY_LINE.exec(line.trim());
+    if (!m) continue;
+    const [, ts, intent, workflow, jobId, assetId, filePath, tags] = m;
+    const last = entries[entries.length - 1];
+    // Multi-output jobs were written as one line per asset
+    if (last && last.job_id === jobId) {
+      last.output_asset_ids.push(assetId);
+      last.files.push(filePath);
+      continue;
+    }
+    entries.push({
+      id: randomUUID(),
+      created_at: new Date(ts.replace(" ", "T")).toISOString(),
+      intent: intent ?? null,
+      palette: null,
+      input_asset_id: null,
+      job_id: jobId,
+      output_asset_ids: [assetId],
+      files: [filePath],
+      media_type: mediaTypeOf(filePath),
+      cost: null,
+      tags: normalizeTags(tags),
+      workflow: workflow || null,
+      legacy: true,
+    });
+  }
+  return entries;
+}
+
+async function readGalleryIndex() {
+  let raw;
+  try {
+    raw = await readFile(GALLERY_INDEX_PATH, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    // First run with the structured store — import the markdown history
+    try {
+      return parseLegacyGallery(await readFile(GALLERY_PATH, "utf8"));
+    } catch {
+      return [];
+    }
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a corrupt line rather than losing the whole gallery
+    }
+  }
+  return entries;
+}
+
+function renderGalleryMarkdown(entries) {
+  let md = GALLERY_HEADER;
+  for (const e of entries) {
+    const ts = formatLocalTime(new Date(e.created_at));
+    const desc = e.intent ? `"${e.intent}"` : "(direct workflow run)";
+    const wf = e.workflow ? ` → ${e.workflow}` : "";
+    const tags = e.tags?.length ? ` [${e.tags.join(", ")}]` : "";
+    e.output_asset_ids.forEach((assetId, i) => {
+      md += `- ${ts} — ${desc}${wf}, job ${e.job_id}, asset ${assetId}, saved ${e.files[i]}${tags}\n`;
+    });
+  }
+  return md;
+}
+
+// Read-modify-write of the index under the gallery lock; the markdown file
+// is regenerated from the index each time so memory features keep working.
+async function updateGallery(mutate) {
+  return withFileLock(GALLERY_LOCK_PATH, async () => {
+    const migrating = await stat(GALLERY_INDEX_PATH).then(() => false, () => true);
+    const entries = await readGalleryIndex();
+    if (migrating) {
+      // Keep the hand-written original around before it is regenerated
+      await copyFile(GALLERY_PATH, `${GALLERY_PATH}.bak`).catch(() => {});
+    }
+    const result = await mutate(entries);
+    await writeFileAtomic(GALLERY_INDEX_PATH, entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : ""));
+    await writeFileAtomic(GALLERY_PATH, renderGalleryMarkdown(entries));
+    return result;
+  });
+}
+
+async function persistToMemory({ intent, palette, inputAssetId, workflowName, jobId, outputs, cost, tags, lineage, logger }) {
+  try {
+    const entry = {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      intent: intent || null,
+      palette: palette || null,
+      input_asset_id: inputAssetId || null,
+      job_id: jobId,
+      output_asset_ids: outputs.map((o) => o.assetId),
+      files: outputs.map((o) => o.filePath),
+      media_type: mediaTypeOf(outputs[0]?.filePath),
+      cost: cost ?? null,
+      tags: tags || [],
+      workflow: workflowName || null,
+      // Replay data for variations/refine (see Lineage)
+      request: lineage?.request || null,
+      seed: lineage?.seed ?? null,
+      parameters: lineage?.parameters || {},
+      parent: lineage?.parent || null,
+    };
+    const saved = await updateGallery((entries) => {
+      // Fetching a job again (await_job from another session) refreshes its files
+      const existing = entries.find((e) => e.job_id === jobId);
+      if (!existing) {
+        entries.push(entry);
+        return entry;
+      }
+      existing.files = entry.files;
+      existing.output_asset_ids = entry.output_asset_ids;
+      return existing;
+    });
+    logger.info(`perstudio-api: gallery entry written for job ${jobId}`);
+    return saved;
+  } catch (err) {
+    logger.error(`perstudio-api: persistToMemory failed: ${err.message}`);
+    return null;
+  }
+}
+
+// Gallery entries as shown to the agent — internal routing details stay out.
+function publicGalleryEntry(entry) {
+  const { workflow, legacy, ...safe } = entry;
+  return safe;
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags ? String(tags).split(",") : []);
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Date bounds accept "YYYY-MM-DD" (whole local day) or a full ISO timestamp.
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const d = new Date(dayOnly ? `${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}` : value);
+  if (isNaN(d)) throw new Error(`Invalid date: ${value}`);
+  return d.getTime();
+}
+
+function searchGallery(entries, { query, since, until, tag, media_type, limit = 20 }) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const from = parseDateBound(since, false);
+  const to = parseDateBound(until, true);
+  const wantTag = tag ? String(tag).trim().toLowerCase() : null;
+  return entries
+    .filter((e) => {
+      const t = Date.parse(e.created_at);
+      if (from !== null && t < from) return false;
+      if (to !== null && t > to) return false;
+      if (wantTag && !(e.tags || []).includes(wantTag)) return false;
+      if (media_type && e.media_type !== media_type) return false;
+      if (words.length) {
+        const hay = [e.intent, e.palette, ...(e.tags || [])].join(" ").toLowerCase();
+        if (!words.every((w) => hay.includes(w))) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+    .slice(0, limit);
+}
+
+// ── Storage retention ────────────────────────────────────
+//
+// Outputs land in OUT_DIR and would stay until the OS clears tmp. The
+// `storage` config sets a retention — maximum age, maximum total size —
+// and cleanup deletes what falls outside it, oldest first, together with
+// the gallery entries they belong to. Entries tagged "starred" are kept,
+// and can be moved to a workspace media folder so they outlive a reboot.
+// Only files in OUT_DIR and that folder are ever deleted.
+
+const STARRED_TAG = "starred";
+const MEDIA_DIR = join(homedir(), ".openclaw", "workspace", "media", "perstudio");
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Newer files are left alone: they may belong to a download in progress
+const CLEANUP_GRACE_MS = 60 * 60 * 1000;
+const CLEANUP_FIRST_RUN_MS = 60 * 1000;
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const CLEANUP_LIST_MAX = 100;
+const PREVIEW_SUFFIX = /_(?:thumb|poster|strip)\.jpg$/;
+const CLEANUP_KEY = Symbol.for("perstudio.cleanupTimer");
+
+const STORAGE_FIELDS = ["maxAgeDays", "maxTotalMB", "keepStarred", "moveStarred", "mediaDir", "autoCleanup"];
+
+// The `storage` config section, with cleanup's per-call overrides applied
+function storageSettings(raw, overrides = {}) {
+  raw = raw ?? {};
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("Invalid storage config: must be an object");
+  const unknown = Object.keys(raw).filter((k) => !STORAGE_FIELDS.includes(k));
+  if (unknown.length) throw new Error(`Invalid storage config: unknown setting(s) ${unknown.join(", ")}`);
+  const limit = (override, key) => {
+    const [name, value] = override !== undefined ? [key[0], override] : [`storage.${key[1]}`, raw[key[1]]];
+    if (value === undefined || value === null) return null;
+    if (!(typeof value === "number" && value > 0)) throw new Error(`'${name}' must be a positive number`);
+    return value;
+  };
+  const maxAgeDays = limit(overrides.max_age_days, ["max_age_days", "maxAgeDays"]);
+  const maxTotalMB = limit(overrides.max_total_mb, ["max_total_mb", "maxTotalMB"]);
+  const mediaDir = raw.mediaDir === undefined ? MEDIA_DIR : typeof raw.mediaDir === "string" && policyDir(raw.mediaDir);
+  if (!mediaDir) throw new Error("'storage.mediaDir' must be an absolute or ~/ path");
+  return {
+    maxAgeMs: maxAgeDays && maxAgeDays * DAY_MS,
+    maxBytes: maxTotalMB && Math.floor(maxTotalMB * 1024 * 1024),
+    keepStarred: raw.keepStarred !== false,
+    moveStarred: raw.moveStarred === true,
+    autoCleanup: raw.autoCleanup !== false,
+    mediaDir,
+  };
+}
+
+// Media files directly inside `dir`; hidden partial downloads and state
+// files are not media and never listed
+async function scanMedia(dir) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const files = [];
+  for (const name of names) {
+    if (name.startsWith(".") || mediaTypeOf(name) === "other") continue;
+    const st = await stat(join(dir, name)).catch(() => null);
+    if (st?.isFile()) files.push({ path: join(dir, name), size: st.size, mtimeMs: st.mtimeMs });
+  }
+  return files;
+}
+
+const isStarred = (entry) => Boolean(entry?.tags?.includes(STARRED_TAG));
+const unitBytes = (unit) => unit.files.reduce((n, f) => n + f.size, 0);
+
+// Decide what retention removes. A gallery entry is one unit with its
+// outputs and their previews; a file in OUT_DIR no entry owns is a unit of
+// its own. Unowned files in mediaDir, which may be a shared folder, are the
+// user's and never touched. Starred and recent units stay. The rest go when older than the maximum
+// age, then oldest first while the total is over the size limit.
+function planCleanup(entries, files, settings, now = Date.now()) {
+  const managed = (p) => isInside(p, OUT_DIR) || isInside(p, settings.mediaDir);
+  const byPath = new Map(files.map((f) => [f.path, f]));
+  const byStem = new Map();
+  const units = [];
+  const claimed = new Set();
+  for (const entry of entries) {
+    // Files kept elsewhere (batch folders, moved by hand) are the user's
+    if (!entry.files?.length || !entry.files.every(managed)) continue;
+    const unit = { entry, time: Date.parse(entry.created_at) || 0, files: [] };
+    for (const p of entry.files) {
+      byStem.set(p.replace(/\.[^./]+$/, ""), unit);
+      claimed.add(p);
+      if (byPath.has(p)) unit.files.push(byPath.get(p));
+    }
+    units.push(unit);
+  }
+  const previews = [];
+  for (const f of files) {
+    if (claimed.has(f.path) || !isInside(f.path, OUT_DIR)) continue;
+    if (PREVIEW_SUFFIX.test(f.path)) {
+      previews.push(f);
+      continue;
+    }
+    const unit = { entry: null, time: f.mtimeMs, files: [f] };
+    byStem.set(f.path.replace(/\.[^./]+$/, ""), unit);
+    units.push(unit);
+  }
+  for (const f of previews) {
+    const owner = byStem.get(f.path.replace(PREVIEW_SUFFIX, ""));
+    if (owner) owner.files.push(f);
+    else units.push({ entry: null, time: f.mtimeMs, files: [f] });
+  }
+
+  const kept = (u) => (settings.keepStarred && isStarred(u.entry)) ||
+    now - Math.max(u.time, ...u.files.map((f) => f.mtimeMs)) < CLEANUP_GRACE_MS;
+  units.sort((a, b) => a.time - b.time);
+  const removed = [];
+  for (const u of units) {
+    if (settings.maxAgeMs && !kept(u) && now - u.time > settings.maxAgeMs) {
+      u.reason = "expired";
+      removed.push(u);
+    }
+  }
+  let total = units.filter((u) => !u.reason).reduce((n, u) => n + unitBytes(u), 0);
+  if (settings.maxBytes) {
+    for (const u of units) {
+      if (total <= settings.maxBytes) break;
+      if (u.reason || kept(u) || !unitBytes(u)) continue;
+      u.reason = "size";
+      removed.push(u);
+      total -= unitBytes(u);
+    }
+  }
+  return { removed, totalBytes: total, starred: units.filter((u) => isStarred(u.entry)).map((u) => u.entry) };
+}
+
+// Move an entry's outputs out of tmp into `dir` and point the entry at
+// them. Previews stay behind for cleanup to collect.
+async function moveEntryFiles(entry, dir) {
+  const moved = [];
+  for (const [i, from] of entry.files.entries()) {
+    if (!isInside(from, OUT_DIR)) continue;
+    const to = join(dir, basename(from));
+    try {
+      await mkdir(dir, { recursive: true });
+      await rename(from, to).catch(async (e) => {
+        if (e.code !== "EXDEV") throw e;
+        await copyFile(from, to);
+        await unlink(from);
+      });
+    } catch (e) {
+      if (e.code === "ENOENT") continue; // already gone with tmp
+      throw e;
+    }
+    entry.files[i] = to;
+    moved.push({ from, to });
+  }
+  return moved;
+}
+
+// Apply `settings`. A dry run only reports what would change.
+async function cleanupStorage(settings, { dryRun = false } = {}) {
+  const run = async (entries) => {
+    const files = [...await scanMedia(OUT_DIR), ...await scanMedia(settings.mediaDir)];
+    const plan = planCleanup(entries, files, settings);
+    const moving = settings.moveStarred ? plan.starred.filter((e) => e.files.some((p) => isInside(p, OUT_DIR))) : [];
+    if (dryRun) return { ...plan, moved: moving.flatMap((e) => e.files.filter((p) => isInside(p, OUT_DIR)).map((from) => ({ from }))) };
+
+    for (const u of plan.removed) {
+      for (const f of u.files) {
+        await unlink(f.path).catch((e) => {
+          if (e.code !== "ENOENT") throw e;
+        });
+      }
+    }
+    const gone = new Set(plan.removed.filter((u) => u.entry).map((u) => u.entry.id));
+    const survivors = entries.filter((e) => !gone.has(e.id));
+    entries.splice(0, entries.length, ...survivors);
+    const moved = [];
+    for (const entry of moving) moved.push(...await moveEntryFiles(entry, settings.mediaDir));
+    return { ...plan, moved };
+  };
+  return dryRun ? run(await readGalleryIndex()) : updateGallery(run);
+}
+
+function cleanupSummary(result, settings, dryRun) {
+  const mb = (n) => Math.round((n / (1024 * 1024)) * 10) / 10;
+  const reason = (u) => (u.reason === "expired"
+    ? `older than ${Math.round(settings.maxAgeMs / DAY_MS * 10) / 10} days`
+    : `over the ${mb(settings.maxBytes)} MB limit`);
+  const files = result.removed.flatMap((u) => u.files.map((f) => ({ file: f.path, bytes: f.size, reason: reason(u) })));
+  return {
+    dry_run: dryRun,
+    [dryRun ? "would_delete" : "deleted"]: {
+      files: files.length,
+      mb: mb(files.reduce((n, f) => n + f.bytes, 0)),
+      gallery_entries: result.removed.filter((u) => u.entry).length,
+    },
+    [dryRun ? "would_move" : "moved"]: result.moved.length,
+    starred_kept: result.starred.length,
+    total_mb_after: mb(result.totalBytes),
+    ...(settings.maxBytes && result.totalBytes > settings.maxBytes
+      ? { note: "Still over the size limit: what remains is starred or less than an hour old." }
+      : {}),
+    files: files.slice(0, CLEANUP_LIST_MAX),
+    ...(files.length > CLEANUP_LIST_MAX ? { more_files: files.length - CLEANUP_LIST_MAX } : {}),
+    entries: result.removed.filter((u) => u.entry).slice(0, CLEANUP_LIST_MAX)
+      .map((u) => ({ entry_id: u.entry.id, created_at: u.entry.created_at, intent: u.entry.intent })),
+  };
+}
+
+// ── Export ───────────────────────────────────────────────
+
+const ZIP_MAX_BYTES = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_CHUNK_BYTES = 1024 * 1024;
+
+// MS-DOS date and time fields of a ZIP header (local time, 2 s steps)
+function dosDateTime(ms) {
+  const d = new Date(Math.max(ms, new Date(1980, 0, 1).getTime()));
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// Copy `source` into the archive at `position` a chunk at a time, so large
+// videos are never held in memory; resolves to { crc, size }
+async function copyIntoZip(fh, source, position, buffer) {
+  const src = await open(source, "r");
+  let crc = 0;
+  let size = 0;
+  try {
+    for (;;) {
+      const { bytesRead } = await src.read(buffer, 0, buffer.length, null);
+      if (!bytesRead) break;
+      crc = crc32(buffer.subarray(0, bytesRead), crc);
+      await fh.write(buffer, 0, bytesRead, position + size);
+      size += bytesRead;
+      if (position + size > ZIP_MAX_BYTES) break;
+    }
+  } finally {
+    await src.close();
+  }
+  return { crc, size };
+}
+
+// Minimal ZIP writer. Entries are stored, not deflated — media is already
+// compressed. Each file is streamed in after its header's place, and the
+// header is filled in once its size and CRC are known.
+// `items` are { name, source } (a file path) or { name, data }.
+async function writeZip(outPath, items) {
+  if (items.length > ZIP_MAX_ENTRIES) throw new Error(`Too many files for a zip (${items.length}); use archive: 'folder'`);
+  const tooLarge = () => new Error("Export is larger than 4 GB, too large for a zip; use archive: 'folder'");
+  const partPath = `${outPath}.${randomUUID().slice(0, 8)}.part`;
+  const fh = await open(partPath, "w");
+  const buffer = Buffer.allocUnsafe(ZIP_CHUNK_BYTES);
+  const central = [];
+  let offset = 0;
+  try {
+    for (const item of items) {
+      const info = item.source ? await stat(item.source) : null;
+      const name = Buffer.from(item.name, "utf8");
+      const dataAt = offset + 30 + name.length;
+      if (dataAt + (info ? info.size : item.data.length) > ZIP_MAX_BYTES) throw tooLarge();
+      let crc;
+      let size;
+      if (item.source) {
+        ({ crc, size } = await copyIntoZip(fh, item.source, dataAt, buffer));
+        // The file may have grown since it was checked
+        if (dataAt + size > ZIP_MAX_BYTES) throw tooLarge();
+      } else {
+        crc = crc32(item.data);
+        size = item.data.length;
+        await fh.write(item.data, 0, size, dataAt);
+      }
+      const { time, date } = dosDateTime(info ? info.mtimeMs : Date.now());
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed: 2.0
+      local.writeUInt16LE(0x0800, 6); // names are UTF-8
+      local.writeUInt16LE(0, 8); // stored
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(size, 18);
+      local.writeUInt32LE(size, 22);
+      local.writeUInt16LE(name.length, 26);
+      const header = Buffer.concat([local, name]);
+      await fh.write(header, 0, header.length, offset);
+
+      const entry = Buffer.alloc(46);
+      entry.writeUInt32LE(0x02014b50, 0);
+      entry.writeUInt16LE(0x0314, 4); // made by: Unix, 2.0
+      entry.writeUInt16LE(20, 6);
+      entry.writeUInt16LE(0x0800, 8);
+      entry.writeUInt16LE(time, 12);
+      entry.writeUInt16LE(date, 14);
+      entry.writeUInt32LE(crc, 16);
+      entry.writeUInt32LE(size, 20);
+      entry.writeUInt32LE(size, 24);
+      entry.writeUInt16LE(name.length, 28);
+      entry.writeUInt32LE((0o100644 << 16) >>> 0, 38); // -rw-r--r--
+      entry.writeUInt32LE(offset, 42);
+      central.push(entry, name);
+      offset = dataAt + size;
+    }
+    const directory = Buffer.concat(central);
+    if (offset + directory.length + 22 > ZIP_MAX_BYTES) throw tooLarge();
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(items.length, 8);
+    end.writeUInt16LE(items.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    const tail = Buffer.concat([directory, end]);
+    await fh.write(tail, 0, tail.length, offset);
+    await fh.close();
+    await rename(partPath, outPath);
+  } catch (e) {
+    await fh.close().catch(() => {});
+    await unlink(partPath).catch(() => {});
+    throw e;
+  }
+}
+
+// Package gallery entries into `${dir}/${name}.zip` or a `${dir}/${name}`
+// folder: outputs under media/ and a manifest.json describing each entry.
+async function exportGallery(entries, dir, { name, archive = "zip" }) {
+  const items = [];
+  const taken = new Set();
+  const manifest = { exported_at: new Date().toISOString(), plugin_version: PLUGIN_VERSION, entries: [] };
+  let missing = 0;
+  for (const entry of entries) {
+    const files = [];
+    const lost = [];
+    for (const p of entry.files) {
+      if (!(await stat(p).then((st) => st.isFile(), () => false))) {
+        lost.push(basename(p));
+        continue;
+      }
+      let file = basename(p);
+      for (let n = 2; taken.has(file); n++) file = `${n}_${basename(p)}`;
+      taken.add(file);
+      items.push({ name: `media/${file}`, source: p });
+      files.push(`media/${file}`);
+    }
+    missing += lost.length;
+    manifest.entries.push({ ...publicGalleryEntry(entry), files, ...(lost.length ? { missing_files: lost } : {}) });
+  }
+  const manifestItem = { name: "manifest.json", data: Buffer.from(JSON.stringify(manifest, null, 2) + "\n") };
+
+  let outPath;
+  if (archive === "zip") {
+    outPath = join(dir, `${name}.zip`);
+    await writeZip(outPath, [manifestItem, ...items]);
+  } else {
+    outPath = join(dir, name);
+    await mkdir(join(outPath, "media"), { recursive: true });
+    for (const item of items) await copyFile(item.source, join(outPath, item.name));
+    await writeFile(join(outPath, manifestItem.name), manifestItem.data);
+  }
+  let bytes = 0;
+  for (const item of items) bytes += (await stat(item.source)).size;
+  return { path: outPath, entries: entries.length, files: items.length, bytes, missing };
+}
+
+// ── Async job tracking ───────────────────────────────────
+
+const JOBS_STATE_PATH = join(OUT_DIR, "jobs.json");
+const JOB_POLL_INITIAL_MS = 3000;
+const JOB_POLL_MAX_MS = 30000;
+const JOB_MAX_AGE_MS = 60 * 60 * 1000; // stop polling after 1 hour
+const JOB_RETAIN_MS = 24 * 60 * 60 * 1000; // forget finished jobs after 1 day
+const AWAIT_DEFAULT_MS = 2 * 60 * 1000;
+const JOB_CALLBACK_POLL_MS = 60 * 1000;
+const TERMINAL_STATUSES = ["completed", "succeeded", "failed", "cancelled", "canceled", "timeout"];
+
+// Only one tracker may poll at a time — a hot-reloaded module instance
+// stops the previous one before resuming the jobs it left on disk.
+const TRACKER_KEY = Symbol.for("perstudio.jobTracker");
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function createJobTracker({ getConnection, logger, notify }) {
+  globalThis[TRACKER_KEY]?.stop();
+
+  const jobs = new Map();
+  const timers = new Map();
+  const waiters = new Map();
+  const inFlight = new Map(); // job_id → the poll or callback being applied
+  let saving = Promise.resolve();
+  let stopped = false;
+
+  function save() {
+    // Serialize writes and swap the file in atomically so a crash or
+    // reload mid-write never leaves a truncated state file behind.
+    saving = saving.then(() => writeFileAtomic(JOBS_STATE_PATH, JSON.stringify([...jobs.values()], null, 2))).catch((e) => logger.error(`perstudio-api: job state save failed: ${e.message}`));
+    return saving;
+  }
+
+  function settle(job) {
+    for (const resolveWaiter of waiters.get(job.job_id) || []) resolveWaiter(job);
+    waiters.delete(job.job_id);
+  }
+
+  function schedule(job, delayMs) {
+    if (stopped) return;
+    clearTimeout(timers.get(job.job_id));
+    // Polls belong to no tool call, so cancelling one never stops them
+    const timer = setTimeout(() => auditScope.exit(() => poll(job.job_id, delayMs)), delayMs);
+    timer.unref?.();
+    timers.set(job.job_id, timer);
+  }
+
+  async function finish(job, status, extra = {}, { quiet = false } = {}) {
+    Object.assign(job, extra, { status, updated_at: new Date().toISOString() });
+    clearTimeout(timers.get(job.job_id));
+    timers.delete(job.job_id);
+    await save();
+    settle(job);
+    if (quiet) return;
+    try {
+      notify?.(job);
+    } catch (e) {
+      logger.error(`perstudio-api: job notification failed: ${e.message}`);
+    }
+  }
+
+  // Run one poll or callback for a job at a time
+  function exclusive(jobId, fn) {
+    const run = fn().finally(() => inFlight.delete(jobId));
+    inFlight.set(jobId, run);
+    return run;
+  }
+
+  async function poll(jobId, lastDelayMs) {
+    const job = jobs.get(jobId);
+    if (!job || isTerminal(job.status) || stopped || inFlight.has(jobId)) return;
+    await exclusive(jobId, () => pollOnce(job, lastDelayMs));
+  }
+
+  // Jobs expecting a webhook callback are only polled as a safety net
+  const firstPollDelay = (job) => (job.callback ? JOB_CALLBACK_POLL_MS : JOB_POLL_INITIAL_MS);
+
+  async function pollOnce(job, lastDelayMs) {
+    const jobId = job.job_id;
+    // ...unless someone is blocked on await_job, in case the callback is lost
+    const nextDelay = job.callback && !waiters.has(jobId)
+      ? JOB_CALLBACK_POLL_MS
+      : Math.min(Math.max(Math.round(lastDelayMs * 1.5), JOB_POLL_INITIAL_MS), JOB_POLL_MAX_MS);
+    if (Date.now() - Date.parse(job.created_at) > JOB_MAX_AGE_MS) {
+      await finish(job, "timeout", { error: sanitizeError("timed out") });
+      return;
+    }
+
+    let conn;
+    try {
+      conn = getConnection(job.profile);
+    } catch (e) {
+      logger.error(`perstudio-api: job ${jobId} poll skipped: ${e.message}`);
+    }
+    if (!conn?.headers) {
+      schedule(job, nextDelay);
+      return;
+    }
+
+    let res;
+    try {
+      res = await httpJson(`${conn.baseUrl}/jobs/${encodeURIComponent(jobId)}`, { headers: conn.headers });
+    } catch (e) {
+      logger.error(`perstudio-api: job ${jobId} poll error: ${e.message}`);
+      schedule(job, nextDelay);
+      return;
+    }
+    if (res.status === 404) {
+      await finish(job, "failed", { error: "Job not found." });
+      return;
+    }
+    if (!res.ok || typeof res.data !== "object") {
+      schedule(job, nextDelay);
+      return;
+    }
+    if (!(await apply(job, res.data, conn))) schedule(job, nextDelay);
+  }
+
+  // Act on a job status from a poll or a callback: download, record and
+  // finish a completed job, finish a failed one, else note the status.
+  // Resolves to true once the job is terminal.
+  async function apply(job, data, conn) {
+    const jobId = job.job_id;
+    const status = data.status;
+    if (status === "completed" || status === "succeeded") {
+      const assetIds = extractAssetIds(data);
+      const files = await downloadAssets(assetIds, jobId, conn, logger, { provenance: job.provenance });
+      const params = generationParams(data);
+      if (files.length) {
+        persistToMemory({
+          intent: job.intent,
+          palette: job.palette,
+          inputAssetId: job.input_asset_id,
+          workflowName: data.workflow_name || data.workflow,
+          jobId,
+          outputs: files,
+          cost: job.cost,
+          lineage: { request: job.request, ...params, parent: job.parent },
+          logger,
+        }).catch((e) => logger.error(`perstudio-api: persistToMemory error: ${e.message}`));
+      }
+      logger.info(`perstudio-api: tracked job ${jobId} completed, ${files.length}/${assetIds.length} assets downloaded`);
+      await finish(job, "completed", {
+        files: files.map((f) => ({ asset_id: f.assetId, file_path: f.filePath })),
+        missing: assetIds.length - files.length,
+        ...params,
+      });
+      return true;
+    }
+    if (isTerminal(status)) {
+      await finish(job, status, { error: sanitizeError(data.error || "") });
+      return true;
+    }
+
+    if (job.status !== status) {
+      job.status = status || "pending";
+      job.updated_at = new Date().toISOString();
+      await save();
+    }
+    return false;
+  }
+
+  const tracker = {
+    async load() {
+      let saved = [];
+      try {
+        saved = JSON.parse(await readFile(JOBS_STATE_PATH, "utf8"));
+      } catch {
+        // No state yet, or unreadable — start fresh
+      }
+      const cutoff = Date.now() - JOB_RETAIN_MS;
+      let restored = 0;
+      for (const job of Array.isArray(saved) ? saved : []) {
+        if (!job?.job_id || jobs.has(job.job_id)) continue;
+        if (Date.parse(job.updated_at || job.created_at) < cutoff) continue;
+        jobs.set(job.job_id, job);
+        restored++;
+        if (!isTerminal(job.status)) schedule(job, firstPollDelay(job));
+      }
+      if (restored) logger.info(`perstudio-api: restored ${restored} tracked job(s)`);
+    },
+
+    track(jobId, meta = {}) {
+      if (jobs.has(jobId)) return jobs.get(jobId);
+      const now = new Date().toISOString();
+      const job = { job_id: jobId, status: "pending", ...meta, created_at: now, updated_at: now };
+      jobs.set(jobId, job);
+      save();
+      schedule(job, firstPollDelay(job));
+      return job;
+    },
+
+    // A status pushed by a webhook callback; false when the job isn't ours
+    async receive(jobId, data) {
+      const job = jobs.get(jobId);
+      if (!job) return false;
+      // Queue behind a poll already in flight, which may settle it first
+      while (inFlight.has(jobId)) await inFlight.get(jobId).catch(() => {});
+      if (isTerminal(job.status) || stopped) return true;
+      if (await exclusive(jobId, () => apply(job, data, getConnection(job.profile)))) {
+        logger.info(`perstudio-api: job ${jobId} settled by callback`);
+      }
+      return true;
+    },
+
+    get(jobId) {
+      return jobs.get(jobId);
+    },
+
+    // Resolves with the job once it reaches a terminal status, or with its
+    // current (still running) state when timeoutMs elapses or `signal` fires.
+    wait(jobId, timeoutMs = AWAIT_DEFAULT_MS, signal) {
+      const job = jobs.get(jobId);
+      if (!job || isTerminal(job.status) || signal?.aborted) return Promise.resolve(job);
+      return new Promise((resolveWait) => {
+        const giveUp = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", giveUp);
+          const list = waiters.get(jobId) || [];
+          waiters.set(jobId, list.filter((w) => w !== done));
+          resolveWait(jobs.get(jobId));
+        };
+        const timer = setTimeout(giveUp, timeoutMs);
+        signal?.addEventListener("abort", giveUp, { once: true });
+        const done = (j) => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", giveUp);
+          resolveWait(j);
+        };
+        waiters.set(jobId, [...(waiters.get(jobId) || []), done]);
+        // Poll right away instead of waiting out the current backoff step
+        schedule(job, 0);
+      });
+    },
+
+    // Download a finished job's outputs again when they are gone from disk
+    // (tmp cleared, cleanup); its gallery entry is left as it was
+    async restore(jobId) {
+      const job = jobs.get(jobId);
+      if (job?.status !== "completed" || !job.files?.length) return job;
+      const gone = [];
+      for (const f of job.files) {
+        if (!(await stat(f.file_path).then(() => true, () => false))) gone.push(f);
+      }
+      if (!gone.length) return job;
+      const files = await downloadAssets(gone.map((f) => f.asset_id), jobId, getConnection(job.profile), logger, { provenance: job.provenance });
+      for (const f of files) job.files.find((g) => g.asset_id === f.assetId).file_path = f.filePath;
+      logger.info(`perstudio-api: job ${jobId} outputs downloaded again, ${files.length}/${gone.length}`);
+      await save();
+      return job;
+    },
+
+    // Marks a job the user cancelled; no completion notice is sent for it
+    async cancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || isTerminal(job.status)) return job;
+      await finish(job, "cancelled", { error: "Generation cancelled." }, { quiet: true });
+      return job;
+    },
+
+    stop() {
+      stopped = true;
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      for (const job of jobs.values()) settle(job);
+      if (globalThis[TRACKER_KEY] === tracker) delete globalThis[TRACKER_KEY];
+    },
+  };
+
+  globalThis[TRACKER_KEY] = tracker;
+  return tracker;
+}
+
+// ── Job polling ──────────────────────────────────────────
+//
+// generate_sync and friends submit to /generate and wait here instead of
+// holding one request open, so a cancelled call can cancel the job too.
+
+const SYNC_POLL_INITIAL_MS = 250;
+const SYNC_POLL_MAX_MS = 5000;
+const JOB_CANCEL_TIMEOUT_MS = 10 * 1000;
+
+// Resolves with the last GET /jobs/:id response: a terminal job, an error,
+// or a job still running when `timeoutMs` ran out.
+async function pollJob(jobId, conn, { timeoutMs, signal }) {
+  const url = `${conn.baseUrl}/jobs/${encodeURIComponent(jobId)}`;
+  const deadline = Date.now() + timeoutMs;
+  for (let wait = SYNC_POLL_INITIAL_MS; ; wait = Math.min(Math.round(wait * 1.5), SYNC_POLL_MAX_MS)) {
+    await sleep(Math.max(Math.min(wait, deadline - Date.now()), 0), signal);
+    const res = await httpJson(url, { headers: conn.headers, signal });
+    if (!res.ok || typeof res.data !== "object" || isTerminal(res.data.status)) return res;
+    if (Date.now() >= deadline) return res;
+  }
+}
+
+function cancelJob(conn, jobId, signal) {
+  return httpJson(`${conn.baseUrl}/jobs/${encodeURIComponent(jobId)}/cancel`, {
+    method: "POST", headers: conn.headers, signal,
+  });
+}
+
+// ── Webhook callbacks ────────────────────────────────────
+//
+// Optional push instead of polling for `generate` jobs. A small listener
+// on 127.0.0.1 receives the backend's status callbacks, checks their
+// shared-secret signature and hands them to the job tracker, which
+// downloads and records the outputs as it would after a poll. Jobs sent
+// with a callback_url are still polled now and then, so a callback that
+// never arrives only delays the result.
+
+const WEBHOOK_PATH = "/perstudio/callback";
+const WEBHOOK_DEFAULT_PORT = 8790;
+const WEBHOOK_MAX_BODY = 64 * 1024;
+const WEBHOOK_MAX_SKEW_MS = 5 * 60 * 1000;
+const WEBHOOK_MIN_SECRET = 16;
+const WEBHOOK_FIELDS = ["enabled", "port", "secret", "publicUrl"];
+// One listener per process — a hot-reloaded instance closes the old one
+const WEBHOOK_KEY = Symbol.for("perstudio.webhook");
+
+// The `webhook` config section, or null while it is off
+function webhookSettings(raw) {
+  if (!raw || raw.enabled !== true) return null;
+  const unknown = Object.keys(raw).filter((k) => !WEBHOOK_FIELDS.includes(k));
+  if (unknown.length) throw new Error(`Invalid webhook config: unknown setting(s) ${unknown.join(", ")}`);
+  const port = raw.port ?? WEBHOOK_DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error("'webhook.port' must be a port number (0 picks a free one)");
+  const secret = raw.secret || process.env.PERSTUDIO_WEBHOOK_SECRET;
+  if (typeof secret !== "string" || secret.length < WEBHOOK_MIN_SECRET) {
+    throw new Error(`'webhook.secret' (or PERSTUDIO_WEBHOOK_SECRET) must be at least ${WEBHOOK_MIN_SECRET} characters`);
+  }
+  if (raw.publicUrl !== undefined && !/^https?:\/\/\S+$/.test(raw.publicUrl)) throw new Error("'webhook.publicUrl' must be an http(s) URL");
+  return { port, secret, publicUrl: raw.publicUrl || null };
+}
+
+// X-Perstudio-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">,
+// with X-Perstudio-Timestamp in Unix seconds
+function webhookSignature(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.`).update(body).digest("hex")}`;
+}
+
+// Why a callback fails verification, or null when it is genuine
+function webhookRejection(secret, headers, body, now = Date.now()) {
+  const timestamp = headers["x-perstudio-timestamp"];
+  const signature = headers["x-perstudio-signature"];
+  if (!timestamp || !signature) return "missing signature";
+  // Bounds replays of a captured callback
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp) * 1000) > WEBHOOK_MAX_SKEW_MS) return "stale timestamp";
+  const expected = Buffer.from(webhookSignature(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return "bad signature";
+  return null;
+}
+
+// Listen on 127.0.0.1; `onCallback(data)` returns false for unknown jobs.
+// Resolves to { server, port, url }, or rejects (e.g. port in use).
+async function startWebhookServer({ port, secret, publicUrl }, onCallback) {
+  const server = createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== "POST" || req.url.split("?")[0] !== WEBHOOK_PATH) return reply(404, { error: "not found" });
+    if (Number(req.headers["content-length"]) > WEBHOOK_MAX_BODY) return reply(413, { error: "body too large" });
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= WEBHOOK_MAX_BODY) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > WEBHOOK_MAX_BODY) return reply(413, { error: "body too large" });
+      const body = Buffer.concat(chunks);
+      const rejection = webhookRejection(secret, req.headers, body);
+      if (rejection) return reply(401, { error: rejection });
+      let data;
+      try {
+        data = JSON.parse(body.toString("utf8"));
+      } catch {
+        return reply(400, { error: "invalid JSON" });
+      }
+      if (typeof data?.job_id !== "string" || typeof data.status !== "string") {
+        return reply(400, { error: "'job_id' and 'status' are required" });
+      }
+      // Answer now; downloads happen after the backend has its 202
+      return onCallback(data) ? reply(202, { ok: true }) : reply(404, { error: "unknown job" });
+    });
+  });
+  await new Promise((resolveListen, rejectListen) => {
+    server.once("error", rejectListen);
+    server.listen(port, "127.0.0.1", () => {
+      server.off("error", rejectListen);
+      resolveListen();
+    });
+  });
+  server.unref();
+  const bound = server.address().port;
+  return { server, port: bound, url: publicUrl || `http://127.0.0.1:${bound}${WEBHOOK_PATH}` };
+}
+
+// Whether the backend at `baseUrl` runs on this machine, and so can reach
+// the listener without a publicUrl
+function isLoopbackUrl(baseUrl) {
+  try {
+    const host = new URL(baseUrl).hostname;
+    return host === "localhost" || host.endsWith(".localhost") || host === "[::1]" || /^127\./.test(host);
+  } catch {
+    return false;
+  }
+}
+
+function stopWebhookServer() {
+  globalThis[WEBHOOK_KEY]?.close();
+  delete globalThis[WEBHOOK_KEY];
+}
+
+// ── Spend guardrails ─────────────────────────────────────
+
+const LEDGER_PATH = join(STATE_DIR, "spend-ledger.jsonl");
+const PRICING_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Published per-category costs, used when /billing/pricing is unreachable
+const DEFAULT_PRICING = {
+  text_to_image: 250,
+  image_to_image: 250,
+  sticker: 250,
+  inpainting: 250,
+  upscale: 120,
+  product: 370,
+  portrait: 370,
+  controlnet: 370,
+  style_transfer: 370,
+  tts: 490,
+  video: 2200,
+};
+
+// Alternate names the pricing endpoint may use for each category
+const CATEGORY_ALIASES = {
+  text_to_image: ["txt2img", "t2i", "text_2_image"],
+  image_to_image: ["img2img", "i2i", "image_2_image"],
+  sticker: ["sticker_icon", "icon"],
+  inpainting: ["inpaint"],
+  upscale: ["upscaling"],
+  product: ["product_photography", "product_shot"],
+  portrait: ["portrait_avatar", "avatar"],
+  controlnet: ["control_net"],
+  style_transfer: ["style"],
+  tts: ["text_to_speech", "audio", "audio_tts", "speech"],
+  video: ["text_to_video", "image_to_video", "animation"],
+};
+
+const pricingCache = new Map(); // baseUrl -> { at, prices }
+
+function normalizeCategory(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+function priceOf(item) {
+  const v = item?.credits ?? item?.tokens ?? item?.cost ?? item?.price;
+  return typeof v === "number" ? v : Number(v);
+}
+
+// Accepts `{ category: credits }`, `{ categories|costs|pricing: ... }`, or
+// a list of `{ category|name, credits|tokens|cost }` rows.
+function parsePricing(data) {
+  const src = data?.categories || data?.costs || data?.pricing || data;
+  const raw = {};
+  if (Array.isArray(src)) {
+    for (const row of src) {
+      const name = row?.category || row?.name || row?.id;
+      if (name) raw[normalizeCategory(name)] = priceOf(row);
+    }
+  } else if (src && typeof src === "object") {
+    for (const [name, v] of Object.entries(src)) {
+      raw[normalizeCategory(name)] = typeof v === "object" ? priceOf(v) : Number(v);
+    }
+  }
+  const prices = { ...DEFAULT_PRICING };
+  for (const category of Object.keys(DEFAULT_PRICING)) {
+    for (const key of [category, ...CATEGORY_ALIASES[category]]) {
+      if (Number.isFinite(raw[key]) && raw[key] > 0) {
+        prices[category] = raw[key];
+        break;
+      }
+    }
+  }
+  return prices;
+}
+
+async function getPricing(conn, logger) {
+  const cached = pricingCache.get(conn.baseUrl);
+  if (cached && Date.now() - cached.at < PRICING_TTL_MS) return cached.prices;
+  let prices = DEFAULT_PRICING;
+  try {
+    const res = await httpJson(`${conn.baseUrl}/billing/pricing`, { headers: conn.headers || {}, timeoutMs: 10000 });
+    if (res.ok) prices = parsePricing(res.data);
+  } catch (e) {
+    logger.error(`perstudio-api: pricing fetch failed, using defaults: ${e.message}`);
+  }
+  pricingCache.set(conn.baseUrl, { at: Date.now(), prices });
+  return prices;
+}
+
+// Best local guess at the category the backend will route an intent to.
+// It errs toward the pricier category when the wording is ambiguous.
+function classifyIntent(args) {
+  const intent = String(args.intent || "").toLowerCase();
+  const hasImage = Boolean(args.input_image_asset_id);
+  if (wantsVideo(args) || /\b(video|animat\w*|motion|movie|timelapse|time-lapse|cinemagraph)\b/.test(intent)) return "video";
+  if (args.voice_reference_asset_id || /\b(speech|voice|narrat\w*|tts|speak|read aloud)\b/.test(intent)) return "tts";
+  if (hasImage && /\b(upscale|enhance resolution|higher resolution|4x)\b/.test(intent)) return "upscale";
+  if (/\b(product|packshot|e-?commerce)\b/.test(intent)) return "product";
+  if (/\b(portrait|avatar|headshot|selfie)\b/.test(intent)) return "portrait";
+  if (args.control_image_asset_id) return "controlnet";
+  if (args.style_reference_asset_id || (hasImage && /\bstyle\b/.test(intent))) return "style_transfer";
+  if (/\b(sticker|icon|emoji)\b/.test(intent)) return "sticker";
+  if (args.input_mask_asset_id || (hasImage && /\b(inpaint\w*|remove|replace|erase)\b/.test(intent))) return "inpainting";
+  return hasImage ? "image_to_image" : "text_to_image";
+}
+
+function creditsFor(prices, category, args) {
+  const count = args.num_outputs || 1;
+  let credits = prices[category] * count;
+  if (args.auto_upscale && category !== "upscale" && category !== "video" && category !== "tts") {
+    credits += prices.upscale * count;
+  }
+  return credits;
+}
+
+async function estimateCost(args, conn, logger) {
+  const prices = await getPricing(conn, logger);
+  const category = classifyIntent(args);
+  return { category, credits: creditsFor(prices, category, args) };
+}
+
+async function readLedger() {
+  let raw;
+  try {
+    raw = await readFile(LEDGER_PATH, "utf8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a partially written line
+    }
+  }
+  return entries;
+}
+
+async function recordSpend(entry) {
+  await mkdir(STATE_DIR, { recursive: true });
+  await appendFile(LEDGER_PATH, JSON.stringify(entry) + "\n");
+}
+
+function spentSince(entries, predicate) {
+  return entries.filter(predicate).reduce((sum, e) => sum + (Number(e.credits) || 0), 0);
+}
+
+// Transactions use negative amounts (or a debit-like type) for spend.
+function serverSpendToday(data) {
+  const rows = Array.isArray(data) ? data : (data?.transactions || data?.items || []);
+  const today = localDay();
+  let total = 0;
+  for (const tx of rows) {
+    const when = tx?.created_at || tx?.timestamp || tx?.date;
+    if (!when || localDay(new Date(when)) !== today) continue;
+    const amount = Number(tx.amount ?? tx.tokens ?? tx.credits ?? 0);
+    const debit = amount < 0 || /debit|usage|charge|spend|generation/i.test(tx.type || "");
+    if (debit) total += Math.abs(amount);
+  }
+  return total;
+}
+
+// Returns a description of the first cap the estimate would break, or null.
+function checkCaps(caps, credits, spent) {
+  if (caps.maxCreditsPerCall && credits > caps.maxCreditsPerCall) {
+    return `the per-call cap of ${caps.maxCreditsPerCall} credits`;
+  }
+  if (caps.maxCreditsPerDay && spent.day + credits > caps.maxCreditsPerDay) {
+    return `the daily cap (${spent.day} of ${caps.maxCreditsPerDay} credits used today)`;
+  }
+  if (caps.maxCreditsPerSession && spent.session + credits > caps.maxCreditsPerSession) {
+    return `the session cap (${spent.session} of ${caps.maxCreditsPerSession} credits used this session)`;
+  }
+  return null;
+}
+
+// ── Audit log ────────────────────────────────────────────
+//
+// One JSONL record per tool call: who (session, profile), what (action,
+// sanitized args), how it went (HTTP status, retries, latency, error) and
+// what it cost and produced. Calls run inside an AsyncLocalStorage scope so
+// httpJson and the spend ledger can add to the current record without
+// every helper passing it along. The file rotates by size; usage_report
+// reads it back and an optional Prometheus text file mirrors the totals.
+
+const AUDIT_PATH = join(STATE_DIR, "audit.jsonl");
+const AUDIT_MAX_MB = 10;
+const AUDIT_KEEP_FILES = 5;
+const AUDIT_MAX_KEEP_FILES = 20;
+const AUDIT_STRING_MAX = 500;
+const AUDIT_ARRAY_MAX = 50;
+const AUDIT_SECRET_KEY = /key|token|secret|password|authorization/i;
+
+const auditScope = new AsyncLocalStorage();
+let auditWrites = Promise.resolve();
+
+// Record HTTP stats on the call in scope. The scope closes when the call
+// returns, so background polling it started doesn't change the record.
+function noteHttp(status, stats) {
+  const call = auditScope.getStore();
+  if (!call || call.closed) return;
+  if (status !== null) call.http_status = status;
+  call.retries += stats.retries;
+  call.cold_start_ms += stats.coldStartMs;
+}
+
+// The host's cancellation signal for the call in scope, while it is open
+function callSignal() {
+  const call = auditScope.getStore();
+  return call && !call.closed ? call.signal : undefined;
+}
+
+function noteCredits(credits, category) {
+  const call = auditScope.getStore();
+  if (!call || call.closed) return;
+  call.credits += credits;
+  call.category = call.category || category;
+}
+
+// Args as stored in the audit log: secrets redacted, long values cut
+function auditArgs(value, depth = 0) {
+  if (typeof value === "string") {
+    return value.length > AUDIT_STRING_MAX ? `${value.slice(0, AUDIT_STRING_MAX)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, AUDIT_ARRAY_MAX).map((v) => auditArgs(v, depth + 1));
+    if (value.length > AUDIT_ARRAY_MAX) items.push(`… ${value.length - AUDIT_ARRAY_MAX} more`);
+    return items;
+  }
+  if (value && typeof value === "object") {
+    if (depth >= 4) return "[nested]";
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, AUDIT_SECRET_KEY.test(k) ? "[redacted]" : auditArgs(v, depth + 1)]));
+  }
+  return value;
+}
+
+// Local files a tool result handed back (MEDIA:/FILE: lines)
+function resultFiles(result) {
+  const files = [];
+  for (const block of result?.content || []) {
+    if (block.type !== "text") continue;
+    for (const line of block.text.split("\n")) {
+      const m = /^(?:MEDIA|FILE):(.+)$/.exec(line);
+      if (m) files.push(m[1]);
+    }
+  }
+  return files;
+}
+
+// audit.jsonl followed by `rotated` older generations
+function auditPaths(rotated) {
+  return Array.from({ length: rotated + 1 }, (_, i) => (i ? `${AUDIT_PATH}.${i}` : AUDIT_PATH));
+}
+
+// Append a record, first rotating audit.jsonl → .1 → .2 … when it would
+// grow past maxFileMB. Writes are queued so rotation never races an append.
+function appendAudit(record, { maxFileMB = AUDIT_MAX_MB, keepFiles = AUDIT_KEEP_FILES } = {}) {
+  const line = JSON.stringify(record) + "\n";
+  const write = auditWrites.then(async () => {
+    await mkdir(STATE_DIR, { recursive: true });
+    const size = await stat(AUDIT_PATH).then((st) => st.size, () => 0);
+    if (size && size + Buffer.byteLength(line) > maxFileMB * 1024 * 1024) {
+      const paths = auditPaths(Math.min(keepFiles, AUDIT_MAX_KEEP_FILES));
+      await unlink(paths[paths.length - 1]).catch(() => {});
+      for (let i = paths.length - 2; i >= 0; i--) {
+        await rename(paths[i], paths[i + 1]).catch(() => {});
+      }
+    }
+    await appendFile(AUDIT_PATH, line);
+  });
+  auditWrites = write.catch(() => {});
+  return write;
+}
+
+// Every record still on disk, oldest first
+async function readAudit() {
+  await auditWrites;
+  const records = [];
+  for (const path of auditPaths(AUDIT_MAX_KEEP_FILES).reverse()) {
+    let raw;
+    try {
+      raw = await readFile(path, "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A torn last line from a crash — skip it
+      }
+    }
+  }
+  return records;
+}
+
+function usageBucket() {
+  return { calls: 0, errors: 0, credits: 0, outputs: 0, latency_ms_total: 0 };
+}
+
+function addUsage(bucket, r) {
+  bucket.calls++;
+  if (!r.ok) bucket.errors++;
+  bucket.credits += r.credits || 0;
+  bucket.outputs += r.outputs?.length || 0;
+  bucket.latency_ms_total += r.latency_ms || 0;
+}
+
+function finishUsage(groups) {
+  return Object.fromEntries(Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)).map(([key, { latency_ms_total, ...b }]) => [
+    key, { ...b, avg_latency_ms: b.calls ? Math.round(latency_ms_total / b.calls) : 0 },
+  ]));
+}
+
+// Totals plus breakdowns by day, action, category and profile, and the
+// most expensive calls with their prompts
+function usageReport(records, { since, until, top = 10 } = {}) {
+  const from = parseDateBound(since, false);
+  const to = parseDateBound(until, true);
+  const picked = records.filter((r) => {
+    const t = Date.parse(r.ts);
+    return (from === null || t >= from) && (to === null || t <= to);
+  });
+  const totals = usageBucket();
+  const groups = { by_day: {}, by_action: {}, by_category: {}, by_profile: {} };
+  for (const r of picked) {
+    addUsage(totals, r);
+    const keys = {
+      by_day: localDay(new Date(r.ts)),
+      by_action: r.action,
+      by_category: r.category || "none",
+      by_profile: r.profile || "default",
+    };
+    for (const [group, key] of Object.entries(keys)) addUsage(groups[group][key] ||= usageBucket(), r);
+  }
+  return {
+    since: since || picked[0]?.ts || null,
+    until: until || picked[picked.length - 1]?.ts || null,
+    totals: finishUsage({ all: totals }).all,
+    by_day: finishUsage(groups.by_day),
+    by_action: finishUsage(groups.by_action),
+    by_category: finishUsage(groups.by_category),
+    by_profile: finishUsage(groups.by_profile),
+    top_spend: picked
+      .filter((r) => r.credits > 0)
+      .sort((a, b) => b.credits - a.credits)
+      .slice(0, top)
+      .map((r) => ({ ts: r.ts, action: r.action, profile: r.profile, credits: r.credits, intent: r.args?.intent ?? null, batch: r.batch })),
+  };
+}
+
+// Running totals since load, written in the Prometheus text format for a
+// node_exporter textfile collector (or anything that reads the format)
+function createMetrics() {
+  const calls = new Map(); // "action\0outcome" → count
+  const credits = new Map(); // "action\0category" → credits
+  const latency = new Map(); // action → { sum, count }
+  const retries = new Map(); // action → count
+
+  const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+  const label = (v) => String(v).replace(/[\\"\n]/g, (c) => (c === "\n" ? "\\n" : `\\${c}`));
+
+  return {
+    observe(r) {
+      bump(calls, `${r.action}\0${r.ok ? "ok" : "error"}`);
+      if (r.credits) bump(credits, `${r.action}\0${r.category || "none"}`, r.credits);
+      const l = latency.get(r.action) || { sum: 0, count: 0 };
+      latency.set(r.action, { sum: l.sum + (r.latency_ms || 0) / 1000, count: l.count + 1 });
+      if (r.retries) bump(retries, r.action, r.retries);
+    },
+
+    render() {
+      const lines = [];
+      const family = (name, type, help, entries) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of entries) lines.push(`${name}{${labels}} ${value}`);
+      };
+      const pairs = (key, names) => key.split("\0").map((v, i) => `${names[i]}="${label(v)}"`).join(",");
+      family("perstudio_tool_calls_total", "counter", "Tool calls by action and outcome",
+        [...calls].map(([k, v]) => [pairs(k, ["action", "outcome"]), v]));
+      family("perstudio_credits_total", "counter", "Credits charged by action and category",
+        [...credits].map(([k, v]) => [pairs(k, ["action", "category"]), v]));
+      family("perstudio_http_retries_total", "counter", "API request retries by action",
+        [...retries].map(([k, v]) => [pairs(k, ["action"]), v]));
+      lines.push("# HELP perstudio_call_duration_seconds Tool call latency", "# TYPE perstudio_call_duration_seconds summary");
+      for (const [action, { sum, count }] of latency) {
+        lines.push(`perstudio_call_duration_seconds_sum{action="${label(action)}"} ${sum.toFixed(3)}`);
+        lines.push(`perstudio_call_duration_seconds_count{action="${label(action)}"} ${count}`);
+      }
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+// ── Publishing ───────────────────────────────────────────
+//
+// host_image hands a local file to a named publishing target and gets a
+// URL back. Each target has a `type` selecting one of PUBLISHERS below;
+// the built-in "catbox" target is always available unless disabled.
+
+const CATBOX_URL = "https://catbox.moe/user/api.php";
+const PUBLISH_TIMEOUT_MS = 5 * 60 * 1000;
+
+async function uploadToCatbox(filePath, signal) {
+  const fileData = await readFile(filePath);
+  const fileName = basename(filePath);
+  const formData = new FormData();
+  formData.append("reqtype", "fileupload");
+  formData.append("fileToUpload", new Blob([fileData]), fileName);
+  const res = await fetch(CATBOX_URL, { method: "POST", body: formData, signal });
+  const url = await res.text();
+  if (!res.ok || !url.startsWith("http")) {
+    throw new Error(`Catbox upload failed: ${res.status} ${url}`);
+  }
+  return url.trim();
+}
+
+// Unique, URL-safe object name: <prefix>YYYY-MM-DD/<random>-<file name>
+function publishKey(filePath, prefix = "") {
+  const p = prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix;
+  return `${p}${localDay()}/${randomUUID().slice(0, 8)}-${safeFileName(basename(filePath))}`;
+}
+
+function joinUrl(base, key) {
+  return `${base.replace(/\/+$/, "")}/${key.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+function contentTypeFor(fileData) {
+  return sniffMime(fileData) || "application/octet-stream";
+}
+
+// RFC 3986 encoding as required by AWS Signature V4 canonical URIs
+function awsUriEncode(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+const sha256Hex = (data) => createHash("sha256").update(data).digest("hex");
+
+// PUT one object to an S3-compatible bucket (AWS, MinIO, R2, ...), signed
+// with Signature V4. Path-style addressing is the default so a local MinIO
+// works without DNS setup.
+async function s3PutObject(target, key, body, contentType, signal) {
+  const endpoint = new URL(target.endpoint || `https://s3.${target.region || "us-east-1"}.amazonaws.com`);
+  const region = target.region || "us-east-1";
+  const accessKeyId = target.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = target.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+  const sessionToken = target.sessionToken || process.env.AWS_SESSION_TOKEN;
+  if (!accessKeyId || !secretAccessKey) throw new Error("S3 credentials not configured");
+
+  const encodedKey = key.split("/").map(awsUriEncode).join("/");
+  const basePath = endpoint.pathname.replace(/\/+$/, "");
+  const pathStyle = target.forcePathStyle !== false;
+  const host = pathStyle ? endpoint.host : `${target.bucket}.${endpoint.host}`;
+  const path = pathStyle ? `${basePath}/${awsUriEncode(target.bucket)}/${encodedKey}` : `${basePath}/${encodedKey}`;
+  const url = `${endpoint.protocol}//${host}${path}`;
+
+  const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+  const headers = {
+    "content-type": contentType,
+    host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (sessionToken) headers["x-amz-security-token"] = sessionToken;
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    "PUT", path, "",
+    ...signedHeaders.map((h) => `${h}:${headers[h]}`), "",
+    signedHeaders.join(";"), payloadHash,
+  ].join("\n");
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+  const signature = createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const { host: _host, ...sendHeaders } = headers;
+  const res = await fetch(url, {
+    method: "PUT",
+    headers: {
+      ...sendHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+    },
+    body,
+    signal,
+  });
+  if (!res.ok) {
+    const detail = (await res.text()).slice(0, 300);
+    throw new Error(`S3 upload failed: HTTP ${res.status} ${detail}`);
+  }
+  return url;
+}
+
+// publish(target, filePath, { signal }) resolves to the file's public URL
+const PUBLISHERS = {
+  catbox: {
+    validate() {},
+    async publish(_target, filePath, { signal }) {
+      return uploadToCatbox(filePath, signal);
+    },
+  },
+
+  s3: {
+    validate(t) {
+      if (!t.bucket) return "'bucket' is required";
+      if (t.endpoint && !/^https?:\/\//.test(t.endpoint)) return "'endpoint' must be an http(s) URL";
+    },
+    async publish(target, filePath, { signal }) {
+      const body = await readFile(filePath);
+      const key = publishKey(filePath, target.prefix);
+      const objectUrl = await s3PutObject(target, key, body, contentTypeFor(body), signal);
+      return target.publicUrl ? joinUrl(target.publicUrl, key) : objectUrl;
+    },
+  },
+
+  // Generic HTTP PUT — also covers WebDAV servers
+  http: {
+    validate(t) {
+      if (!/^https?:\/\//.test(t.url || "")) return "'url' must be an http(s) URL";
+    },
+    async publish(target, filePath, { signal }) {
+      const body = await readFile(filePath);
+      const key = publishKey(filePath, target.prefix);
+      const putUrl = joinUrl(target.url, key);
+      const headers = { "Content-Type": contentTypeFor(body), ...(target.headers || {}) };
+      if (target.username) {
+        headers.Authorization = `Basic ${Buffer.from(`${target.username}:${target.password || ""}`).toString("base64")}`;
+      }
+      if (target.webdav) {
+        // WebDAV needs each parent collection to exist before the PUT
+        let dir = target.url.replace(/\/+$/, "");
+        for (const part of key.split("/").slice(0, -1)) {
+          dir += `/${encodeURIComponent(part)}`;
+          const made = await fetch(dir, { method: "MKCOL", headers: target.username ? { Authorization: headers.Authorization } : {}, signal });
+          await made.body?.cancel();
+          // 405: the collection already exists
+          if (made.status !== 201 && made.status !== 405) {
+            throw new Error(`WebDAV MKCOL ${new URL(dir).pathname} failed: HTTP ${made.status}`);
+          }
+        }
+      }
+      const res = await fetch(putUrl, { method: target.method || "PUT", headers, body, signal });
+      if (!res.ok) throw new Error(`HTTP upload failed: ${res.status} ${(await res.text()).slice(0, 300)}`);
+      return target.publicUrl ? joinUrl(target.publicUrl, key) : putUrl;
+    },
+  },
+
+  // Copy into a directory some web server already serves
+  local: {
+    validate(t) {
+      if (!t.directory) return "'directory' is required";
+    },
+    async publish(target, filePath, { signal }) {
+      signal?.throwIfAborted();
+      const key = publishKey(filePath, target.prefix);
+      const dest = join(target.directory, ...key.split("/"));
+      await mkdir(dirname(dest), { recursive: true });
+      await copyFile(filePath, dest);
+      return target.publicUrl ? joinUrl(target.publicUrl, key) : `file://${dest}`;
+    },
+  },
+};
+
+// Named targets from config plus the built-in catbox one.
+function publishTargets(config) {
+  const publishing = config.publishing || {};
+  const targets = {};
+  if (!publishing.disableCatbox) targets.catbox = { type: "catbox" };
+  Object.assign(targets, publishing.targets || {});
+  return targets;
+}
+
+function resolvePublishTarget(config, name) {
+  const targets = publishTargets(config);
+  const targetName = name || config.publishing?.defaultTarget || (targets.catbox ? "catbox" : Object.keys(targets)[0]);
+  const target = targetName && targets[targetName];
+  if (!target) {
+    const known = Object.keys(targets);
+    throw new Error(`Unknown publishing target '${targetName || ""}'.${known.length ? ` Available: ${known.join(", ")}` : " No targets are configured."}`);
+  }
+  const publisher = PUBLISHERS[target.type];
+  if (!publisher) throw new Error(`Publishing target '${targetName}' has unknown type '${target.type}'`);
+  const problem = publisher.validate(target);
+  if (problem) throw new Error(`Publishing target '${targetName}': ${problem}`);
+  return { name: targetName, target, publisher };
+}
+
+// Stops with the tool call it belongs to, or after PUBLISH_TIMEOUT_MS
+async function publishFile(config, targetName, filePath) {
+  const { name, target, publisher } = resolvePublishTarget(config, targetName);
+  const signal = anySignal(callSignal(), AbortSignal.timeout(PUBLISH_TIMEOUT_MS));
+  try {
+    const url = await publisher.publish(target, filePath, { signal });
+    return { target: name, url };
+  } catch (e) {
+    if (e.name === "TimeoutError") throw new Error(`Publishing to '${name}' timed out after ${PUBLISH_TIMEOUT_MS / 60000} minutes`);
+    throw e;
+  }
+}
+
+// ── Moltbook posting ─────────────────────────────────────
+
+const MOLTBOOK_BASE = "https://www.moltbook.com/api/v1";
+
+async function postToMoltbook({ title, content, submolt, url, apiKey }) {
+  if (!apiKey) throw new Error("Moltbook API key not configured (publishing.moltbook.apiKey or MOLTBOOK_API_KEY)");
+
+  const attribution = "\n\n*image by [perstudio.ai](https://perstudio.ai)*";
+  const body = { title, submolt_name: submolt || "general" };
+  body.content = (content || "") + attribution;
+  if (url) body.url = url;
+
+  const res = await fetch(`${MOLTBOOK_BASE}/posts`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal: anySignal(callSignal(), AbortSignal.timeout(PUBLISH_TIMEOUT_MS)),
+  });
+  const data = await res.text();
+  let parsed;
+  try { parsed = JSON.parse(data); } catch { parsed = data; }
+  if (!res.ok) {
+    const detail = parsed?.detail || parsed?.message || data;
+    throw new Error(`Moltbook POST failed: HTTP ${res.status} ${detail}`);
+  }
+  return parsed;
+}
+
+// ── Generation requests ──────────────────────────────────
+
+// Typed reference inputs, forwarded as-is to the generate endpoints
+const REFERENCE_SLOTS = [
+  "style_reference_asset_id",
+  "control_image_asset_id",
+  "voice_reference_asset_id",
+  "first_frame_asset_id",
+  "last_frame_asset_id",
+];
+const MAX_INPUT_ASSETS = 8;
+const ASSET_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Video settings, forwarded as-is; any of them (or a frame) makes it a video
+const VIDEO_FIELDS = ["duration_seconds", "fps", "aspect_ratio", "motion_strength"];
+const VIDEO_MAX_SECONDS = 20;
+const VIDEO_MAX_FPS = 60;
+
+const wantsVideo = (args) =>
+  VIDEO_FIELDS.some((f) => args[f] !== undefined) || Boolean(args.first_frame_asset_id || args.last_frame_asset_id);
+
+// Returns an error message for malformed video settings, or null.
+function validateVideoOptions(args) {
+  const d = args.duration_seconds;
+  if (d !== undefined && !(typeof d === "number" && d > 0 && d <= VIDEO_MAX_SECONDS)) {
+    return `'duration_seconds' must be a number of seconds up to ${VIDEO_MAX_SECONDS}`;
+  }
+  if (args.fps !== undefined && !(Number.isInteger(args.fps) && args.fps >= 1 && args.fps <= VIDEO_MAX_FPS)) {
+    return `'fps' must be an integer between 1 and ${VIDEO_MAX_FPS}`;
+  }
+  if (args.aspect_ratio !== undefined) {
+    let ratio;
+    try {
+      ratio = parseAspect(args.aspect_ratio);
+    } catch {
+      return "'aspect_ratio' must look like '16:9'";
+    }
+    if (ratio < 0.25 || ratio > 4) return "'aspect_ratio' must be between 1:4 and 4:1";
+  }
+  const m = args.motion_strength;
+  if (m !== undefined && !(typeof m === "number" && m >= 0 && m <= 1)) {
+    return "'motion_strength' must be a number from 0 (still) to 1 (lots of motion)";
+  }
+  return null;
+}
+
+// Returns an error message for malformed asset inputs, or null.
+function validateAssetInputs(args) {
+  for (const slot of ["input_image_asset_id", "input_mask_asset_id", ...REFERENCE_SLOTS]) {
+    if (args[slot] !== undefined && !(typeof args[slot] === "string" && ASSET_ID_PATTERN.test(args[slot]))) {
+      return `'${slot}' must be an asset id returned by upload_asset`;
+    }
+  }
+  if (args.input_asset_ids !== undefined) {
+    const ids = args.input_asset_ids;
+    if (!Array.isArray(ids) || !ids.every((id) => typeof id === "string" && ASSET_ID_PATTERN.test(id))) {
+      return "'input_asset_ids' must be an array of asset ids returned by upload_asset";
+    }
+    if (ids.length > MAX_INPUT_ASSETS) return `'input_asset_ids' accepts at most ${MAX_INPUT_ASSETS} assets`;
+    if (new Set(ids).size !== ids.length) return "'input_asset_ids' contains duplicates";
+  }
+  if (args.input_mask_asset_id && !args.input_image_asset_id) {
+    return "'input_mask_asset_id' needs 'input_image_asset_id' — upload the image being inpainted too";
+  }
+  return null;
+}
+
+// Request body for /generate (generate, generate_sync and batches)
+function buildGenerateBody(args) {
+  const body = { intent: args.intent };
+  if (args.input_image_asset_id) body.input_image_asset_id = args.input_image_asset_id;
+  if (args.input_mask_asset_id) body.input_mask_asset_id = args.input_mask_asset_id;
+  for (const slot of REFERENCE_SLOTS) {
+    if (args[slot]) body[slot] = args[slot];
+  }
+  if (args.input_asset_ids?.length) body.input_asset_ids = args.input_asset_ids;
+  for (const field of VIDEO_FIELDS) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  if (args.slot_overrides) body.slot_overrides = args.slot_overrides;
+  if (args.auto_upscale !== undefined) body.auto_upscale = args.auto_upscale;
+  if (args.palette) body.palette = args.palette;
+  if (args.num_outputs) body.num_outputs = args.num_outputs;
+  if (args.seed !== undefined) body.seed = args.seed;
+  return body;
+}
+
+// ── Planning ─────────────────────────────────────────────
+//
+// What `plan` (and `dry_run` on the generation actions) reports before
+// anything is paid for. Only capability categories are shown, never the
+// workflow the backend would pick.
+
+const CAPABILITIES_TTL_MS = 60 * 60 * 1000; // 1 hour
+const capabilitiesCache = new Map(); // baseUrl -> { at, capabilities }
+
+const CATEGORY_MEDIA = { video: "video", tts: "audio" };
+
+// Local categories that are flavours of a broader backend capability
+const CAPABILITY_OF = { product: "text_to_image", portrait: "text_to_image", sticker: "text_to_image", controlnet: "image_to_image" };
+
+// /capabilities in local category names, or null when it can't be read
+function parseCapabilities(data) {
+  if (!data || typeof data !== "object") return null;
+  const categories = new Set();
+  for (const item of Array.isArray(data.categories) ? data.categories : []) {
+    const key = normalizeCategory(typeof item === "object" ? item?.category || item?.name || "" : item);
+    const local = Object.keys(DEFAULT_PRICING).find((c) => c === key || CATEGORY_ALIASES[c].includes(key));
+    if (local) categories.add(local);
+  }
+  return {
+    categories: [...categories],
+    max_outputs: Number.isInteger(data.max_outputs) ? data.max_outputs : MAX_OUTPUTS,
+    input_slots: Array.isArray(data.input_slots) ? data.input_slots : null,
+  };
+}
+
+async function getCapabilities(conn, logger) {
+  const cached = capabilitiesCache.get(conn.baseUrl);
+  if (cached && Date.now() - cached.at < CAPABILITIES_TTL_MS) return cached.capabilities;
+  let capabilities = null;
+  try {
+    const res = await httpJson(`${conn.baseUrl}/capabilities`, { headers: conn.headers || {}, timeoutMs: 10000 });
+    if (res.ok) capabilities = parseCapabilities(res.data);
+  } catch (e) {
+    logger.error(`perstudio-api: capabilities fetch failed, planning locally: ${e.message}`);
+  }
+  capabilitiesCache.set(conn.baseUrl, { at: Date.now(), capabilities });
+  return capabilities;
+}
+
+// classifyIntent, except that an edit of an image nobody supplied still
+// counts as that edit, so the plan can ask for the image
+function planCategory(args) {
+  const hasImage = Boolean(args.input_image_asset_id || args.input_image_path);
+  const category = classifyIntent({ ...args, input_image_asset_id: hasImage ? "input" : undefined });
+  if (hasImage) return category;
+  const edit = classifyIntent({ ...args, input_image_asset_id: "input" });
+  return edit === "upscale" || edit === "inpainting" ? edit : category;
+}
+
+// What `category` still needs that the request doesn't have
+function missingInputs(args, category) {
+  const hasImage = Boolean(args.input_image_asset_id || args.input_image_path);
+  const missing = [];
+  if (!hasImage && (category === "upscale" || category === "inpainting")) {
+    missing.push(`${category} needs the image to work on: pass 'input_image_path' or 'input_image_asset_id'`);
+  }
+  if (category === "inpainting" && !args.input_mask_asset_id) {
+    missing.push("inpainting needs a mask (white = area to change): build one with create_mask and pass 'input_mask_asset_id'");
+  }
+  if (category === "tts" && !args.voice_reference_asset_id && /\b(my|same|their|his|her) voice\b|\bclon\w*/i.test(args.intent)) {
+    missing.push("voice cloning needs a voice sample: upload one with upload_asset and pass 'voice_reference_asset_id'");
+  }
+  return missing;
+}
+
+// Mismatches between the request and what the backend says it offers
+function capabilityProblems(args, category, capabilities) {
+  if (!capabilities) return [];
+  const problems = [];
+  const capability = CAPABILITY_OF[category] || category;
+  if (capabilities.categories.length && !capabilities.categories.includes(capability)) {
+    problems.push(`${capability.replace(/_/g, " ")} is not offered by the service right now`);
+  }
+  if ((args.num_outputs || 1) > capabilities.max_outputs) {
+    problems.push(`the service returns at most ${capabilities.max_outputs} outputs per call`);
+  }
+  if (capabilities.input_slots) {
+    for (const slot of ["input_image_asset_id", "input_mask_asset_id", ...REFERENCE_SLOTS]) {
+      if (args[slot] && !capabilities.input_slots.includes(slot)) problems.push(`'${slot}' is not accepted by the service`);
+    }
+  }
+  return problems;
+}
+
+// ── Presets ──────────────────────────────────────────────
+//
+// Named bundles of generation defaults. Presets come from the plugin config
+// (`presets`) and from a workspace file the preset_* actions manage; a
+// workspace preset shadows a config preset with the same name.
+
+const PRESETS_PATH = join(homedir(), ".openclaw", "workspace", "perstudio-presets.json");
+const PRESETS_LOCK_PATH = join(homedir(), ".openclaw", "workspace", ".perstudio-presets.lock");
+const PRESET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PRESET_TEMPLATE_MAX = 2000;
+const PRESET_DEFAULT_FIELDS = ["palette", "auto_upscale", ...REFERENCE_SLOTS, ...VIDEO_FIELDS];
+
+function validatePreset(def) {
+  if (!def || typeof def !== "object" || Array.isArray(def)) return "a preset must be an object";
+  const known = ["description", "intent_prefix", "intent_suffix", "variables", "slot_overrides", ...PRESET_DEFAULT_FIELDS];
+  const unknown = Object.keys(def).filter((k) => !known.includes(k));
+  if (unknown.length) return `unknown field(s) ${unknown.map((k) => `'${k}'`).join(", ")}`;
+  for (const key of ["description", "intent_prefix", "intent_suffix", "palette"]) {
+    if (def[key] !== undefined && (typeof def[key] !== "string" || def[key].length > PRESET_TEMPLATE_MAX)) {
+      return `'${key}' must be a string of at most ${PRESET_TEMPLATE_MAX} characters`;
+    }
+  }
+  if (def.variables !== undefined) {
+    const vars = def.variables;
+    if (!vars || typeof vars !== "object" || Array.isArray(vars) || !Object.values(vars).every((v) => typeof v === "string")) {
+      return "'variables' must map names to string defaults";
+    }
+  }
+  if (def.slot_overrides !== undefined && (!def.slot_overrides || typeof def.slot_overrides !== "object" || Array.isArray(def.slot_overrides))) {
+    return "'slot_overrides' must be an object";
+  }
+  if (def.auto_upscale !== undefined && typeof def.auto_upscale !== "boolean") return "'auto_upscale' must be true or false";
+  for (const slot of REFERENCE_SLOTS) {
+    if (def[slot] !== undefined && !(typeof def[slot] === "string" && ASSET_ID_PATTERN.test(def[slot]))) {
+      return `'${slot}' must be an asset id returned by upload_asset`;
+    }
+  }
+  return validateVideoOptions(def);
+}
+
+async function readPresetFile() {
+  let raw;
+  try {
+    raw = await readFile(PRESETS_PATH, "utf8");
+  } catch {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    throw new Error(`${basename(PRESETS_PATH)} is not valid JSON — fix or remove it`);
+  }
+}
+
+// All presets by name, each tagged with where it came from
+async function loadPresets(config) {
+  const presets = new Map();
+  for (const [name, def] of Object.entries(config.presets || {})) presets.set(name, { ...def, source: "config" });
+  for (const [name, def] of Object.entries(await readPresetFile())) presets.set(name, { ...def, source: "workspace" });
+  return presets;
+}
+
+// Read-modify-write of the workspace presets file under a lock
+async function updatePresetFile(mutate) {
+  return withFileLock(PRESETS_LOCK_PATH, async () => {
+    const presets = await readPresetFile();
+    const result = mutate(presets);
+    await writeFileAtomic(PRESETS_PATH, JSON.stringify(presets, null, 2) + "\n");
+    return result;
+  });
+}
+
+function renderTemplate(template, vars, presetName) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => {
+    if (vars[key] === undefined) {
+      throw new Error(`Preset '${presetName}' needs a value for {${key}} — pass it in 'preset_vars'`);
+    }
+    return String(vars[key]);
+  });
+}
+
+// Join intent fragments with spaces, except before leading punctuation
+function joinIntent(parts) {
+  return parts
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .reduce((out, p) => (!out ? p : /^[,.;:!?)]/.test(p) ? out + p : `${out} ${p}`), "");
+}
+
+// Merge order, lowest to highest precedence: preset defaults, then the
+// call's own arguments. The intent becomes prefix + intent + suffix, and
+// slot_overrides are merged key by key with the call's keys winning.
+// Template variables come from the preset's `variables`, overridden by
+// the call's `preset_vars`.
+function applyPreset(name, preset, args) {
+  const vars = { ...(preset.variables || {}), ...(args.preset_vars || {}) };
+  const render = (t) => (t ? renderTemplate(t, vars, name) : "");
+  const merged = {
+    ...args,
+    intent: joinIntent([render(preset.intent_prefix), args.intent || "", render(preset.intent_suffix)]),
+  };
+  if (preset.slot_overrides || args.slot_overrides) {
+    merged.slot_overrides = { ...preset.slot_overrides, ...args.slot_overrides };
+  }
+  for (const key of PRESET_DEFAULT_FIELDS) {
+    if (merged[key] === undefined && preset[key] !== undefined) merged[key] = preset[key];
+  }
+  return merged;
+}
+
+// ── Lineage ──────────────────────────────────────────────
+//
+// Every generation keeps the request it was made from and the parameters
+// the server reported (the seed above all), so variations and refine can
+// re-submit it with changes. Records live in session state and in the
+// gallery entry; a derived result points back to its parent.
+
+const LINEAGE_RELATIONS = { variations: "variation", refine: "refinement" };
+const VARIATIONS_DEFAULT_COUNT = 4;
+
+// Seed and generation parameters from a /jobs response,
+// minus internal routing details
+function generationParams(data) {
+  const raw = data?.parameters || data?.params || data?.generation_params;
+  const { workflow, workflow_id, workflow_name, ...parameters } = raw && typeof raw === "object" ? raw : {};
+  const seed = data?.seed ?? parameters.seed;
+  return { seed: Number.isInteger(seed) ? seed : null, parameters };
+}
+
+// The body a generation can be replayed from; the output count is per call
+function replayRequest(args) {
+  const { num_outputs, ...request } = buildGenerateBody(args);
+  return request;
+}
+
+// A gallery entry as a lineage record. Entries written before requests
+// were recorded fall back to their intent and palette.
+function galleryGeneration(entry) {
+  const request = entry.request || (entry.intent ? {
+    intent: entry.intent,
+    ...(entry.palette ? { palette: entry.palette } : {}),
+    ...(entry.input_asset_id ? { input_image_asset_id: entry.input_asset_id } : {}),
+  } : null);
+  return {
+    job_id: entry.job_id,
+    entry_id: entry.id,
+    request,
+    seed: entry.seed ?? null,
+    parameters: entry.parameters || {},
+    output_asset_ids: entry.output_asset_ids || [],
+    parent: entry.parent || null,
+  };
+}
+
+// Arguments for a variations/refine call built on `parent`. variations
+// starts from the parent's output with fresh seeds; refine keeps the seed
+// and takes an edited intent. lock_seed/from_output override either default.
+// Returns { error } or { args, parent } where parent is the lineage pointer.
+function lineageArgs(action, parent, args) {
+  if (!parent.request?.intent) {
+    return { error: "That generation's settings were not recorded, so it can't be reused. Start a new generate_sync instead." };
+  }
+  const fromOutput = args.from_output ?? action === "variations";
+  const lockSeed = args.lock_seed ?? action === "refine";
+  if (action === "refine" && !args.intent && !args.palette && !args.slot_overrides && !fromOutput) {
+    return { error: "Nothing to refine: pass the edited 'intent' (or 'palette'/'slot_overrides', or from_output: true)" };
+  }
+
+  const derived = { ...parent.request, action, profile: args.profile, confirm_spend: args.confirm_spend };
+  if (args.intent) derived.intent = args.intent;
+  if (args.palette) derived.palette = args.palette;
+  if (args.slot_overrides) derived.slot_overrides = { ...parent.request.slot_overrides, ...args.slot_overrides };
+  if (args.num_outputs !== undefined) derived.num_outputs = args.num_outputs;
+  else if (action === "variations") derived.num_outputs = VARIATIONS_DEFAULT_COUNT;
+
+  let outputAssetId;
+  if (fromOutput) {
+    const index = args.output_index ?? 0;
+    outputAssetId = parent.output_asset_ids[index];
+    if (!Number.isInteger(index) || !outputAssetId) {
+      return { error: `'output_index' must pick one of the ${parent.output_asset_ids.length} output(s) of that generation` };
+    }
+    derived.input_image_asset_id = outputAssetId;
+    // The parent's mask belonged to the parent's input image
+    delete derived.input_mask_asset_id;
+  }
+  delete derived.seed;
+  if (lockSeed) {
+    if (parent.seed === null) {
+      return { error: "The server did not report a seed for that generation, so it can't be locked. Repeat with lock_seed: false." };
+    }
+    derived.seed = parent.seed;
+  }
+
+  return {
+    args: derived,
+    parent: {
+      job_id: parent.job_id,
+      entry_id: parent.entry_id || null,
+      relation: LINEAGE_RELATIONS[action],
+      seed_locked: lockSeed,
+      ...(outputAssetId ? { from_asset_id: outputAssetId } : {}),
+    },
+  };
+}
+
+// ── Batches ──────────────────────────────────────────────
+//
+// generate_batch fans a list of rows out over the async /generate endpoint.
+// Each batch gets a folder holding its outputs and a manifest.json that
+// records every row's status, job, cost and files; the manifest is what
+// makes an interrupted or partly failed batch resumable.
+
+const BATCH_DIR = join(homedir(), ".openclaw", "workspace", "perstudio-batches");
+const BATCH_MAX_ROWS = 500;
+const BATCH_DEFAULT_CONCURRENCY = 3;
+const BATCH_MAX_CONCURRENCY = 8;
+const BATCH_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+// Per-row settings; any other CSV/JSONL column becomes a preset variable
+const BATCH_ROW_FIELDS = [
+  "name", "intent", "preset", "palette", "num_outputs", "auto_upscale", "slot_overrides",
+  "input_image_asset_id", "input_image_path", "input_mask_asset_id", "input_asset_ids", ...REFERENCE_SLOTS,
+  ...VIDEO_FIELDS,
+];
+// Call arguments shared by every row (rows override them)
+const BATCH_SHARED_FIELDS = BATCH_ROW_FIELDS.filter((f) => f !== "name" && f !== "intent").concat("preset_vars");
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(textData) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < textData.length; i++) {
+    const c = textData[i];
+    if (quoted) {
+      if (c === '"' && textData[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && textData[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// CSV cells are strings; coerce the typed columns
+function csvValue(key, value) {
+  if (key === "num_outputs" || key === "duration_seconds" || key === "fps" || key === "motion_strength") return Number(value);
+  if (key === "auto_upscale") return /^(true|yes|1)$/i.test(value);
+  if (key === "slot_overrides") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error("'slot_overrides' cells must be JSON objects");
+    }
+  }
+  if (key === "input_asset_ids") return value.split(/[\s;|]+/).filter(Boolean);
+  return value;
+}
+
+// Split a raw row into known settings and preset variables
+function normalizeBatchRow(raw, fromCsv) {
+  const row = { preset_vars: {} };
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (key === "preset_vars" && typeof value === "object") Object.assign(row.preset_vars, value);
+    else if (BATCH_ROW_FIELDS.includes(key)) row[key] = fromCsv ? csvValue(key, value) : value;
+    else row.preset_vars[key] = String(value);
+  }
+  return row;
+}
+
+async function readBatchRows(args, policy) {
+  let rows;
+  if (args.intents) {
+    if (!Array.isArray(args.intents)) throw new Error("'intents' must be an array");
+    rows = args.intents.map((item) => normalizeBatchRow(typeof item === "string" ? { intent: item } : item || {}, false));
+  } else {
+    const real = await validateFilePath(args.file_path, policy);
+    const content = await readFile(real, "utf8");
+    if (/\.jsonl$/i.test(real)) {
+      rows = content.split("\n").filter((l) => l.trim()).map((line, i) => {
+        try {
+          return normalizeBatchRow(JSON.parse(line), false);
+        } catch {
+          throw new Error(`Line ${i + 1} of ${basename(real)} is not valid JSON`);
+        }
+      });
+    } else if (/\.csv$/i.test(real)) {
+      const [header, ...body] = parseCsv(content);
+      if (!header) throw new Error(`${basename(real)} is empty`);
+      const keys = header.map((h) => h.trim());
+      rows = body.map((cells) => normalizeBatchRow(Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? "").trim()])), true));
+    } else {
+      throw new Error("Batch files must be .csv or .jsonl");
+    }
+  }
+  if (!rows.length) throw new Error("The batch has no rows");
+  if (rows.length > BATCH_MAX_ROWS) throw new Error(`A batch can have at most ${BATCH_MAX_ROWS} rows`);
+  return rows;
+}
+
+function batchRowArgs(shared, row) {
+  const { name, ...settings } = row;
+  return {
+    ...shared,
+    ...settings,
+    slot_overrides: shared.slot_overrides || settings.slot_overrides
+      ? { ...shared.slot_overrides, ...settings.slot_overrides }
+      : undefined,
+    preset_vars: { ...shared.preset_vars, ...settings.preset_vars },
+    action: "generate",
+  };
+}
+
+function batchPaths(name) {
+  const folder = join(BATCH_DIR, name);
+  return { folder, manifest: join(folder, "manifest.json") };
+}
+
+async function readManifest(name) {
+  try {
+    return JSON.parse(await readFile(batchPaths(name).manifest, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function batchSummary(manifest) {
+  const count = (status) => manifest.rows.filter((r) => r.status === status).length;
+  return {
+    batch: manifest.name,
+    status: manifest.status,
+    folder: batchPaths(manifest.name).folder,
+    manifest: batchPaths(manifest.name).manifest,
+    total: manifest.rows.length,
+    completed: count("completed"),
+    failed: count("failed"),
+    running: count("submitted"),
+    pending: count("pending"),
+    credits: manifest.rows.reduce((sum, r) => sum + (r.cost || 0), 0),
+  };
+}
+
+// Output names: row number, then the row's name (or intent), e.g. 007_sku-1234.png
+function batchFileName(index, row, n, total, ext) {
+  const stem = safeFileName(row.name || row.intent || "output").slice(0, 48);
+  return `${String(index + 1).padStart(3, "0")}_${stem}${total > 1 ? `_${n + 1}` : ""}${ext}`;
+}
+
+// Every action the tool schema offers
+const ACTIONS = [
+  "plan", "generate", "generate_sync", "variations", "refine", "generate_batch", "get_job", "await_job", "cancel_job", "list_jobs",
+  "upload_asset", "create_mask", "process_media", "inspect_media",
+  "balance", "pricing", "transactions", "budget", "usage_report",
+  "gallery_search", "gallery_get", "gallery_tag", "cleanup", "export",
+  "preset_list", "preset_save", "preset_delete",
+  "host_image", "moltbook_post",
+];
+
+// Actions that work without an API key
+const LOCAL_ACTIONS = [
+  "plan", "pricing", "budget", "usage_report",
+  "gallery_search", "gallery_get", "gallery_tag", "cleanup", "export",
+  "create_mask", "process_media", "inspect_media", "host_image", "moltbook_post",
+  "preset_list", "preset_save", "preset_delete",
+];
+
+// ── Commands ─────────────────────────────────────────────
+//
+// The same actions for people rather than the agent: `/perstudio …` in
+// chat, `openclaw perstudio …` and the `perstudio` bin. A command turns
+// its words and flags into a tool call, so requests, downloads and the
+// gallery go through execute (and the audit log) like any agent call.
+// Results print as tables, or as JSON with --json.
+
+const TABLE_CELL_MAX = 48;
+
+const wholeNumber = (value, flag) => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${flag} must be a whole number`);
+  return n;
+};
+
+const COMMANDS = {
+  balance: {
+    usage: "balance",
+    summary: "Show the token balance",
+    toArgs: () => ({ action: "balance" }),
+    show: ({ data }) => formatFields(data),
+  },
+  jobs: {
+    usage: "jobs [--status STATUS] [--limit N]",
+    summary: "List recent jobs",
+    flags: ["status", "limit"],
+    toArgs: (_, flags) => ({ action: "list_jobs", status: flags.status, limit: wholeNumber(flags.limit, "limit") }),
+    show: ({ data }) => (Array.isArray(data) && data.length
+      ? formatTable(data.map((j) => ({ ...j, created_at: j.created_at && formatLocalTime(new Date(j.created_at)) })), [
+        ["job_id", "JOB"], ["status", "STATUS"], ["created_at", "CREATED"], ["intent", "INTENT"],
+      ])
+      : "No jobs."),
+  },
+  get: {
+    usage: "get <job_id> [--wait SECONDS]",
+    summary: "Wait for a job and download its outputs (again, if they were deleted)",
+    flags: ["wait"],
+    positional: 1,
+    toArgs: ([jobId], flags) => ({ action: "await_job", job_id: jobId, timeout_seconds: wholeNumber(flags.wait, "wait") ?? 60 }),
+    show: ({ data, message, files }) => (data?.status
+      ? `${data.job_id}: ${data.status}. Still running; run the command again to keep waiting.`
+      : showFiles(message, files)),
+  },
+  gallery: {
+    usage: "gallery [WORDS…] [--since DATE] [--until DATE] [--tag TAG] [--type TYPE] [--limit N]",
+    summary: "Search past generations; TYPE is image, video or audio",
+    flags: ["since", "until", "tag", "type", "limit"],
+    toArgs: (words, flags) => ({
+      action: "gallery_search",
+      query: words.join(" ") || undefined,
+      since: flags.since,
+      until: flags.until,
+      tag: flags.tag,
+      media_type: flags.type,
+      limit: wholeNumber(flags.limit, "limit"),
+    }),
+    show: ({ data }) => (data?.entries?.length
+      ? formatTable(data.entries.map((e) => ({
+        ...e,
+        created_at: formatLocalTime(new Date(e.created_at)),
+        tags: (e.tags || []).join(","),
+        file: e.files.length > 1 ? `${e.files[0]} (+${e.files.length - 1})` : e.files[0],
+      })), [
+        ["created_at", "CREATED"], ["media_type", "TYPE"], ["intent", "INTENT"], ["tags", "TAGS"], ["job_id", "JOB"], ["file", "FILE"],
+      ])
+      : "No matching generations."),
+  },
+  gen: {
+    usage: 'gen "<intent>" [--n N] [--preset NAME] [--dry-run]',
+    summary: "Generate and save the result",
+    flags: ["n", "preset"],
+    switches: ["dry-run"],
+    positional: 1,
+    toArgs: (words, flags) => ({
+      action: "generate_sync",
+      intent: words.join(" "),
+      num_outputs: wholeNumber(flags.n, "n"),
+      preset: flags.preset,
+      dry_run: flags["dry-run"] || undefined,
+    }),
+    show: ({ data, message, files }) => (data ? formatFields(data) : showFiles(message, files)),
+  },
+};
+
+function commandHelp() {
+  const lines = Object.values(COMMANDS).map((c) => `  perstudio ${c.usage}\n      ${c.summary}`);
+  return `Usage:\n${lines.join("\n")}\n\nAdd --json for machine-readable output, --profile NAME to use a configured profile.`;
+}
+
+// Split a command line the way a shell would for simple quoting:
+// whitespace separates words, "…" and '…' group them, \ escapes.
+function splitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === "\\" && i + 1 < line.length && quote !== "'") {
+      word = (word ?? "") + line[++i];
+    } else if (quote) {
+      if (ch === quote) quote = null;
+      else word += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      word = word ?? "";
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? "") + ch;
+    }
+  }
+  if (quote) throw new Error("Unclosed quote");
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// argv (without the program name) → { command, words, flags }
+function parseCommand(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+  if (!command) throw new Error(name ? `Unknown command '${name}'` : "No command given");
+  const valued = ["profile", ...(command.flags || [])];
+  const switches = ["json", ...(command.switches || [])];
+  const words = [];
+  const flags = {};
+  for (let i = 0; i < rest.length; i++) {
+    const m = /^--([a-z][a-z-]*)(?:=(.*))?$/.exec(rest[i]);
+    if (!m) {
+      words.push(rest[i]);
+      continue;
+    }
+    const [, flag, inline] = m;
+    if (switches.includes(flag) && inline === undefined) {
+      flags[flag] = true;
+    } else if (valued.includes(flag)) {
+      const value = inline ?? rest[++i];
+      if (value === undefined) throw new Error(`--${flag} needs a value`);
+      flags[flag] = value;
+    } else {
+      throw new Error(`Unknown option --${flag} for '${name}'`);
+    }
+  }
+  if (words.length < (command.positional || 0)) throw new Error(`Usage: perstudio ${command.usage}`);
+  return { name, command, words, flags };
+}
+
+// A tool result as { data, message, files }: parsed JSON when the text
+// is JSON, otherwise the message, plus any MEDIA:/FILE: paths
+function commandPayload(result) {
+  const files = resultFiles(result);
+  const message = (result?.content || [])
+    .filter((block) => block.type === "text")
+    .flatMap((block) => block.text.split("\n"))
+    .filter((l) => !/^(?:MEDIA|FILE):/.test(l))
+    .join("\n")
+    .trim();
+  try {
+    return { data: JSON.parse(message), message, files };
+  } catch {
+    return { data: null, message, files };
+  }
+}
+
+function cell(value) {
+  const s = value === null || value === undefined ? "" : String(value).replace(/\s+/g, " ");
+  return s.length > TABLE_CELL_MAX ? `${s.slice(0, TABLE_CELL_MAX - 1)}…` : s;
+}
+
+// Rows as aligned columns; `columns` are [key, heading] pairs
+function formatTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(([key]) => cell(row[key])));
+  const widths = columns.map(([, heading], i) => Math.max(heading.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join("  ").trimEnd();
+  return [line(columns.map(([, heading]) => heading)), ...cells.map(line)].join("\n");
+}
+
+// Scalar fields of an object, one "key  value" line each
+function formatFields(data) {
+  if (!data || typeof data !== "object") return String(data ?? "");
+  const rows = Object.entries(data)
+    .filter(([, v]) => v === null || typeof v !== "object" || (Array.isArray(v) && v.every((x) => typeof x !== "object")))
+    .map(([key, v]) => ({ key, value: Array.isArray(v) ? v.join(", ") || "—" : v ?? "—" }));
+  return rows.map((r) => `${r.key.padEnd(Math.max(...rows.map((x) => x.key.length)))}  ${r.value}`).join("\n");
+}
+
+function showFiles(message, files) {
+  return [message, ...files.map((f) => `Saved ${f}`)].filter(Boolean).join("\n");
+}
+
+// Run one command through `execute(args)`; resolves to { ok, output }
+async function runCommand(execute, argv) {
+  if (!argv.length || ["help", "--help", "-h"].includes(argv[0])) return { ok: true, output: commandHelp() };
+  let parsed;
+  let args;
+  try {
+    parsed = parseCommand(argv);
+    args = parsed.command.toArgs(parsed.words, parsed.flags);
+  } catch (e) {
+    return { ok: false, output: `${e.message}\n\n${commandHelp()}` };
+  }
+  if (parsed.flags.profile) args.profile = parsed.flags.profile;
+  const result = await execute(Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined)));
+  const payload = commandPayload(result);
+  if (result?.isError) return { ok: false, output: payload.message.replace(/^Error: /, "") };
+  if (parsed.flags.json) {
+    return { ok: true, output: JSON.stringify(payload.data ?? { message: payload.message, files: payload.files }, null, 2) };
+  }
+  return { ok: true, output: parsed.command.show(payload) };
+}
+
+// ── Plugin ───────────────────────────────────────────────
+
+const plugin = {
+  id: "perstudio-api",
+  name: "Perstudio API",
+  description: "AI image and video generation via perstudio",
+  version: PLUGIN_VERSION,
+
+  register(api) {
+    const logger = api.logger;
+
+    logger.info(`perstudio-api: registering v${PLUGIN_VERSION}`);
+
+    function pluginConfig() {
+      return readPluginConfig(api);
+    }
+
+    function connection(profile) {
+      return resolveConnection(pluginConfig(), profile);
+    }
+
+    // Compiled policy, rebuilt only when the config section changes.
+    // Throws a PolicyError while the section is invalid.
+    let policyCache = { key: "null", policy: DEFAULT_POLICY };
+    function currentPolicy() {
+      const raw = pluginConfig().policy;
+      const key = JSON.stringify(raw ?? null);
+      if (key !== policyCache.key) policyCache = { key, policy: compilePolicy(raw) };
+      return policyCache.policy;
+    }
+
+    try {
+      if (currentPolicy() !== DEFAULT_POLICY) logger.info("perstudio-api: policy loaded");
+    } catch (e) {
+      logger.error(`perstudio-api: ${e.message} — tool calls are refused until it is fixed`);
+    }
+
+    // Provenance recorded into downloaded outputs, or null when disabled
+    function provenanceFor(args, parent = null) {
+      if (pluginConfig().embedProvenance === false) return null;
+      return { intent: args.intent, palette: args.palette, inputs: provenanceInputs(args), parentJobId: parent?.job_id };
+    }
+
+    // Push job completion to the host when it exposes a system-event queue;
+    // otherwise the result simply waits for await_job.
+    function notifyJobDone(job) {
+      const enqueue = api.runtime?.system?.enqueueSystemEvent;
+      if (typeof enqueue !== "function" || job.batch) return;
+      const what = job.intent ? `generation "${job.intent}"` : "generation";
+      const msg = job.status === "completed"
+        ? `perstudio: ${what} finished with ${job.files?.length || 0} output(s). Call perstudio await_job with job_id ${job.job_id} to show it.`
+        : `perstudio: ${what} ${job.status}. ${job.error || ""}`.trim();
+      enqueue(msg);
+    }
+
+    // ── Budget ──
+    const sessionId = randomUUID();
+    const serverSpend = { day: null, credits: 0 };
+    let ledgerWrites = Promise.resolve();
+
+    async function currentSpend() {
+      await ledgerWrites;
+      const entries = await readLedger();
+      const today = localDay();
+      let day = spentSince(entries, (e) => localDay(new Date(e.ts)) === today);
+      // The last reconciliation with /billing/transactions wins if it saw more
+      if (serverSpend.day === today) day = Math.max(day, serverSpend.credits);
+      return { day, session: spentSince(entries, (e) => e.session === sessionId), entries };
+    }
+
+    // Resolves to { error } when the call would break a configured cap,
+    // otherwise to { estimate } to record once the call succeeds.
+    async function guardSpend(args, conn) {
+      const estimate = await estimateCost(args, conn, logger);
+      const error = await capError(estimate.credits, args);
+      return error ? { error } : { estimate };
+    }
+
+    // errorResult when `credits` would break a configured cap, else null.
+    // `what` names the thing being paid for in the message.
+    async function capError(credits, args, what = "generation") {
+      const caps = pluginConfig().budget || {};
+      if (!caps.maxCreditsPerCall && !caps.maxCreditsPerDay && !caps.maxCreditsPerSession) return null;
+      const spent = await currentSpend();
+      const broken = checkCaps(caps, credits, spent);
+      if (!broken) return null;
+
+      logger.info(`perstudio-api: budget cap hit action=${args.action} estimate=${credits} (${broken})`);
+      if (caps.onExceed === "refuse") {
+        return errorResult(`This ${what} (~${credits} credits) would exceed ${broken}. It was not submitted.`);
+      }
+      if (!args.confirm_spend) {
+        return errorResult(
+          `This ${what} is estimated at ~${credits} credits, which would exceed ${broken}. ` +
+          "Ask the user to confirm, then repeat the call with confirm_spend: true."
+        );
+      }
+      return null;
+    }
+
+    function recordGeneration(action, args, conn, estimate, data) {
+      const charged = Number(data?.tokens_charged ?? data?.credits_charged ?? data?.cost);
+      const entry = {
+        ts: new Date().toISOString(),
+        session: sessionId,
+        profile: conn.profile,
+        action,
+        job_id: data?.job_id || data?.id || null,
+        category: estimate.category,
+        credits: Number.isFinite(charged) && charged > 0 ? charged : estimate.credits,
+        estimated: estimate.credits,
+        intent: args.intent,
+      };
+      // Queued so the next cap check always sees this entry
+      ledgerWrites = ledgerWrites
+        .then(() => recordSpend(entry))
+        .catch((e) => logger.error(`perstudio-api: spend ledger write failed: ${e.message}`));
+      noteCredits(entry.credits, entry.category);
+      return entry.credits;
+    }
+
+    // ── Audit ──
+    const metrics = createMetrics();
+    let metricsWrites = Promise.resolve();
+
+    function audit(record) {
+      const cfg = pluginConfig().audit || {};
+      if (cfg.enabled === false) return;
+      metrics.observe(record);
+      appendAudit(record, cfg).catch((e) => logger.error(`perstudio-api: audit write failed: ${e.message}`));
+      if (cfg.prometheusFile) {
+        // Rendered when the write runs, so the file always ends on the latest totals
+        metricsWrites = metricsWrites
+          .then(() => writeFileAtomic(cfg.prometheusFile, metrics.render()))
+          .catch((e) => logger.error(`perstudio-api: metrics export failed: ${e.message}`));
+      }
+    }
+
+    function recordCall(call, args, result, latencyMs) {
+      const { action, ...rest } = args || {};
+      audit({
+        ts: new Date().toISOString(),
+        call_id: call.call_id,
+        session: sessionId,
+        profile: rest.profile || pluginConfig().defaultProfile || null,
+        action: action ?? null,
+        args: auditArgs(rest),
+        ok: Boolean(result) && !result.isError,
+        http_status: call.http_status,
+        error: result?.isError ? resultMessage(result).slice(0, AUDIT_STRING_MAX) : result ? null : "call threw",
+        latency_ms: latencyMs,
+        retries: call.retries,
+        cold_start_ms: call.cold_start_ms,
+        credits: call.credits,
+        category: call.category,
+        outputs: resultFiles(result),
+      });
+    }
+
+    // ── Storage ──
+    // Retention applies itself in the background once a limit is configured
+    async function autoCleanup() {
+      let settings;
+      try {
+        settings = storageSettings(pluginConfig().storage);
+      } catch (e) {
+        logger.error(`perstudio-api: storage cleanup skipped: ${e.message}`);
+        return;
+      }
+      if (!settings.autoCleanup || (!settings.maxAgeMs && !settings.maxBytes && !settings.moveStarred)) return;
+      try {
+        const result = await cleanupStorage(settings);
+        const files = result.removed.reduce((n, u) => n + u.files.length, 0);
+        if (files || result.moved.length) {
+          logger.info(`perstudio-api: storage cleanup removed=${files} entries=${result.removed.filter((u) => u.entry).length} moved=${result.moved.length}`);
+        }
+      } catch (e) {
+        logger.error(`perstudio-api: storage cleanup failed: ${e.message}`);
+      }
+    }
+
+    // A hot-reloaded instance replaces the previous schedule
+    clearTimeout(globalThis[CLEANUP_KEY]?.first);
+    clearInterval(globalThis[CLEANUP_KEY]?.every);
+    globalThis[CLEANUP_KEY] = {
+      first: setTimeout(autoCleanup, CLEANUP_FIRST_RUN_MS),
+      every: setInterval(autoCleanup, CLEANUP_INTERVAL_MS),
+    };
+    globalThis[CLEANUP_KEY].first.unref?.();
+    globalThis[CLEANUP_KEY].every.unref?.();
+
+    // ── Uploads ──
+    // Policy checks for a local file about to leave the machine
+    async function uploadablePath(filePath) {
+      const policy = currentPolicy();
+      const real = await validateFilePath(filePath, policy);
+      const denied = uploadSizeDenial(policy, (await stat(real)).size);
+      if (denied) throw policyError(denied);
+      return real;
+    }
+
+    // Upload a local file, or reuse the asset already uploaded for the same
+    // content. `force` skips the cache after the server lost the asset.
+    async function uploadOrReuse(conn, filePath, { force = false } = {}) {
+      const real = await uploadablePath(filePath);
+      const fileData = await readFile(real);
+      const mimeType = sniffMime(fileData);
+      if (!mimeType) {
+        throw new Error("Unsupported file type. Upload an image (png/jpg/webp/gif/avif), audio (wav/mp3/m4a/ogg/flac) or video (mp4/webm/mov).");
+      }
+      const sha256 = createHash("sha256").update(fileData).digest("hex");
+      if (!force) {
+        const hit = await cachedUpload(conn, sha256);
+        if (hit) {
+          logger.info(`perstudio-api: upload cache hit for ${basename(real)}`);
+          return { ok: true, status: 200, data: { asset_id: hit.asset_id, cached: true } };
+        }
+      }
+      const res = await uploadAsset(conn, fileData, basename(real), mimeType);
+      const assetId = res.ok && (res.data?.asset_id || res.data?.id);
+      if (assetId) {
+        const ttlHours = pluginConfig().uploadCacheTtlHours;
+        await rememberUpload(conn, sha256, assetId, {
+          mimeType,
+          size: fileData.length,
+          ttlMs: ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : UPLOAD_CACHE_TTL_MS,
+        });
+      }
+      return res;
+    }
+
+    // ── Generation ──
+    // Args with `preset` applied; resolves to { error } or { args }
+    async function withPreset(args) {
+      if (!args.preset) return { args };
+      try {
+        const preset = (await loadPresets(pluginConfig())).get(args.preset);
+        if (!preset) return { error: errorResult(`Unknown preset '${args.preset}'. Use preset_list to see the available presets.`) };
+        const invalid = validatePreset((({ source, ...def }) => def)(preset));
+        if (invalid) return { error: errorResult(`Preset '${args.preset}' is invalid: ${invalid}`) };
+        return { args: applyPreset(args.preset, preset, args) };
+      } catch (e) {
+        return { error: errorResult(e.message) };
+      }
+    }
+
+    // Shared validation and input resolution for generate/generate_sync.
+    // Resolves to { error } or { args, spend, uploadedPath }.
+    // `guard: false` skips the per-call cap check (batches check their total);
+    // `upload: false` leaves the input image for uploadInput, after that check
+    async function prepareGeneration(rawArgs, conn, { guard = true, upload = true } = {}) {
+      const { action } = rawArgs;
+      const preset = await withPreset(rawArgs);
+      if (preset.error) return preset;
+      const { args } = preset;
+      if (!args.intent) return { error: errorResult(`'intent' is required for ${action}`) };
+      // Policy checks run before anything is uploaded or priced
+      const policy = currentPolicy();
+      const denied = promptDenial(policy, args.intent) ||
+        categoryDenial(policy, { ...args, input_image_asset_id: args.input_image_asset_id || args.input_image_path });
+      if (denied) return { error: errorResult(denied) };
+      if (args.num_outputs !== undefined && !(Number.isInteger(args.num_outputs) && args.num_outputs >= 1 && args.num_outputs <= MAX_OUTPUTS)) {
+        return { error: errorResult(`'num_outputs' must be an integer between 1 and ${MAX_OUTPUTS}`) };
+      }
+      if (args.seed !== undefined && !(Number.isInteger(args.seed) && args.seed >= 0)) {
+        return { error: errorResult("'seed' must be a non-negative integer") };
+      }
+      const videoError = validateVideoOptions(args);
+      if (videoError) return { error: errorResult(videoError) };
+      if (args.input_image_path) {
+        if (args.input_image_asset_id) {
+          return { error: errorResult("Pass either 'input_image_path' or 'input_image_asset_id', not both") };
+        }
+        try {
+          await uploadablePath(args.input_image_path);
+        } catch (e) {
+          return { error: errorResult(e.name === "PolicyError" ? e.message : `Cannot upload input image: ${e.message}`) };
+        }
+      }
+      // Checked and priced as the edit it becomes once the image is uploaded,
+      // so nothing leaves the machine for a request the caps refuse
+      const priced = args.input_image_path ? { ...args, input_image_asset_id: "input" } : args;
+      const inputError = validateAssetInputs(priced);
+      if (inputError) return { error: errorResult(inputError) };
+      const spend = guard ? await guardSpend(priced, conn) : { estimate: await estimateCost(priced, conn, logger) };
+      if (spend.error) return { error: spend.error };
+      const gen = { args, spend, uploadedPath: args.input_image_path || null };
+      return upload ? uploadInput(gen, conn) : gen;
+    }
+
+    // Upload a prepared generation's local input image and send its asset.
+    // Resolves to { error } or the generation, ready to submit.
+    async function uploadInput(gen, conn) {
+      if (!gen.uploadedPath) return gen;
+      let up;
+      try {
+        up = await uploadOrReuse(conn, gen.uploadedPath);
+      } catch (e) {
+        return { error: errorResult(e.name === "PolicyError" ? e.message : `Cannot upload input image: ${e.message}`) };
+      }
+      const assetId = up.ok && (up.data?.asset_id || up.data?.id);
+      if (!assetId) return { error: errorResult(`Input image upload failed: HTTP ${up.status}`) };
+      return { ...gen, args: { ...gen.args, input_image_asset_id: assetId } };
+    }
+
+    // The plan/dry_run preview: the same checks as prepareGeneration, but
+    // nothing is uploaded, submitted or charged. Resolves to { error } or { plan }.
+    async function planGeneration(rawArgs, conn) {
+      const { action } = rawArgs;
+      const preset = await withPreset(rawArgs);
+      if (preset.error) return preset;
+      const { args } = preset;
+      if (!args.intent) return { error: errorResult(`'intent' is required for ${action}`) };
+
+      const category = planCategory(args);
+      const [prices, capabilities] = await Promise.all([getPricing(conn, logger), getCapabilities(conn, logger)]);
+      const credits = creditsFor(prices, category, args);
+      const problems = capabilityProblems(args, category, capabilities);
+      if (args.num_outputs !== undefined && !(Number.isInteger(args.num_outputs) && args.num_outputs >= 1 && args.num_outputs <= MAX_OUTPUTS)) {
+        problems.push(`'num_outputs' must be an integer between 1 and ${MAX_OUTPUTS}`);
+      }
+      // A local image counts as the input image; it is only checked, not uploaded
+      const inputError = validateAssetInputs({ ...args, input_image_asset_id: args.input_image_asset_id || (args.input_image_path && "local-file") });
+      if (inputError) problems.push(inputError);
+      const videoError = validateVideoOptions(args);
+      if (videoError) problems.push(videoError);
+      if (args.input_image_path) {
+        try {
+          await uploadablePath(args.input_image_path);
+        } catch (e) {
+          problems.push(e.name === "PolicyError" ? e.message : `Cannot use input image: ${e.message}`);
+        }
+      }
+
+      const policy = currentPolicy();
+      const blocked = promptDenial(policy, args.intent) ||
+        categoryDenial(policy, { ...args, input_image_asset_id: args.input_image_asset_id || args.input_image_path });
+      const caps = pluginConfig().budget || {};
+      const overCap = caps.maxCreditsPerCall || caps.maxCreditsPerDay || caps.maxCreditsPerSession
+        ? checkCaps(caps, credits, await currentSpend())
+        : null;
+      const missing = missingInputs(args, category);
+
+      return {
+        plan: {
+          intent: args.intent,
+          category,
+          media_type: CATEGORY_MEDIA[category] || "image",
+          num_outputs: args.num_outputs || 1,
+          estimated_credits: credits,
+          missing_inputs: missing,
+          problems,
+          blocked_by_policy: blocked,
+          exceeds_budget: overCap ? `Would exceed ${overCap}; the user must confirm (confirm_spend: true)` : null,
+          ready: !missing.length && !problems.length && !blocked,
+          checked_with_service: Boolean(capabilities),
+        },
+      };
+    }
+
+    // POST a generation. If the server lost an input asset, drop it from
+    // the upload cache and — when the input came from a local path —
+    // re-upload it and try once more.
+    async function submitGeneration(endpoint, gen, conn, { callbackUrl, ...opts } = {}) {
+      // One idempotency key per submission, reused by httpJson's retries
+      const post = (genArgs) => httpJson(`${conn.baseUrl}${endpoint}`, {
+        method: "POST", headers: conn.headers,
+        body: { ...buildGenerateBody(genArgs), ...(callbackUrl ? { callback_url: callbackUrl } : {}) },
+        idempotencyKey: randomUUID(), ...opts,
+      });
+      let res = await post(gen.args);
+      if (res.ok || !isMissingAssetResponse(res)) return res;
+
+      const used = [
+        gen.args.input_image_asset_id, gen.args.input_mask_asset_id,
+        ...REFERENCE_SLOTS.map((slot) => gen.args[slot]),
+        ...(gen.args.input_asset_ids || []),
+      ].filter(Boolean);
+      await forgetUploads(conn, used);
+      if (!gen.uploadedPath) return res;
+
+      logger.info("perstudio-api: input asset missing on server, re-uploading");
+      const up = await uploadOrReuse(conn, gen.uploadedPath, { force: true });
+      const assetId = up.ok && (up.data?.asset_id || up.data?.id);
+      if (!assetId) return res;
+      gen.args = { ...gen.args, input_image_asset_id: assetId };
+      res = await post(gen.args);
+      return res;
+    }
+
+    const jobTracker = createJobTracker({ getConnection: connection, logger, notify: notifyJobDone });
+    jobTracker.load().catch((e) => logger.error(`perstudio-api: job state load failed: ${e.message}`));
+
+    // ── Webhook ──
+    // Started by the first generate that can use it and restarted when its
+    // settings change; `started` resolves to null if it failed to start
+    stopWebhookServer();
+    let webhook = { key: "null", started: null, unreachable: new Set() };
+
+    function onCallback(data) {
+      if (!jobTracker.get(data.job_id)) return false;
+      auditScope.exit(() => jobTracker.receive(data.job_id, data))
+        .catch((e) => logger.error(`perstudio-api: callback for job ${data.job_id} failed: ${e.message}`));
+      return true;
+    }
+
+    // The callback_url for a job sent to `conn`, or null to rely on polling
+    async function webhookUrl(conn) {
+      let settings = null;
+      try {
+        settings = webhookSettings(pluginConfig().webhook);
+      } catch (e) {
+        logger.error(`perstudio-api: ${e.message} — polling instead`);
+      }
+      const key = JSON.stringify(settings);
+      if (key !== webhook.key) {
+        stopWebhookServer();
+        webhook = { key, started: null, unreachable: new Set() };
+      }
+      if (!settings) return null;
+      // A remote backend can't call 127.0.0.1 — only a tunnel or proxy address
+      if (!settings.publicUrl && !isLoopbackUrl(conn.baseUrl)) {
+        if (!webhook.unreachable.has(conn.baseUrl)) {
+          webhook.unreachable.add(conn.baseUrl);
+          logger.error(`perstudio-api: webhook needs 'webhook.publicUrl' to be reachable from ${conn.baseUrl} — polling instead`);
+        }
+        return null;
+      }
+      if (!webhook.started) {
+        webhook.started = startWebhookServer(settings, onCallback).then((hook) => {
+          globalThis[WEBHOOK_KEY] = hook.server;
+          logger.info(`perstudio-api: webhook listening on 127.0.0.1:${hook.port}`);
+          return hook;
+        }, (e) => {
+          logger.error(`perstudio-api: webhook listener failed to start (${e.message}) — polling instead`);
+          return null;
+        });
+      }
+      return (await webhook.started)?.url ?? null;
+    }
+
+    // ── Lineage ──
+    const generations = new Map(); // job_id → lineage record, this session
+
+    function rememberGeneration(jobId, genArgs, data, files, parent) {
+      const record = {
+        job_id: jobId,
+        request: replayRequest(genArgs),
+        ...generationParams(data),
+        output_asset_ids: files.map((f) => f.assetId),
+        parent,
+      };
+      generations.set(jobId, record);
+      return record;
+    }
+
+    // The generation variations/refine builds on: this session's record,
+    // a finished tracked job, or a gallery entry (by entry_id or job_id).
+    async function findGeneration({ job_id, entry_id }) {
+      if (!entry_id && generations.has(job_id)) return generations.get(job_id);
+      const tracked = !entry_id && jobTracker.get(job_id);
+      if (tracked?.request && tracked.status === "completed") {
+        return {
+          job_id,
+          request: tracked.request,
+          seed: tracked.seed ?? null,
+          parameters: tracked.parameters || {},
+          output_asset_ids: (tracked.files || []).map((f) => f.asset_id),
+          parent: tracked.parent || null,
+        };
+      }
+      const entries = await readGalleryIndex();
+      const entry = entries.findLast((e) => (entry_id ? e.id === entry_id : e.job_id === job_id));
+      return entry ? galleryGeneration(entry) : null;
+    }
+
+    // ── Batches ──
+    const runningBatches = new Map(); // name → promise settling when the run stops
+
+    function resultMessage(result) {
+      return result.content[0].text.replace(/^Error: /, "");
+    }
+
+    // Submit and collect every unfinished row, `concurrency` at a time.
+    // `prepared` maps row index → prepareGeneration result for rows that
+    // still need submitting; submitted rows are only waited on.
+    async function runBatch(manifest, prepared, conn) {
+      const { folder, manifest: manifestPath } = batchPaths(manifest.name);
+      let writes = Promise.resolve();
+      const save = () => {
+        manifest.updated_at = new Date().toISOString();
+        const snapshot = JSON.stringify(manifest, null, 2);
+        writes = writes
+          .then(() => writeFileAtomic(manifestPath, snapshot))
+          .catch((e) => logger.error(`perstudio-api: batch manifest write failed: ${e.message}`));
+        return writes;
+      };
+
+      async function runRow(row) {
+        if (row.status === "pending") {
+          const gen = prepared.get(row.index);
+          const res = await submitGeneration("/generate", gen, conn);
+          const jobId = res.ok && (res.data?.job_id || res.data?.id);
+          if (!jobId) {
+            const detail = res.data?.detail || res.data;
+            Object.assign(row, { status: "failed", error: sanitizeError(res.ok ? "no job id" : detail) });
+            return;
+          }
+          row.cost = recordGeneration("generate_batch", gen.args, conn, gen.spend.estimate, res.data);
+          Object.assign(row, { status: "submitted", job_id: jobId, error: null });
+          jobTracker.track(jobId, {
+            intent: gen.args.intent,
+            palette: gen.args.palette,
+            input_asset_id: gen.args.input_image_asset_id,
+            cost: row.cost,
+            profile: conn.profile,
+            provenance: provenanceFor(gen.args),
+            request: replayRequest(gen.args),
+            batch: manifest.name,
+          });
+          await save();
+        } else if (!jobTracker.get(row.job_id)) {
+          jobTracker.track(row.job_id, { profile: conn.profile, batch: manifest.name });
+        }
+
+        const job = await jobTracker.wait(row.job_id, JOB_MAX_AGE_MS);
+        if (!job || !isTerminal(job.status)) return; // tracker stopped; resume picks it up
+        if (job.status !== "completed") {
+          Object.assign(row, { status: "failed", error: job.error || sanitizeError("") });
+          return;
+        }
+        if (!job.files?.length) {
+          Object.assign(row, { status: "failed", error: "Generation completed but produced no output." });
+          return;
+        }
+        row.files = [];
+        for (const [n, f] of job.files.entries()) {
+          const dest = join(folder, batchFileName(row.index, row, n, job.files.length, extname(f.file_path)));
+          await copyFile(f.file_path, dest);
+          row.files.push(dest);
+        }
+        Object.assign(row, { status: "completed", error: null });
+      }
+
+      const queue = manifest.rows.filter((r) => r.status === "pending" || r.status === "submitted");
+      const worker = async () => {
+        for (let row = queue.shift(); row; row = queue.shift()) {
+          const started = Date.now();
+          const jobBefore = row.job_id;
+          try {
+            await runRow(row);
+          } catch (e) {
+            Object.assign(row, { status: "failed", error: sanitizeError(e.message) });
+          }
+          logger.info(`perstudio-api: batch=${manifest.name} row=${row.index + 1} status=${row.status}`);
+          if (row.status === "completed" || row.status === "failed") {
+            // Rows outlive the generate_batch call, so each gets its own record
+            const charged = row.job_id && row.job_id !== jobBefore;
+            audit({
+              ts: new Date().toISOString(),
+              call_id: null,
+              session: sessionId,
+              profile: conn.profile,
+              action: "generate_batch",
+              batch: manifest.name,
+              row: row.index + 1,
+              args: auditArgs({ intent: row.intent }),
+              ok: row.status === "completed",
+              http_status: null,
+              error: row.error,
+              latency_ms: Date.now() - started,
+              retries: 0,
+              cold_start_ms: 0,
+              credits: charged ? row.cost : 0,
+              category: prepared.get(row.index)?.spend.estimate.category || null,
+              outputs: row.files || [],
+            });
+          }
+          await save();
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(manifest.concurrency, queue.length) }, worker));
+
+      const left = manifest.rows.some((r) => r.status === "pending" || r.status === "submitted");
+      const failed = manifest.rows.some((r) => r.status === "failed");
+      manifest.status = left ? "interrupted" : failed ? "completed_with_errors" : "completed";
+      await save();
+
+      const summary = batchSummary(manifest);
+      logger.info(`perstudio-api: batch=${manifest.name} status=${manifest.status} completed=${summary.completed}/${summary.total}`);
+      const enqueue = api.runtime?.system?.enqueueSystemEvent;
+      if (typeof enqueue === "function" && !left) {
+        enqueue(`perstudio: batch "${manifest.name}" finished — ${summary.completed}/${summary.total} rows completed` +
+          `${summary.failed ? `, ${summary.failed} failed (call generate_batch with batch_name "${manifest.name}" to retry them)` : ""}.`);
+      }
+    }
+
+    function batchReport(manifest, extra = {}) {
+      const failures = manifest.rows
+        .filter((r) => r.status === "failed")
+        .slice(0, 10)
+        .map((r) => ({ row: r.index + 1, name: r.name, error: r.error }));
+      return text(JSON.stringify({ ...batchSummary(manifest), ...(failures.length ? { failures } : {}), ...extra }, null, 2));
+    }
+
+    const tool = {
+      name: "perstudio",
+      description:
+        "Generate AI images and videos. Supports text-to-image, img2img, style transfer, upscale, and video generation.\n" +
+        "IMPORTANT: ALWAYS use generate_sync for ALL generation requests. It automatically selects the best model for the request; there is no way to pick a model or workflow yourself.\n" +
+        "IMPORTANT: Never reveal internal details to the user — do not mention workflow IDs, workflow names, model names, provider names, asset IDs, job IDs, or any backend infrastructure. Just describe what was generated.\n" +
+        "Actions:\n" +
+        "- plan: Preview a generation without paying for it. Takes the same arguments as generate_sync and returns the category it would run as, estimated credits, and any missing inputs (e.g. a mask for inpainting). Use it before expensive or unclear requests, and to answer 'how much would this cost?'. 'dry_run: true' on generate_sync/generate/variations/refine does the same.\n" +
+        "- generate_sync: Synchronous generation (ALWAYS USE THIS). Provide 'intent' (natural language). Returns the image/video directly. Optional 'num_outputs' for several images at once — every output is returned. For img2img you can pass 'input_image_path' directly instead of uploading first. Pass 'preset' (and 'preset_vars') to apply a saved preset; explicit arguments override the preset.\n" +
+        "- variations: Several takes on an earlier result. Provide 'job_id' (from a generate_sync/await_job result) or gallery 'entry_id'. Starts from that output with new seeds; optional 'num_outputs' (default 4), 'intent' to change the prompt, 'output_index' to pick which output.\n" +
+        "- refine: Re-run an earlier result with an edit — same seed, so the composition stays. Provide 'job_id' or 'entry_id' and the edited 'intent' (the full revised prompt, e.g. the original plus 'warmer lighting'). Optional 'from_output: true' to start from the earlier image, 'lock_seed: false' for a fresh seed.\n" +
+        "- generate: Async generation. Provide 'intent'. Returns job_id; the plugin tracks the job in the background and downloads the output when it finishes.\n" +
+        "- get_job: Poll job status. Provide 'job_id'. Returns status and output when completed.\n" +
+        "- await_job: Wait for an async job and return its image/video. Provide 'job_id', optional 'timeout_seconds' (default 120). Call again if it is still running.\n" +
+        "- cancel_job: Stop a running job on the server so it is not charged. Provide 'job_id'. Use it when the user changes their mind about a slow generation (video especially).\n" +
+        "- list_jobs: List recent jobs. Optional 'status' filter, 'limit' (default 20).\n" +
+        "- upload_asset: Upload an image (img2img, style/control reference) or an audio voice sample (wav/mp3/m4a). Provide 'file_path' (local path). Re-uploading the same file returns the cached asset_id.\n" +
+        "- create_mask: Build an inpainting mask PNG locally (white = area to change). Provide 'regions' and either 'file_path' of the image being edited or 'width'/'height'. Optional 'feather' (px), 'invert', 'upload: true' to get 'input_mask_asset_id' back directly.\n" +
+        "- process_media: Edit a local file without a paid generation. Provide 'operation' and 'file_path'. Operations: resize (options.width/height/fit contain|cover|fill), crop (options.aspect like '1:1', or options.x/y/width/height), convert (format png/jpg/webp/avif), strip_metadata, video_to_gif (options.start/duration/fps/width), extract_frame (options.time), contact_sheet (a video, or several images via 'file_paths'; options.columns/rows/width). Optional 'format', 'output_path'.\n" +
+        "- inspect_media: Read the provenance recorded in a generated file (intent, palette, input references, time, plugin version). Provide 'file_path'.\n" +
+        "- balance: Check token balance.\n" +
         "- pricing: View token costs per category and pack options.\n" +
         "- transactions: View recent billing transactions.\n" +
-        "- host_image: Upload a local image/GIF/video to catbox.moe for public hosting. Provide 'file_path'. Returns a public URL.\n" +
-        "- moltbook_post: Post to Moltbook. Provide 'title' (required), optional 'content' (text/markdown), 'submolt' (default 'general'), 'url' (for link posts or image URL).\n" +
-        "Typical flow: generate_sync with intent → image or video is returned automatically. For video, mention motion/animation/video in your intent.\n" +
-        "Social posting flow: generate_sync → host_image with the saved file_path → moltbook_post with the hosted URL.\n" +
+        "- gallery_search: Search past generations. Optional 'query' (text), 'since'/'until' (YYYY-MM-DD), 'tag', 'media_type' (image/video/audio), 'limit'.\n" +
+        "- gallery_get: Show one past generation with its files. Provide 'entry_id' or 'job_id'.\n" +
+        "- gallery_tag: Tag a past generation. Provide 'entry_id' or 'job_id', plus 'tags' and/or 'remove_tags'. The 'starred' tag protects it from cleanup.\n" +
+        "- cleanup: Delete old local outputs (and their gallery entries) by the configured retention. Optional 'max_age_days', 'max_total_mb' to override it. Use 'dry_run: true' first to list what would go and confirm with the user.\n" +
+        "- export: Package past generations into a zip (or 'archive: folder') with a manifest.json. Provide 'output_dir' and a selection: 'job_ids', 'since'/'until', and/or 'tag'.\n" +
+        "- generate_batch: Generate many variations in one call. Provide 'intents' (array of strings or objects with per-row overrides) or 'file_path' (.csv with an 'intent' column, or .jsonl). Other columns fill preset {variables}; a 'name' column names the output files. Shared arguments (preset, palette, slot_overrides, ...) apply to every row. Optional 'batch_name', 'concurrency' (default 3). Outputs and a manifest.json go to a batch folder in the workspace. Returns progress after 'timeout_seconds' (default 120) while the batch keeps running — call again with the same 'batch_name' to check on it or to retry failed rows.\n" +
+        "- preset_list: List saved presets (reusable prompt templates, palette, slot overrides and reference assets).\n" +
+        "- preset_save: Save a preset. Provide 'preset' (name) and 'preset_definition' ({ description, intent_prefix, intent_suffix, variables, slot_overrides, palette, auto_upscale, style/control/voice reference asset ids }). Templates may use {variables}.\n" +
+        "- preset_delete: Delete a saved preset. Provide 'preset'.\n" +
+        "- budget: Show local spend caps, today's and this session's spend, remaining allowance and recent generations.\n" +
+        "- usage_report: Summarize the local audit log — calls, errors, credits, outputs and latency by day, action, category and profile, plus the most expensive prompts. Optional 'since'/'until' (YYYY-MM-DD), 'limit' (top spenders, default 10).\n" +
+        "- host_image: Publish a local image/GIF/video and get a URL back. Provide 'file_path', optional 'target' (a configured publishing target; default is the configured default, usually catbox.moe public hosting).\n" +
+        "- moltbook_post: Post to Moltbook (only when enabled in config). Provide 'title' (required), optional 'content' (text/markdown), 'submolt' (default 'general'), 'url' (for link posts or image URL) or 'file_path' to publish and attach a local file.\n" +
+        "Typical flow: generate_sync with intent → image or video is returned automatically. For video, mention motion/animation/video in your intent, or pass any video setting (duration_seconds, fps, aspect_ratio, motion_strength, first_frame_asset_id/last_frame_asset_id).\n" +
+        "Social posting flow: generate_sync → moltbook_post with the saved file_path (or host_image first and pass the URL).\n" +
         "Palettes: Aesthetic palettes are auto-selected by the API to match each prompt — do NOT pass the 'palette' parameter unless the user explicitly asks for a specific palette by name.",
       parameters: {
         type: "object",
         properties: {
           action: {
             type: "string",
-            enum: [
-              "generate", "generate_sync", "get_job", "list_jobs",
-              "upload_asset",
-              "balance", "pricing", "transactions",
-              "host_image", "moltbook_post",
-            ],
+            enum: ACTIONS,
             description: "The perstudio operation to perform",
           },
           intent: {
             type: "string",
-            description: "Natural language image description for generate/generate_sync",
+            description: "Natural language image description for plan/generate/generate_sync, or the edited intent for refine/variations",
           },
           job_id: {
             type: "string",
-            description: "Job ID for get_job",
+            description: "Job ID for get_job/await_job/cancel_job, or the earlier generation for variations/refine",
+          },
+          seed: {
+            type: "integer",
+            minimum: 0,
+            description: "Fixed seed for generate/generate_sync, to reproduce a result",
+          },
+          lock_seed: {
+            type: "boolean",
+            description: "Reuse the earlier generation's seed (default: true for refine, false for variations)",
+          },
+          from_output: {
+            type: "boolean",
+            description: "Use the earlier generation's output as the input image (default: true for variations, false for refine)",
+          },
+          output_index: {
+            type: "integer",
+            minimum: 0,
+            description: "Which output of a multi-output generation to build on (0-based, default 0)",
+          },
+          timeout_seconds: {
+            type: "integer",
+            description: "How long await_job/generate_batch wait before returning the current status (default 120, max 600)",
           },
           slot_overrides: {
             type: "object",
@@ -324,21 +4634,184 @@ export default {
             type: "string",
             description: "Asset ID of a previously uploaded image for img2img",
           },
+          input_image_path: {
+            type: "string",
+            description: "Local image path for generate/generate_sync — uploaded (or reused if already uploaded) in one step instead of calling upload_asset first",
+          },
+          input_mask_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded mask for inpainting (white = repaint). Requires input_image_asset_id.",
+          },
+          style_reference_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded style reference image (style transfer)",
+          },
+          control_image_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded control image — pose, depth, edges or layout (ControlNet)",
+          },
+          voice_reference_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded voice sample (wav/mp3/m4a) for text-to-speech voice cloning",
+          },
+          input_asset_ids: {
+            type: "array",
+            items: { type: "string" },
+            maxItems: MAX_INPUT_ASSETS,
+            description: "Additional uploaded assets for generations that take several references",
+          },
+          first_frame_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded image to open the video with (image-to-video)",
+          },
+          last_frame_asset_id: {
+            type: "string",
+            description: "Asset ID of an uploaded image the video should end on",
+          },
+          duration_seconds: {
+            type: "number",
+            description: `Video length in seconds (max ${VIDEO_MAX_SECONDS})`,
+          },
+          fps: {
+            type: "integer",
+            description: "Video frame rate",
+          },
+          aspect_ratio: {
+            type: "string",
+            description: "Video aspect ratio, e.g. '16:9', '9:16' or '1:1'",
+          },
+          motion_strength: {
+            type: "number",
+            description: "How much movement the video has, from 0 (nearly still) to 1 (lots of motion)",
+          },
+          regions: {
+            type: "array",
+            description: "Mask shapes for create_mask. Coordinates are pixels or percentage strings like '25%'. " +
+              "{shape:'rect',x,y,width,height} | {shape:'ellipse',cx,cy,rx,ry} | {shape:'polygon',points:[[x,y],...]}",
+            items: {
+              type: "object",
+              properties: {
+                shape: { type: "string", enum: ["rect", "ellipse", "polygon"] },
+                x: { type: ["number", "string"] },
+                y: { type: ["number", "string"] },
+                width: { type: ["number", "string"] },
+                height: { type: ["number", "string"] },
+                cx: { type: ["number", "string"] },
+                cy: { type: ["number", "string"] },
+                rx: { type: ["number", "string"] },
+                ry: { type: ["number", "string"] },
+                points: { type: "array", items: { type: "array", items: { type: ["number", "string"] } } },
+              },
+              required: ["shape"],
+            },
+          },
+          width: {
+            type: "integer",
+            description: "Mask width in pixels for create_mask (omit when 'file_path' points at the image being edited)",
+          },
+          height: {
+            type: "integer",
+            description: "Mask height in pixels for create_mask",
+          },
+          feather: {
+            type: "number",
+            description: "Soften mask edges by this many pixels (create_mask)",
+          },
+          invert: {
+            type: "boolean",
+            description: "Invert the mask so the shapes are kept and everything else changes (create_mask)",
+          },
+          upload: {
+            type: "boolean",
+            description: "Upload the created mask right away and return its input_mask_asset_id (create_mask)",
+          },
           auto_upscale: {
             type: "boolean",
             description: "Auto-upscale output image",
           },
+          intents: {
+            type: "array",
+            items: { type: ["string", "object"] },
+            description: "Rows for generate_batch: intent strings, or objects with 'intent', 'name' and per-row overrides",
+          },
+          batch_name: {
+            type: "string",
+            description: "Batch folder name for generate_batch; reuse it to check progress or resume",
+          },
+          concurrency: {
+            type: "integer",
+            minimum: 1,
+            maximum: BATCH_MAX_CONCURRENCY,
+            description: "How many batch rows run at once (default 3)",
+          },
+          preset: {
+            type: "string",
+            description: "Preset name: applied by generate/generate_sync, or the preset to save/delete",
+          },
+          preset_vars: {
+            type: "object",
+            description: "Values for {variables} in the preset's intent templates, e.g. { product: 'sneaker' }",
+          },
+          preset_definition: {
+            type: "object",
+            description: "Preset contents for preset_save",
+            properties: {
+              description: { type: "string" },
+              intent_prefix: { type: "string", description: "Text placed before the intent; may contain {variables}" },
+              intent_suffix: { type: "string", description: "Text placed after the intent; may contain {variables}" },
+              variables: { type: "object", description: "Default values for template variables" },
+              slot_overrides: { type: "object" },
+              palette: { type: "string" },
+              auto_upscale: { type: "boolean" },
+              style_reference_asset_id: { type: "string" },
+              control_image_asset_id: { type: "string" },
+              voice_reference_asset_id: { type: "string" },
+              first_frame_asset_id: { type: "string" },
+              last_frame_asset_id: { type: "string" },
+              duration_seconds: { type: "number" },
+              fps: { type: "integer" },
+              aspect_ratio: { type: "string" },
+              motion_strength: { type: "number" },
+            },
+          },
           status: {
             type: "string",
             description: "Filter for list_jobs (pending, running, completed, failed, etc.)",
           },
           limit: {
             type: "integer",
-            description: "Limit for list_workflows/list_jobs/transactions",
+            description: "Limit for list_jobs/transactions/gallery_search, or the number of top spenders in usage_report",
           },
           file_path: {
             type: "string",
-            description: "Local file path for upload_asset or host_image",
+            description: "Local file path for upload_asset, process_media, inspect_media, host_image, moltbook_post, the reference image for create_mask, or the .csv/.jsonl rows for generate_batch",
+          },
+          target: {
+            type: "string",
+            description: "Publishing target name for host_image/moltbook_post (e.g. 'catbox', or a target from the plugin config)",
+          },
+          operation: {
+            type: "string",
+            enum: ["resize", "crop", "convert", "strip_metadata", "video_to_gif", "extract_frame", "contact_sheet"],
+            description: "Step to run for process_media",
+          },
+          file_paths: {
+            type: "array",
+            items: { type: "string" },
+            description: "Several local images for a process_media contact_sheet",
+          },
+          format: {
+            type: "string",
+            enum: ["png", "jpg", "webp", "avif", "gif"],
+            description: "Output format for process_media",
+          },
+          options: {
+            type: "object",
+            description: "Settings for process_media: width, height, fit, aspect, x, y, quality (1-100), start, duration, fps, time, columns, rows",
+          },
+          output_path: {
+            type: "string",
+            description: "Where process_media writes its result (must be in an allowed directory; default tmp/perstudio)",
           },
           title: {
             type: "string",
@@ -356,6 +4829,81 @@ export default {
             type: "string",
             description: "URL for moltbook_post link posts (e.g. hosted image URL)",
           },
+          num_outputs: {
+            type: "integer",
+            minimum: 1,
+            maximum: MAX_OUTPUTS,
+            description: "Number of images to produce in one generate/generate_sync call (batch). All outputs are returned.",
+          },
+          entry_id: {
+            type: "string",
+            description: "Gallery entry id for gallery_get/gallery_tag, or the earlier generation for variations/refine",
+          },
+          query: {
+            type: "string",
+            description: "Search text for gallery_search (matches intent, palette and tags)",
+          },
+          since: {
+            type: "string",
+            description: "Earliest date for gallery_search/usage_report/export (YYYY-MM-DD or ISO timestamp)",
+          },
+          until: {
+            type: "string",
+            description: "Latest date for gallery_search/usage_report/export (YYYY-MM-DD or ISO timestamp)",
+          },
+          tag: {
+            type: "string",
+            description: "Only return (or export) gallery entries with this tag",
+          },
+          tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Tags to add with gallery_tag ('starred' keeps an entry through cleanup)",
+          },
+          remove_tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Tags to remove with gallery_tag",
+          },
+          media_type: {
+            type: "string",
+            enum: ["image", "video", "audio"],
+            description: "Filter gallery_search/export by media type",
+          },
+          dry_run: {
+            type: "boolean",
+            description: "Return the plan (category, estimated credits, missing inputs) instead of generating — nothing is submitted or charged. For cleanup, list what would be deleted without deleting it",
+          },
+          max_age_days: {
+            type: "number",
+            description: "cleanup: delete outputs older than this many days (overrides storage.maxAgeDays)",
+          },
+          max_total_mb: {
+            type: "number",
+            description: "cleanup: delete the oldest outputs until they fit in this many MB (overrides storage.maxTotalMB)",
+          },
+          job_ids: {
+            type: "array",
+            items: { type: "string" },
+            description: "Generations to include in an export",
+          },
+          archive: {
+            type: "string",
+            enum: ["zip", "folder"],
+            description: "Export as a .zip (default) or a plain folder",
+          },
+          output_dir: {
+            type: "string",
+            description: "Directory the export is written into (must be in an allowed directory, e.g. ~/Downloads)",
+          },
+          confirm_spend: {
+            type: "boolean",
+            description: "Set to true only after the user has confirmed a generation that exceeds a budget cap",
+          },
+          profile: {
+            type: "string",
+            description: "Named account profile from the plugin config (e.g. 'personal', 'team'). Omit to use the default.",
+          },
           palette: {
             type: "string",
             description: "Explicit palette override — only use when the user asks for a specific palette by name. The API auto-selects palettes otherwise.",
@@ -365,93 +4913,333 @@ export default {
         additionalProperties: false,
       },
 
-      async execute(_id, args) {
+      // `signal` is the host's cancellation signal; httpJson and downloads
+      // pick it up from the audit scope, generate_sync also cancels its job
+      async execute(_id, args, signal) {
         const start = Date.now();
         const { action } = args;
 
-        const hdrs = authHeaders();
-        if (!hdrs && !["capabilities", "onboard", "pricing", "host_image", "moltbook_post"].includes(action)) {
-          return errorResult("PERSTUDIO_API_KEY not configured");
+        let policy;
+        try {
+          policy = currentPolicy();
+        } catch (e) {
+          return errorResult(`${e.message}. Ask an admin to fix plugins.entries.perstudio.config.policy.`);
+        }
+        const denied = actionDenial(policy, action);
+        if (denied) {
+          logger.info(`perstudio-api: action=${action} denied by policy`);
+          return errorResult(denied);
+        }
+
+        let conn;
+        try {
+          conn = connection(args.profile);
+        } catch (e) {
+          return errorResult(e.message);
+        }
+        const hdrs = conn.headers;
+        const baseUrl = conn.baseUrl;
+        if (!hdrs && !LOCAL_ACTIONS.includes(action) && !args.dry_run) {
+          return errorResult(conn.profile
+            ? `API key not configured for profile '${conn.profile}'`
+            : "API key not configured. Set plugins.entries.perstudio.config.apiKey or PERSTUDIO_API_KEY.");
         }
 
         try {
           let res;
 
           switch (action) {
+            // ── Planning ─────────────────────────────────
+            case "plan": {
+              const planned = await planGeneration(args, conn);
+              if (planned.error) return planned.error;
+              logger.info(`perstudio-api: action=plan category=${planned.plan.category} estimate=${planned.plan.estimated_credits} latency=${Date.now() - start}ms`);
+              return text(JSON.stringify(planned.plan, null, 2));
+            }
+
             // ── Generation (async) ───────────────────────
             case "generate": {
-              if (!args.intent) return errorResult("'intent' is required for generate");
-
-              await ensurePodRunning(hdrs, logger);
-
-              const body = { intent: args.intent };
-              if (args.input_image_asset_id) body.input_image_asset_id = args.input_image_asset_id;
-              if (args.slot_overrides) body.slot_overrides = args.slot_overrides;
-              if (args.workflow_id) body.workflow_id = args.workflow_id;
-              if (args.auto_upscale !== undefined) body.auto_upscale = args.auto_upscale;
-              if (args.palette) body.palette = args.palette;
-              res = await httpJson(`${BASE_URL}/generate`, {
-                method: "POST", headers: hdrs, body,
-              });
+              if (args.dry_run) {
+                const planned = await planGeneration(args, conn);
+                return planned.error || text(JSON.stringify(planned.plan, null, 2));
+              }
+              const gen = await prepareGeneration(args, conn);
+              if (gen.error) return gen.error;
+
+              await ensurePodRunning(conn, logger);
+
+              const callbackUrl = await webhookUrl(conn);
+              res = await submitGeneration("/generate", gen, conn, { callbackUrl });
+              const asyncJobId = res.ok && (res.data?.job_id || res.data?.id);
+              if (res.ok) {
+                const cost = recordGeneration(action, gen.args, conn, gen.spend.estimate, res.data);
+                if (asyncJobId) {
+                  jobTracker.track(asyncJobId, {
+                    intent: gen.args.intent,
+                    palette: gen.args.palette,
+                    input_asset_id: gen.args.input_image_asset_id,
+                    cost,
+                    profile: conn.profile,
+                    provenance: provenanceFor(gen.args),
+                    request: replayRequest(gen.args),
+                    callback: Boolean(callbackUrl),
+                  });
+                }
+              }
               break;
             }
 
             // ── Generation (sync + auto download) ────────
+            // variations/refine re-submit an earlier generation with changes
+            case "variations":
+            case "refine":
             case "generate_sync": {
-              if (!args.intent) return errorResult("'intent' is required for generate_sync");
-
-              await ensurePodRunning(hdrs, logger);
-
-              const body = { intent: args.intent };
-              if (args.input_image_asset_id) body.input_image_asset_id = args.input_image_asset_id;
-              if (args.slot_overrides) body.slot_overrides = args.slot_overrides;
-              if (args.workflow_id) body.workflow_id = args.workflow_id;
-              if (args.auto_upscale !== undefined) body.auto_upscale = args.auto_upscale;
-              if (args.palette) body.palette = args.palette;
-              res = await httpJson(`${BASE_URL}/agent/generate`, {
-                method: "POST", headers: hdrs, body,
-                timeoutMs: SYNC_TIMEOUT_MS,
-              });
+              let genInput = args;
+              let parent = null;
+              if (action !== "generate_sync") {
+                if (!args.job_id && !args.entry_id) return errorResult(`'job_id' or 'entry_id' is required for ${action}`);
+                const source = await findGeneration(args);
+                if (!source) return errorResult(`No generation found for ${args.entry_id ? `entry '${args.entry_id}'` : `job '${args.job_id}'`}`);
+                const derived = lineageArgs(action, source, args);
+                if (derived.error) return errorResult(derived.error);
+                ({ args: genInput, parent } = derived);
+              }
+              if (args.dry_run) {
+                const planned = await planGeneration(genInput, conn);
+                return planned.error || text(JSON.stringify(planned.plan, null, 2));
+              }
+              const gen = await prepareGeneration(genInput, conn);
+              if (gen.error) return gen.error;
 
+              await ensurePodRunning(conn, logger);
+
+              // Submitted as an async job and polled here, so a cancelled
+              // call cancels the job instead of just dropping a connection
+              res = await submitGeneration("/generate", gen, conn, { signal });
               if (!res.ok) break;
+              const jobId = res.data?.job_id || res.data?.id;
+              if (!jobId) return errorResult(sanitizeError(""));
+              const trackMeta = {
+                intent: gen.args.intent,
+                palette: gen.args.palette,
+                input_asset_id: gen.args.input_image_asset_id,
+                profile: conn.profile,
+                provenance: provenanceFor(gen.args, parent),
+                request: replayRequest(gen.args),
+                parent,
+              };
+
+              let polled;
+              try {
+                polled = await pollJob(jobId, conn, { timeoutMs: SYNC_TIMEOUT_MS - (Date.now() - start), signal });
+              } catch (e) {
+                if (!signal?.aborted) throw e;
+                const cancelled = await cancelJob(conn, jobId, AbortSignal.timeout(JOB_CANCEL_TIMEOUT_MS))
+                  .catch((err) => ({ ok: false, status: err.message }));
+                logger.info(`perstudio-api: action=${action} job_id=${jobId} cancelled remote=${cancelled.ok ? "ok" : cancelled.status} latency=${Date.now() - start}ms`);
+                // Too late to cancel: let the tracker collect what it produced
+                if (!cancelled.ok) jobTracker.track(jobId, { ...trackMeta, cost: recordGeneration(action, gen.args, conn, gen.spend.estimate, res.data) });
+                return errorResult(cancelled.ok
+                  ? "Generation cancelled."
+                  : `Cancelled, but job ${jobId} could not be stopped on the server. Call await_job with its job_id for the result.`);
+              }
+              if (!polled.ok || typeof polled.data !== "object") {
+                res = { ...polled, retries: res.retries + polled.retries, coldStartMs: res.coldStartMs + polled.coldStartMs };
+                break;
+              }
+              const status = polled.data.status;
+              if (!isTerminal(status)) {
+                // Past SYNC_TIMEOUT_MS: hand the job to the tracker
+                const cost = recordGeneration(action, gen.args, conn, gen.spend.estimate, res.data);
+                jobTracker.track(jobId, { ...trackMeta, cost });
+                logger.info(`perstudio-api: action=${action} job_id=${jobId} still ${status}, tracking latency=${Date.now() - start}ms`);
+                return text(JSON.stringify({
+                  job_id: jobId,
+                  status: status || "pending",
+                  message: "Still running. Call await_job with this job_id to keep waiting.",
+                }, null, 2));
+              }
+              if (status !== "completed" && status !== "succeeded") {
+                logger.info(`perstudio-api: action=${action} job_id=${jobId} status=${status} latency=${Date.now() - start}ms`);
+                return errorResult(status === "cancelled" || status === "canceled"
+                  ? "Generation cancelled."
+                  : sanitizeError(polled.data.error || status));
+              }
+              const cost = recordGeneration(action, gen.args, conn, gen.spend.estimate, polled.data);
 
-              // Download first output asset
-              const genData = res.data;
-              const assets = genData?.output_assets || genData?.outputs;
-              const firstAsset = Array.isArray(assets) && assets[0];
-              const assetId = typeof firstAsset === "string" ? firstAsset : (firstAsset?.asset_id || firstAsset?.id);
-              const jobId = genData?.job_id || genData?.id || "unknown";
+              // Download every output asset
+              const genData = polled.data;
+              const assetIds = extractAssetIds(genData);
 
-              if (assetId) {
+              if (assetIds.length) {
+                let files;
                 try {
-                  const filePath = await downloadAsset(assetId, jobId, hdrs);
-                  const latency = Date.now() - start;
-                  logger.info(`perstudio-api: generate_sync completed, asset downloaded latency=${latency}ms`);
-                  persistToMemory({
-                    intent: args.intent,
-                    workflowName: genData?.workflow_name || genData?.workflow,
-                    jobId,
-                    assetId,
-                    filePath,
-                    logger,
-                  }).catch((e) => logger.error(`perstudio-api: persistToMemory error: ${e.message}`));
-                  return await mediaResult("Generation complete.", filePath, logger);
-                } catch (dlErr) {
-                  logger.error(`perstudio-api: asset download failed: ${dlErr.message}`);
+                  files = await downloadAssets(assetIds, jobId, conn, logger, { provenance: trackMeta.provenance, signal });
+                } catch (e) {
+                  if (!signal?.aborted) throw e;
+                  // The job already finished; the tracker fetches the outputs instead
+                  jobTracker.track(jobId, { ...trackMeta, cost });
+                  return errorResult(`Cancelled while downloading. The generation finished (job_id ${jobId}); call await_job with its job_id for the result.`);
+                }
+                if (!files.length) {
                   return text("Generation completed but the file could not be retrieved. Please try again.");
                 }
+                const latency = Date.now() - start;
+                logger.info(
+                  `perstudio-api: ${action} completed, ${files.length}/${assetIds.length} assets downloaded` +
+                  `${parent ? ` parent=${parent.job_id}` : ""}${retryLog(res)} latency=${latency}ms`
+                );
+                const record = rememberGeneration(jobId, gen.args, genData, files, parent);
+                persistToMemory({
+                  intent: gen.args.intent,
+                  palette: gen.args.palette,
+                  inputAssetId: gen.args.input_image_asset_id,
+                  workflowName: genData?.workflow_name || genData?.workflow,
+                  jobId,
+                  outputs: files,
+                  cost,
+                  lineage: record,
+                  logger,
+                })
+                  .then((entry) => { if (entry) record.entry_id = entry.id; })
+                  .catch((e) => logger.error(`perstudio-api: persistToMemory error: ${e.message}`));
+                let summary = files.length > 1 ? `Generation complete — ${files.length} outputs.` : "Generation complete.";
+                if (files.length < assetIds.length) {
+                  summary += ` ${assetIds.length - files.length} output(s) could not be retrieved.`;
+                }
+                // The agent needs the job id to ask for variations or refinements
+                summary += ` (job_id ${jobId}${parent ? `, ${parent.relation} of ${parent.job_id}` : ""})`;
+                return await mediaResult(summary, files.map((f) => f.filePath), logger);
               }
 
               const latency = Date.now() - start;
-              logger.info(`perstudio-api: generate_sync completed (no asset) latency=${latency}ms`);
+              logger.info(`perstudio-api: ${action} completed (no asset)${retryLog(res)} latency=${latency}ms`);
               return text("Generation completed but produced no output.");
             }
 
+            // ── Batch generation ─────────────────────────
+            case "generate_batch": {
+              const hasRows = args.intents !== undefined || args.file_path !== undefined;
+              const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+              const name = args.batch_name || `batch-${stamp}`;
+              if (!BATCH_NAME_PATTERN.test(name)) {
+                return errorResult("'batch_name' may only contain letters, digits, '.', '-' and '_' (max 64)");
+              }
+              const waitMs = args.timeout_seconds !== undefined
+                ? Math.min(args.timeout_seconds * 1000, SYNC_TIMEOUT_MS)
+                : AWAIT_DEFAULT_MS;
+
+              let manifest = await readManifest(name);
+              if (!runningBatches.has(name)) {
+                const resuming = Boolean(manifest);
+                if (resuming && hasRows) {
+                  return errorResult(`Batch '${name}' already exists. Omit 'intents'/'file_path' to resume it, or choose another 'batch_name'.`);
+                }
+                if (!resuming && !hasRows) {
+                  return errorResult(args.batch_name
+                    ? `No batch named '${name}'. Provide 'intents' or 'file_path' to start it.`
+                    : "Provide 'intents' (an array) or 'file_path' (a .csv or .jsonl file) for generate_batch");
+                }
+                if (resuming && manifest.status === "completed") return batchReport(manifest);
+
+                if (resuming) {
+                  for (const row of manifest.rows) {
+                    if (row.status === "failed") Object.assign(row, { status: "pending", job_id: null, error: null });
+                  }
+                } else {
+                  const concurrency = args.concurrency ?? pluginConfig().batchConcurrency ?? BATCH_DEFAULT_CONCURRENCY;
+                  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_MAX_CONCURRENCY) {
+                    return errorResult(`'concurrency' must be an integer between 1 and ${BATCH_MAX_CONCURRENCY}`);
+                  }
+                  let rows;
+                  try {
+                    rows = await readBatchRows(args, policy);
+                  } catch (e) {
+                    return errorResult(e.message);
+                  }
+                  const shared = Object.fromEntries(BATCH_SHARED_FIELDS.filter((f) => args[f] !== undefined).map((f) => [f, args[f]]));
+                  const now = new Date().toISOString();
+                  manifest = {
+                    name,
+                    status: "running",
+                    created_at: now,
+                    updated_at: now,
+                    profile: conn.profile,
+                    concurrency,
+                    shared,
+                    rows: rows.map((settings, index) => ({
+                      index,
+                      name: settings.name || null,
+                      intent: settings.intent || null,
+                      settings,
+                      status: "pending",
+                      job_id: null,
+                      cost: 0,
+                      files: null,
+                      error: null,
+                    })),
+                  };
+                }
+
+                // Prepare every row up front so the cap check sees the whole
+                // batch; input images are only uploaded once it passes
+                const prepared = new Map();
+                let estimate = 0;
+                for (const row of manifest.rows.filter((r) => r.status === "pending")) {
+                  const gen = await prepareGeneration(batchRowArgs(manifest.shared, row.settings), conn, { guard: false, upload: false });
+                  if (gen.error) {
+                    Object.assign(row, { status: "failed", error: resultMessage(gen.error) });
+                    continue;
+                  }
+                  row.intent = gen.args.intent;
+                  prepared.set(row.index, gen);
+                  estimate += gen.spend.estimate.credits;
+                }
+                const overCap = await capError(estimate, args, "batch");
+                if (overCap) return overCap;
+                for (const [index, gen] of prepared) {
+                  const ready = await uploadInput(gen, conn);
+                  if (!ready.error) {
+                    prepared.set(index, ready);
+                    continue;
+                  }
+                  Object.assign(manifest.rows.find((r) => r.index === index), { status: "failed", error: resultMessage(ready.error) });
+                  prepared.delete(index);
+                }
+
+                manifest.status = "running";
+                await mkdir(batchPaths(name).folder, { recursive: true });
+                await writeFileAtomic(batchPaths(name).manifest, JSON.stringify(manifest, null, 2));
+                if (prepared.size) await ensurePodRunning(conn, logger);
+                logger.info(`perstudio-api: action=generate_batch batch=${name} rows=${manifest.rows.length} submitting=${prepared.size} estimate=${estimate}`);
+                // Outside the call's audit scope: rows are audited one by one
+                const run = auditScope.exit(() => runBatch(manifest, prepared, conn))
+                  .catch((e) => logger.error(`perstudio-api: batch ${name} failed: ${e.message}`))
+                  .finally(() => runningBatches.delete(name));
+                runningBatches.set(name, { run, manifest });
+              } else if (hasRows) {
+                return errorResult(`Batch '${name}' is already running. Omit 'intents'/'file_path' to check on it.`);
+              }
+
+              const running = runningBatches.get(name);
+              if (running) {
+                let timer;
+                await Promise.race([running.run, new Promise((r) => { timer = setTimeout(r, waitMs); })]);
+                clearTimeout(timer);
+                manifest = running.manifest;
+              }
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=generate_batch batch=${name} status=${manifest.status} latency=${latency}ms`);
+              return batchReport(manifest, manifest.status === "running"
+                ? { message: `Still running. Call generate_batch with batch_name "${name}" to keep waiting.` }
+                : manifest.status === "completed" ? {} : { message: `Call generate_batch with batch_name "${name}" to retry the unfinished rows.` });
+            }
+
             // ── Jobs ─────────────────────────────────────
             case "get_job": {
               if (!args.job_id) return errorResult("'job_id' is required for get_job");
               res = await httpJson(
-                `${BASE_URL}/jobs/${encodeURIComponent(args.job_id)}`,
+                `${baseUrl}/jobs/${encodeURIComponent(args.job_id)}`,
                 { headers: hdrs }
               );
               if (res.ok && typeof res.data === "object") {
@@ -462,12 +5250,69 @@ export default {
               break;
             }
 
+            case "cancel_job": {
+              if (!args.job_id) return errorResult("'job_id' is required for cancel_job");
+              res = await cancelJob(conn, args.job_id);
+              if (res.status === 404) return errorResult(`Job '${args.job_id}' not found`);
+              if (res.status === 409) {
+                logger.info(`perstudio-api: action=cancel_job job_id=${args.job_id} status=409 latency=${Date.now() - start}ms`);
+                return errorResult("The job has already finished, so there is nothing to cancel. Use await_job to fetch its result.");
+              }
+              if (res.ok) {
+                await jobTracker.cancel(args.job_id);
+                res = { ...res, data: { job_id: args.job_id, status: "cancelled", message: "Job cancelled." } };
+              }
+              break;
+            }
+
+            case "await_job": {
+              if (!args.job_id) return errorResult("'job_id' is required for await_job");
+              const waitMs = args.timeout_seconds
+                ? Math.min(args.timeout_seconds * 1000, SYNC_TIMEOUT_MS)
+                : AWAIT_DEFAULT_MS;
+              // Jobs started outside this plugin instance are picked up on demand
+              if (!jobTracker.get(args.job_id)) jobTracker.track(args.job_id, { profile: conn.profile });
+              const job = await jobTracker.wait(args.job_id, waitMs, signal);
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=await_job job_id=${args.job_id} status=${job?.status} latency=${latency}ms`);
+
+              if (job?.status === "completed") {
+                try {
+                  await jobTracker.restore(args.job_id);
+                } catch (e) {
+                  logger.error(`perstudio-api: job ${args.job_id} download again failed: ${e.message}`);
+                }
+                if (!job.files?.length) {
+                  return text(job.missing
+                    ? "Generation completed but the file could not be retrieved. Please try again."
+                    : "Generation completed but produced no output.");
+                }
+                const onDisk = [];
+                for (const f of job.files) {
+                  if (await stat(f.file_path).then(() => true, () => false)) onDisk.push(f.file_path);
+                }
+                if (!onDisk.length) return text("Generation completed but the file could not be retrieved. Please try again.");
+                const missing = (job.missing || 0) + job.files.length - onDisk.length;
+                let summary = onDisk.length > 1 ? `Generation complete — ${onDisk.length} outputs.` : "Generation complete.";
+                if (missing) summary += ` ${missing} output(s) could not be retrieved.`;
+                return await mediaResult(summary, onDisk, logger);
+              }
+              if (job && isTerminal(job.status)) {
+                return errorResult(job.error || sanitizeError(""));
+              }
+              return text(JSON.stringify({
+                job_id: args.job_id,
+                status: job?.status || "pending",
+                message: "Still running. Call await_job again to keep waiting.",
+              }, null, 2));
+            }
+
             case "list_jobs": {
               const params = new URLSearchParams();
               if (args.status) params.set("status", args.status);
               if (args.limit) params.set("limit", String(args.limit));
               const qs = params.toString();
-              res = await httpJson(`${BASE_URL}/jobs${qs ? "?" + qs : ""}`, {
+              res = await httpJson(`${baseUrl}/jobs${qs ? "?" + qs : ""}`, {
                 headers: hdrs,
               });
               if (res.ok && Array.isArray(res.data)) {
@@ -480,93 +5325,117 @@ export default {
               break;
             }
 
-            // ── Workflows & Discovery ────────────────────
-            case "list_workflows": {
-              const params = new URLSearchParams();
-              if (args.category) params.set("category", args.category);
-              if (args.query) params.set("q", args.query);
-              if (args.limit) params.set("limit", String(args.limit));
-              const qs = params.toString();
-              res = await httpJson(`${BASE_URL}/workflows${qs ? "?" + qs : ""}`, {
-                headers: hdrs || {},
-              });
-              break;
-            }
-
-            case "capabilities": {
-              res = await httpJson(`${BASE_URL}/capabilities`, {
-                headers: hdrs || {},
-              });
-              break;
-            }
-
-            case "onboard": {
-              res = await httpJson(`${BASE_URL}/agent/onboard`, {
-                headers: hdrs || {},
-              });
-              break;
-            }
-
-            // ── Workflow run (disabled — use generate_sync) ──
-            case "run_workflow": {
-              return errorResult("run_workflow is disabled. Use generate_sync with an intent instead — it automatically picks the best workflow.");
-            }
-
             // ── Asset Upload ─────────────────────────────
             case "upload_asset": {
               if (!args.file_path) return errorResult("'file_path' is required for upload_asset");
-              let fileData;
               try {
-                await validateFilePath(args.file_path);
-                fileData = await readFile(args.file_path);
+                res = await uploadOrReuse(conn, args.file_path);
               } catch (e) {
-                return errorResult(`Cannot read file: ${e.message}`);
-              }
-              const uploadFileName = basename(args.file_path);
-              const formData = new FormData();
-              formData.append("file", new Blob([fileData]), uploadFileName);
-              const uploadRes = await fetch(`${BASE_URL}/assets`, {
-                method: "POST",
-                headers: { "X-API-Key": hdrs["X-API-Key"] },
-                body: formData,
-              });
-              const uploadText = await uploadRes.text();
-              let uploadData;
-              try { uploadData = JSON.parse(uploadText); } catch { uploadData = uploadText; }
-              res = { status: uploadRes.status, ok: uploadRes.ok, data: uploadData };
+                return errorResult(e.name === "PolicyError" ? e.message : `Cannot read file: ${e.message}`);
+              }
               break;
             }
 
-            // ── Pod Lifecycle (Modal: mostly no-ops) ─────
-            case "pod_status": {
-              res = await httpJson(`${BASE_URL}/pod/status`, { headers: hdrs });
-              break;
+            // ── Mask creation (inpainting) ───────────────
+            case "create_mask": {
+              let referencePath;
+              if (args.file_path) {
+                try {
+                  referencePath = await validateFilePath(args.file_path, policy);
+                } catch (e) {
+                  return errorResult(e.message);
+                }
+              }
+              let mask;
+              try {
+                mask = await createMask({
+                  regions: args.regions,
+                  width: args.width,
+                  height: args.height,
+                  referencePath,
+                  feather: args.feather ?? 0,
+                  invert: Boolean(args.invert),
+                });
+              } catch (e) {
+                return errorResult(`Mask creation failed: ${e.message}`);
+              }
+              const result = { mask_path: mask.path, width: mask.width, height: mask.height };
+              if (args.upload) {
+                if (!hdrs) return errorResult("API key not configured — cannot upload the mask");
+                let up;
+                try {
+                  up = await uploadOrReuse(conn, mask.path);
+                } catch (e) {
+                  return errorResult(`Mask saved to ${mask.path} but not uploaded: ${e.message}`);
+                }
+                if (!up.ok) return errorResult(`Mask saved to ${mask.path} but upload failed: HTTP ${up.status}`);
+                result.input_mask_asset_id = up.data?.asset_id || up.data?.id;
+              }
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=create_mask size=${mask.width}x${mask.height} upload=${Boolean(args.upload)} latency=${latency}ms`);
+              return text(JSON.stringify(result, null, 2));
             }
 
-            case "pod_start": {
-              // Modal auto-starts — this just sends a warm-up ping
-              res = await httpJson(`${BASE_URL}/pod/start`, {
-                method: "POST", headers: hdrs,
-              });
-              break;
+            // ── Local post-processing ────────────────────
+            case "process_media": {
+              if (!args.operation) return errorResult("'operation' is required for process_media");
+              const sources = args.file_paths?.length ? args.file_paths : (args.file_path ? [args.file_path] : []);
+              if (!sources.length) return errorResult("'file_path' (or 'file_paths' for a contact sheet) is required for process_media");
+              if (sources.length > 1 && args.operation !== "contact_sheet") {
+                return errorResult("'file_paths' is only supported by contact_sheet");
+              }
+              let inputs;
+              let outputPath;
+              try {
+                inputs = await Promise.all(sources.map((f) => validateFilePath(f, policy)));
+                if (args.output_path) {
+                  // The output doesn't exist yet — validate the directory it goes in
+                  outputPath = join(await validateFilePath(dirname(resolve(args.output_path)), policy), basename(args.output_path));
+                  if (inputs.includes(outputPath)) return errorResult("'output_path' must differ from the input file");
+                }
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              let outPath;
+              try {
+                outPath = await processMedia({
+                  operation: args.operation,
+                  inputs,
+                  format: args.format,
+                  options: args.options || {},
+                  outputPath,
+                });
+              } catch (e) {
+                return errorResult(`process_media failed: ${e.message}`);
+              }
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=process_media operation=${args.operation} latency=${latency}ms`);
+              return await mediaResult(`Done (${args.operation.replace(/_/g, " ")}).`, outPath, logger);
             }
 
-            case "pod_stop": {
-              // Modal auto-scales to zero — this is a no-op
-              res = await httpJson(`${BASE_URL}/pod/stop`, {
-                method: "POST", headers: hdrs,
-              });
-              break;
+            case "inspect_media": {
+              if (!args.file_path) return errorResult("'file_path' is required for inspect_media");
+              let filePath;
+              let info;
+              try {
+                filePath = await validateFilePath(args.file_path, policy);
+                info = await readProvenance(filePath);
+              } catch (e) {
+                return errorResult(`inspect_media failed: ${e.message}`);
+              }
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=inspect_media found=${Boolean(info.provenance)} latency=${latency}ms`);
+              return text(JSON.stringify({ file_path: filePath, ...info }, null, 2));
             }
 
             // ── Billing ──────────────────────────────────
             case "balance": {
-              res = await httpJson(`${BASE_URL}/billing/balance`, { headers: hdrs });
+              res = await httpJson(`${baseUrl}/billing/balance`, { headers: hdrs });
               break;
             }
 
             case "pricing": {
-              res = await httpJson(`${BASE_URL}/billing/pricing`, { headers: hdrs || {} });
+              res = await httpJson(`${baseUrl}/billing/pricing`, { headers: hdrs || {} });
               break;
             }
 
@@ -575,27 +5444,290 @@ export default {
               if (args.limit) params.set("limit", String(args.limit));
               const qs = params.toString();
               res = await httpJson(
-                `${BASE_URL}/billing/transactions${qs ? "?" + qs : ""}`,
+                `${baseUrl}/billing/transactions${qs ? "?" + qs : ""}`,
                 { headers: hdrs }
               );
               break;
             }
 
-            // ── Image Hosting (catbox.moe) ─────────────
+            // ── Gallery ──────────────────────────────────
+            case "gallery_search": {
+              const entries = await readGalleryIndex();
+              const found = searchGallery(entries, {
+                query: args.query,
+                since: args.since,
+                until: args.until,
+                tag: args.tag,
+                media_type: args.media_type,
+                limit: args.limit || 20,
+              });
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=gallery_search results=${found.length} latency=${latency}ms`);
+              return text(JSON.stringify({ total: found.length, entries: found.map(publicGalleryEntry) }, null, 2));
+            }
+
+            case "gallery_get": {
+              if (!args.entry_id && !args.job_id) return errorResult("'entry_id' or 'job_id' is required for gallery_get");
+              const entries = await readGalleryIndex();
+              const entry = entries.find((e) => (args.entry_id ? e.id === args.entry_id : e.job_id === args.job_id));
+              if (!entry) return errorResult("Gallery entry not found");
+              const existing = [];
+              for (const f of entry.files) {
+                if (await stat(f).then(() => true, () => false)) existing.push(f);
+              }
+              const summary = JSON.stringify(publicGalleryEntry(entry), null, 2);
+              if (!existing.length) return text(summary + "\n\nThe files for this entry are no longer on disk.");
+              return await mediaResult(summary, existing, logger);
+            }
+
+            case "gallery_tag": {
+              if (!args.entry_id && !args.job_id) return errorResult("'entry_id' or 'job_id' is required for gallery_tag");
+              const add = normalizeTags(args.tags);
+              const remove = normalizeTags(args.remove_tags);
+              if (!add.length && !remove.length) return errorResult("Provide 'tags' and/or 'remove_tags' for gallery_tag");
+              let storage;
+              try {
+                storage = storageSettings(pluginConfig().storage);
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              const updated = await updateGallery(async (entries) => {
+                const entry = entries.find((e) => (args.entry_id ? e.id === args.entry_id : e.job_id === args.job_id));
+                if (!entry) return null;
+                entry.tags = [...new Set([...(entry.tags || []), ...add])].filter((t) => !remove.includes(t));
+                // Starring is what keeps an output, so get it out of tmp now
+                if (storage.moveStarred && isStarred(entry)) await moveEntryFiles(entry, storage.mediaDir);
+                return entry;
+              });
+              if (!updated) return errorResult("Gallery entry not found");
+              logger.info(`perstudio-api: action=gallery_tag entry=${updated.id} tags=${updated.tags.join(",")}`);
+              return text(JSON.stringify(publicGalleryEntry(updated), null, 2));
+            }
+
+            case "cleanup": {
+              let settings;
+              try {
+                settings = storageSettings(pluginConfig().storage, args);
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              if (!settings.maxAgeMs && !settings.maxBytes && !settings.moveStarred) {
+                return errorResult("No retention is configured. Pass 'max_age_days' and/or 'max_total_mb', or set storage.maxAgeDays / storage.maxTotalMB in the plugin config.");
+              }
+              const dryRun = args.dry_run === true;
+              const result = await cleanupStorage(settings, { dryRun });
+              const summary = cleanupSummary(result, settings, dryRun);
+              const counts = summary[dryRun ? "would_delete" : "deleted"];
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=cleanup dry_run=${dryRun} files=${counts.files} entries=${counts.gallery_entries} mb=${counts.mb} latency=${latency}ms`);
+              return text(JSON.stringify(summary, null, 2));
+            }
+
+            case "export": {
+              if (!args.output_dir) return errorResult("'output_dir' is required for export");
+              if (args.archive !== undefined && !["zip", "folder"].includes(args.archive)) {
+                return errorResult("'archive' must be 'zip' or 'folder'");
+              }
+              if (args.job_ids !== undefined && !(Array.isArray(args.job_ids) && args.job_ids.every((j) => typeof j === "string"))) {
+                return errorResult("'job_ids' must be an array of job ids");
+              }
+              if (!args.job_ids?.length && !args.since && !args.until && !args.tag) {
+                return errorResult("Choose what to export: 'job_ids', a date range with 'since'/'until', or a 'tag'");
+              }
+              let selected;
+              try {
+                selected = searchGallery(await readGalleryIndex(), {
+                  since: args.since, until: args.until, tag: args.tag, media_type: args.media_type, limit: Infinity,
+                }).reverse();
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              let notFound = [];
+              if (args.job_ids?.length) {
+                notFound = args.job_ids.filter((j) => !selected.some((e) => e.job_id === j));
+                selected = selected.filter((e) => args.job_ids.includes(e.job_id));
+              }
+              if (!selected.length) return errorResult("No gallery entries match that selection");
+
+              let dir;
+              try {
+                // A new directory is created only inside an allowed parent
+                const wanted = resolve(args.output_dir.replace(/^~(?=\/|$)/, homedir()));
+                if (!(await stat(wanted).then((st) => st.isDirectory(), () => false))) {
+                  await validateFilePath(dirname(wanted), policy);
+                  await mkdir(wanted);
+                }
+                dir = await validateFilePath(wanted, policy);
+              } catch (e) {
+                return errorResult(e.code === "ENOENT" ? `Directory not found: ${dirname(args.output_dir)}` : e.message);
+              }
+              const name = `perstudio-export-${localDay()}-${randomUUID().slice(0, 6)}`;
+              const exported = await exportGallery(selected, dir, { name, archive: args.archive || "zip" });
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=export entries=${exported.entries} files=${exported.files} archive=${args.archive || "zip"} latency=${latency}ms`);
+              return text(JSON.stringify({
+                path: exported.path,
+                archive: args.archive || "zip",
+                entries: exported.entries,
+                files: exported.files,
+                mb: Math.round((exported.bytes / (1024 * 1024)) * 10) / 10,
+                ...(exported.missing ? { missing_files: exported.missing, note: "Some outputs were no longer on disk; the manifest lists them." } : {}),
+                ...(notFound.length ? { not_found: notFound } : {}),
+              }, null, 2));
+            }
+
+            // ── Presets ──────────────────────────────────
+            case "preset_list": {
+              let presets;
+              try {
+                presets = await loadPresets(pluginConfig());
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              const list = [...presets].map(([name, def]) => ({ name, ...def }));
+              logger.info(`perstudio-api: action=preset_list presets=${list.length}`);
+              return text(JSON.stringify({ presets: list }, null, 2));
+            }
+
+            case "preset_save": {
+              if (!args.preset || !PRESET_NAME_PATTERN.test(args.preset)) {
+                return errorResult("'preset' must be a name of letters, digits, '-' or '_' (max 64)");
+              }
+              const invalid = validatePreset(args.preset_definition);
+              if (invalid) return errorResult(`Invalid 'preset_definition': ${invalid}`);
+              const shadowsConfig = Boolean(pluginConfig().presets?.[args.preset]);
+              try {
+                await updatePresetFile((presets) => {
+                  presets[args.preset] = args.preset_definition;
+                });
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              logger.info(`perstudio-api: action=preset_save preset=${args.preset}`);
+              return text(JSON.stringify({
+                saved: args.preset,
+                preset: args.preset_definition,
+                ...(shadowsConfig ? { note: "This overrides the preset of the same name in the plugin config." } : {}),
+              }, null, 2));
+            }
+
+            case "preset_delete": {
+              if (!args.preset) return errorResult("'preset' is required for preset_delete");
+              let deleted;
+              try {
+                deleted = await updatePresetFile((presets) => {
+                  if (!Object.hasOwn(presets, args.preset)) return false;
+                  delete presets[args.preset];
+                  return true;
+                });
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              if (!deleted) {
+                return errorResult(pluginConfig().presets?.[args.preset]
+                  ? `Preset '${args.preset}' is defined in the plugin config; remove it there`
+                  : `Unknown preset '${args.preset}'`);
+              }
+              logger.info(`perstudio-api: action=preset_delete preset=${args.preset}`);
+              return text(JSON.stringify({ deleted: args.preset }, null, 2));
+            }
+
+            case "usage_report": {
+              let report;
+              try {
+                report = usageReport(await readAudit(), { since: args.since, until: args.until, top: args.limit });
+              } catch (e) {
+                return errorResult(e.message);
+              }
+              if (pluginConfig().audit?.enabled === false) {
+                report.note = "Audit logging is turned off in the plugin config; only calls recorded before that are included.";
+              }
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: usage_report calls=${report.totals.calls} latency=${latency}ms`);
+              return text(JSON.stringify(report, null, 2));
+            }
+
+            case "budget": {
+              const caps = pluginConfig().budget || {};
+              if (hdrs) {
+                try {
+                  const txRes = await httpJson(`${baseUrl}/billing/transactions?limit=100`, { headers: hdrs, timeoutMs: 10000 });
+                  if (txRes.ok) {
+                    serverSpend.day = localDay();
+                    serverSpend.credits = serverSpendToday(txRes.data);
+                  }
+                } catch (e) {
+                  logger.error(`perstudio-api: transactions reconcile failed: ${e.message}`);
+                }
+              }
+              const spent = await currentSpend();
+              const remaining = (cap, used) => (cap ? Math.max(cap - used, 0) : null);
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: action=budget latency=${latency}ms`);
+              return text(JSON.stringify({
+                caps: {
+                  max_credits_per_call: caps.maxCreditsPerCall || null,
+                  max_credits_per_day: caps.maxCreditsPerDay || null,
+                  max_credits_per_session: caps.maxCreditsPerSession || null,
+                  on_exceed: caps.onExceed || "confirm",
+                },
+                spent_today: spent.day,
+                spent_today_server: serverSpend.day === localDay() ? serverSpend.credits : null,
+                spent_this_session: spent.session,
+                remaining_today: remaining(caps.maxCreditsPerDay, spent.day),
+                remaining_this_session: remaining(caps.maxCreditsPerSession, spent.session),
+                recent: spent.entries.slice(-10).reverse().map((e) => ({
+                  time: e.ts, action: e.action, category: e.category, credits: e.credits, intent: e.intent,
+                })),
+              }, null, 2));
+            }
+
+            // ── Publishing ───────────────────────────────
             case "host_image": {
               if (!args.file_path) return errorResult("'file_path' is required for host_image");
-              try { await validateFilePath(args.file_path); } catch (e) {
+              try { await uploadablePath(args.file_path); } catch (e) {
+                return errorResult(e.message);
+              }
+              let published;
+              try {
+                published = await publishFile(pluginConfig(), args.target, args.file_path);
+              } catch (e) {
+                if (signal?.aborted) throw e;
                 return errorResult(e.message);
               }
-              const publicUrl = await uploadToCatbox(args.file_path);
               const latency = Date.now() - start;
-              logger.info(`perstudio-api: host_image uploaded to ${publicUrl} latency=${latency}ms`);
-              return text(JSON.stringify({ url: publicUrl, file_path: args.file_path }, null, 2));
+              logger.info(`perstudio-api: host_image target=${published.target} uploaded to ${published.url} latency=${latency}ms`);
+              return text(JSON.stringify({ url: published.url, target: published.target, file_path: args.file_path }, null, 2));
             }
 
-            // ── Moltbook Posting (disabled) ──────────────
+            // ── Moltbook Posting ─────────────────────────
             case "moltbook_post": {
-              return errorResult("Moltbook posting is temporarily disabled by the owner.");
+              const moltbook = pluginConfig().publishing?.moltbook || {};
+              if (!moltbook.enabled) {
+                return errorResult("Moltbook posting is disabled. Enable it with publishing.moltbook.enabled in the plugin config.");
+              }
+              if (!args.title) return errorResult("'title' is required for moltbook_post");
+              let postUrl = args.url;
+              if (args.file_path) {
+                // Publish the file first, then link the post to it
+                try {
+                  await uploadablePath(args.file_path);
+                  postUrl = (await publishFile(pluginConfig(), args.target || moltbook.target, args.file_path)).url;
+                } catch (e) {
+                  if (signal?.aborted) throw e;
+                  return errorResult(e.message);
+                }
+              }
+              const post = await postToMoltbook({
+                title: args.title,
+                content: args.content,
+                submolt: args.submolt,
+                url: postUrl,
+                apiKey: moltbook.apiKey || process.env.MOLTBOOK_API_KEY,
+              });
+              const latency = Date.now() - start;
+              logger.info(`perstudio-api: moltbook_post submolt=${args.submolt || "general"} latency=${latency}ms`);
+              return text(JSON.stringify(post, null, 2));
             }
 
             default:
@@ -606,8 +5738,7 @@ export default {
           logger.info(
             `perstudio-api: action=${action}` +
             `${args.job_id ? ` job_id=${args.job_id}` : ""}` +
-            `${args.workflow_id ? ` workflow_id=${args.workflow_id}` : ""}` +
-            ` status=${res.status} latency=${latency}ms`
+            ` status=${res.status}${retryLog(res)} latency=${latency}ms`
           );
 
           if (!res.ok) {
@@ -617,7 +5748,7 @@ export default {
                 : typeof res.data === "string"
                   ? res.data
                   : JSON.stringify(res.data);
-            if (["generate", "generate_sync", "get_job"].includes(action)) {
+            if (["generate", "generate_sync", "variations", "refine", "generate_batch", "get_job", "await_job", "cancel_job"].includes(action)) {
               return errorResult(sanitizeError(detail));
             }
             return errorResult(`HTTP ${res.status}: ${detail}`);
@@ -626,8 +5757,12 @@ export default {
           return text(typeof res.data === "string" ? res.data : JSON.stringify(res.data, null, 2));
         } catch (err) {
           const latency = Date.now() - start;
-          logger.error(`perstudio-api: action=${action} error=${err.message} latency=${latency}ms`);
-          if (["generate", "generate_sync", "get_job"].includes(action)) {
+          if (signal?.aborted) {
+            logger.info(`perstudio-api: action=${action} cancelled latency=${latency}ms`);
+            return errorResult("Cancelled.");
+          }
+          logger.error(`perstudio-api: action=${action} error=${err.message}${retryLog(err)} latency=${latency}ms`);
+          if (["generate", "generate_sync", "variations", "refine", "generate_batch", "get_job", "await_job", "cancel_job"].includes(action)) {
             return errorResult(sanitizeError(err.message));
           }
           if (err.name === "TimeoutError") {
@@ -636,8 +5771,109 @@ export default {
           return errorResult(`Request failed: ${err.message}`);
         }
       },
-    });
+    };
+
+    // Every call is audited, whichever way it returns
+    const runAction = tool.execute;
+    tool.execute = async (id, args, signal) => {
+      const call = { call_id: id ?? null, http_status: null, retries: 0, cold_start_ms: 0, credits: 0, category: null, closed: false, signal };
+      const start = Date.now();
+      let result;
+      try {
+        result = await auditScope.run(call, () => runAction(id, args, signal));
+        return result;
+      } finally {
+        call.closed = true;
+        recordCall(call, args, result, Date.now() - start);
+      }
+    };
+    api.registerTool(tool);
 
     logger.info("perstudio-api: tool registered (perstudio)");
+
+    // ── Commands ──
+    const runHumanCommand = (argv) => runCommand((args) => tool.execute(`cmd-${randomUUID().slice(0, 8)}`, args), argv);
+    const commandSummary = "Perstudio balance, jobs, downloads, gallery and quick generations";
+
+    // `/perstudio jobs --limit 5` in chat; tables need a monospace block
+    if (typeof api.registerCommand === "function") {
+      api.registerCommand({
+        name: "perstudio",
+        description: commandSummary,
+        acceptsArgs: true,
+        handler: async (ctx) => {
+          let argv;
+          try {
+            argv = splitCommandLine(String(ctx?.args ?? ""));
+          } catch (e) {
+            return { text: e.message };
+          }
+          const { output } = await runHumanCommand(argv);
+          return { text: "```\n" + output + "\n```" };
+        },
+      });
+    }
+
+    // `openclaw perstudio …`; our own parser reads the words and flags
+    if (typeof api.registerCli === "function") {
+      api.registerCli(({ program }) => {
+        program
+          .command("perstudio")
+          .description(commandSummary)
+          .argument("[args...]")
+          .allowUnknownOption()
+          .helpOption(false)
+          .action(async (_words, _options, command) => {
+            const { ok, output } = await runHumanCommand(command.args);
+            (ok ? console.log : console.error)(output);
+            if (!ok) process.exitCode = 1;
+          });
+      }, { commands: ["perstudio"] });
+    }
   },
 };
+
+export default plugin;
+
+// ── Standalone CLI ───────────────────────────────────────
+
+const OPENCLAW_CONFIG_PATH = join(homedir(), ".openclaw", "openclaw.json");
+
+// The perstudio entry of the OpenClaw config, if it is readable as JSON
+async function readOpenClawConfig(warn) {
+  let raw;
+  try {
+    raw = await readFile(OPENCLAW_CONFIG_PATH, "utf8");
+  } catch {
+    return {};
+  }
+  try {
+    return JSON.parse(raw)?.plugins?.entries?.[PLUGIN_ID]?.config || {};
+  } catch (e) {
+    warn(`perstudio: could not read ${tildePath(OPENCLAW_CONFIG_PATH)} (${e.message}); using PERSTUDIO_* environment variables`);
+    return {};
+  }
+}
+
+// Entry point of the `perstudio` bin: registers the plugin against a
+// minimal host and runs one command. Resolves to the exit code.
+export async function runCli(argv, { stdout = console.log, stderr = console.error } = {}) {
+  const debug = Boolean(process.env.PERSTUDIO_DEBUG);
+  const config = await readOpenClawConfig(stderr);
+  let tool;
+  plugin.register({
+    logger: { info: (msg) => debug && stderr(msg), error: (msg) => debug && stderr(msg) },
+    pluginConfig: config,
+    registerTool: (t) => { tool = t; },
+  });
+  try {
+    const { ok, output } = await runCommand((args) => tool.execute(`cli-${randomUUID().slice(0, 8)}`, args), argv);
+    (ok ? stdout : stderr)(output);
+    return ok ? 0 : 1;
+  } finally {
+    globalThis[TRACKER_KEY]?.stop();
+    stopWebhookServer();
+    clearTimeout(globalThis[CLEANUP_KEY]?.first);
+    clearInterval(globalThis[CLEANUP_KEY]?.every);
+  }
+}
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setup, textOf, jsonOf } from "./helpers.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("balance, pricing and transactions pass through", async () => {
+  assert.equal(jsonOf(await h.call({ action: "balance" })).balance, 100000);
+  assert.ok(jsonOf(await h.call({ action: "pricing" })).categories.length);
+
+  await h.call({ action: "generate_sync", intent: "a teapot" });
+  const txs = jsonOf(await h.call({ action: "transactions", limit: 5 }));
+  assert.equal(txs[0].amount, -250);
+  assert.equal(h.mock.lastRequest("GET", "/billing/transactions").query.limit, "5");
+});
+
+test("unknown actions are rejected", async () => {
+  const res = await h.call({ action: "mine_bitcoin" });
+  assert.ok(res.isError);
+  assert.match(textOf(res), /Unknown action/);
+});
+
+test("execute handles exactly the actions the schema advertises", async () => {
+  for (const action of h.tool.parameters.properties.action.enum) {
+    assert.doesNotMatch(textOf(await h.call({ action })), /Unknown action/, action);
+  }
+  for (const action of ["list_workflows", "capabilities", "onboard", "run_workflow", "pod_status", "pod_start", "pod_stop"]) {
+    assert.match(textOf(await h.call({ action })), /Unknown action/, action);
+  }
+});
+
+test("remote actions need an API key; local ones do not", async () => {
+  delete process.env.PERSTUDIO_API_KEY;
+  try {
+    const res = await h.call({ action: "balance" });
+    assert.ok(res.isError);
+    assert.match(textOf(res), /API key not configured/);
+    assert.ok(!(await h.call({ action: "pricing" })).isError);
+    assert.ok(!(await h.call({ action: "gallery_search" })).isError);
+  } finally {
+    process.env.PERSTUDIO_API_KEY = h.mock.apiKey;
+  }
+});
+
+test("a wrong API key surfaces the HTTP status for account actions", async () => {
+  h.config.apiKey = "wrong";
+  try {
+    const res = await h.call({ action: "balance" });
+    assert.ok(res.isError);
+    assert.match(textOf(res), /HTTP 401: Invalid API key/);
+  } finally {
+    delete h.config.apiKey;
+  }
+});
+
+test("profiles select their own key and base URL, and config reloads per call", async () => {
+  h.config.profiles = { team: { apiKey: h.mock.apiKey, baseUrl: h.mock.url } };
+  h.config.defaultProfile = "team";
+  try {
+    assert.ok(!(await h.call({ action: "balance" })).isError);
+    h.config.profiles.team.apiKey = "revoked";
+    assert.match(textOf(await h.call({ action: "balance" })), /HTTP 401/);
+  } finally {
+    delete h.config.profiles;
+    delete h.config.defaultProfile;
+  }
+});
+
+test("budget caps ask for confirmation, then allow the call", async () => {
+  h.config.budget = { maxCreditsPerCall: 100 };
+  try {
+    const blocked = await h.call({ action: "generate_sync", intent: "a castle" });
+    assert.ok(blocked.isError);
+    assert.match(textOf(blocked), /confirm_spend/);
+
+    const confirmed = await h.call({ action: "generate_sync", intent: "a castle", confirm_spend: true });
+    assert.ok(!confirmed.isError, textOf(confirmed));
+
+    h.config.budget.onExceed = "refuse";
+    const refused = await h.call({ action: "generate_sync", intent: "a castle", confirm_spend: true });
+    assert.match(textOf(refused), /not submitted/);
+  } finally {
+    delete h.config.budget;
+  }
+});
+
+test("budget reports caps and today's spend", async () => {
+  h.config.budget = { maxCreditsPerDay: 100000 };
+  try {
+    const report = jsonOf(await h.call({ action: "budget" }));
+    assert.equal(report.caps.max_credits_per_day, 100000);
+    assert.ok(report.spent_today > 0);
+    assert.ok(report.spent_today_server > 0);
+  } finally {
+    delete h.config.budget;
+  }
+});
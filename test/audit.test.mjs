@@ -0,0 +1,125 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, mediaPaths, SANDBOX } from "./helpers.mjs";
+
+const AUDIT = join(SANDBOX, ".openclaw", "perstudio", "audit.jsonl");
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+async function auditRecords(path = AUDIT) {
+  const raw = await readFile(path, "utf8").catch(() => "");
+  return raw.split("\n").filter(Boolean).map((l) => JSON.parse(l));
+}
+
+const settle = () => new Promise((r) => setTimeout(r, 100));
+
+test("every call is recorded with status, retries, credits and outputs", async () => {
+  h.mock.failNext("POST", "/generate", { status: 503, body: "busy", headers: { "Retry-After": "0" } });
+  const res = await h.call({ action: "generate_sync", intent: "a paper crane" });
+  assert.ok(!res.isError, textOf(res));
+  await h.call({ action: "process_media", operation: "resize", options: { password: "hunter2", note: "x".repeat(2000) } });
+  await settle();
+
+  const [gen, failed] = (await auditRecords()).slice(-2);
+  assert.equal(gen.action, "generate_sync");
+  assert.equal(gen.call_id, "test-call");
+  assert.equal(gen.ok, true);
+  assert.equal(gen.http_status, 200);
+  assert.equal(gen.retries, 1);
+  assert.equal(gen.category, "text_to_image");
+  assert.equal(gen.credits, 250);
+  assert.equal(gen.args.intent, "a paper crane");
+  assert.deepEqual(gen.outputs, mediaPaths(res));
+  assert.ok(gen.latency_ms >= 0);
+
+  assert.equal(failed.ok, false);
+  assert.match(failed.error, /file_path/);
+  assert.equal(failed.args.options.password, "[redacted]");
+  assert.ok(failed.args.options.note.length < 600);
+});
+
+test("usage_report summarizes by day, action, category and top spend", async () => {
+  await h.call({ action: "generate_sync", intent: "an expensive video of a comet" });
+  await h.call({ action: "balance" });
+  await settle();
+
+  const report = jsonOf(await h.call({ action: "usage_report" }));
+  assert.ok(report.totals.calls >= 4);
+  assert.equal(report.by_action.generate_sync.calls, 2);
+  assert.equal(report.by_action.process_media.errors, 1);
+  assert.ok(report.by_category.video.credits > report.by_category.text_to_image.credits);
+  assert.equal(Object.keys(report.by_day).length, 1);
+  assert.equal(report.top_spend[0].intent, "an expensive video of a comet");
+  assert.equal(report.by_profile.default.credits, report.totals.credits);
+
+  assert.equal(jsonOf(await h.call({ action: "usage_report", until: "2000-01-01" })).totals.calls, 0);
+  assert.ok((await h.call({ action: "usage_report", since: "not a date" })).isError);
+});
+
+test("batch rows are audited individually", async () => {
+  const started = jsonOf(await h.call({ action: "generate_batch", batch_name: "audit-rows", intents: ["a cup", "a saucer"], timeout_seconds: 20 }));
+  assert.equal(started.completed, 2);
+  await settle();
+  const rows = (await auditRecords()).filter((r) => r.batch === "audit-rows");
+  assert.deepEqual(rows.map((r) => r.row).sort(), [1, 2]);
+  assert.ok(rows.every((r) => r.ok && r.credits === 250 && r.outputs.length === 1 && r.call_id === null));
+  const call = (await auditRecords()).findLast((r) => r.action === "generate_batch" && !r.batch);
+  assert.equal(call.credits, 0, "the call itself does not double count its rows");
+});
+
+test("the Prometheus export mirrors the totals", async () => {
+  const file = join(SANDBOX, "metrics", "perstudio.prom");
+  h.config.audit = { prometheusFile: file };
+  try {
+    await h.call({ action: "generate_sync", intent: "a lantern" });
+    await settle();
+    const prom = await readFile(file, "utf8");
+    assert.match(prom, /# TYPE perstudio_tool_calls_total counter/);
+    assert.match(prom, /perstudio_tool_calls_total\{action="generate_sync",outcome="ok"\} \d+/);
+    assert.match(prom, /perstudio_credits_total\{action="generate_sync",category="text_to_image"\} \d+/);
+    assert.match(prom, /perstudio_call_duration_seconds_count\{action="generate_sync"\} \d+/);
+  } finally {
+    delete h.config.audit;
+  }
+});
+
+test("the log rotates by size and usage_report reads rotated files", async () => {
+  const before = jsonOf(await h.call({ action: "usage_report" })).totals.calls;
+  h.config.audit = { maxFileMB: 0.001, keepFiles: 1 };
+  try {
+    for (let i = 0; i < 6; i++) await h.call({ action: "gallery_search", query: `rotation ${i}` });
+    await settle();
+    assert.ok((await stat(`${AUDIT}.1`)).size > 0);
+    await assert.rejects(stat(`${AUDIT}.2`));
+    assert.ok((await stat(AUDIT)).size <= 1100);
+    const report = jsonOf(await h.call({ action: "usage_report" }));
+    assert.ok(report.totals.calls < before + 7, "older generations beyond keepFiles are dropped");
+    assert.ok(report.by_action.gallery_search.calls >= 1);
+  } finally {
+    delete h.config.audit;
+  }
+});
+
+test("audit logging can be turned off", async () => {
+  await settle();
+  h.config.audit = { enabled: false };
+  try {
+    const count = (await auditRecords()).length;
+    await h.call({ action: "balance" });
+    await settle();
+    assert.equal((await auditRecords()).length, count);
+    assert.match(jsonOf(await h.call({ action: "usage_report" })).note, /turned off/);
+  } finally {
+    delete h.config.audit;
+  }
+});
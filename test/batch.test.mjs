@@ -0,0 +1,142 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { setup, textOf, jsonOf, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup({
+    config: {
+      presets: {
+        packshot: { intent_prefix: "packshot of {product} on a {backdrop} backdrop", variables: { backdrop: "white" } },
+      },
+    },
+  });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+async function manifestOf(report) {
+  return JSON.parse(await readFile(report.manifest, "utf8"));
+}
+
+test("a batch from an intent list writes outputs and a manifest; failed rows resume", async () => {
+  h.mock.failNext("POST", "/generate", { status: 500, body: { detail: "worker lost (workflow flux_dev_t2i)" } });
+  const report = jsonOf(await h.call({
+    action: "generate_batch",
+    batch_name: "mugs",
+    intents: ["a red mug", { intent: "a blue mug", name: "SKU-2", palette: "cool" }],
+    concurrency: 1,
+    timeout_seconds: 30,
+  }));
+  assert.equal(report.status, "completed_with_errors");
+  assert.equal(report.completed, 1);
+  assert.equal(report.failed, 1);
+  assert.doesNotMatch(report.failures[0].error, /workflow/);
+
+  let manifest = await manifestOf(report);
+  assert.equal(manifest.rows[0].status, "failed");
+  assert.equal(manifest.rows[1].status, "completed");
+  assert.equal(basename(manifest.rows[1].files[0]), "002_SKU-2.png");
+  assert.equal(manifest.rows[1].cost, 250);
+
+  const posts = () => h.mock.state.requests.filter((r) => r.path === "/generate").length;
+  const before = posts();
+  const resumed = jsonOf(await h.call({ action: "generate_batch", batch_name: "mugs", timeout_seconds: 30 }));
+  assert.equal(posts(), before + 1, "only the failed row is resubmitted");
+  assert.equal(resumed.status, "completed");
+  assert.equal(resumed.completed, 2);
+  manifest = await manifestOf(resumed);
+  assert.equal(basename(manifest.rows[0].files[0]), "001_a_red_mug.png");
+  assert.ok(h.events.some((e) => e.includes('batch "mugs" finished')));
+  assert.ok(!h.events.some((e) => e.includes("await_job")), "rows don't notify one by one");
+});
+
+test("CSV rows fill preset variables and name the files", async () => {
+  const csv = join(SANDBOX, "Downloads", "skus.csv");
+  await writeFile(csv, [
+    "name,product,backdrop,num_outputs",
+    'SKU-1,"a mug, glazed",,',
+    "SKU-2,a teapot,black,2",
+  ].join("\n"));
+  const report = jsonOf(await h.call({
+    action: "generate_batch",
+    batch_name: "catalogue",
+    file_path: csv,
+    preset: "packshot",
+    timeout_seconds: 30,
+  }));
+  assert.equal(report.status, "completed");
+  const intents = h.mock.state.requests.filter((r) => r.path === "/generate").slice(-2).map((r) => r.body.intent).sort();
+  assert.deepEqual(intents, [
+    "packshot of a mug, glazed on a white backdrop",
+    "packshot of a teapot on a black backdrop",
+  ]);
+  const manifest = await manifestOf(report);
+  assert.deepEqual(manifest.rows[1].files.map((f) => basename(f)), ["002_SKU-2_1.png", "002_SKU-2_2.png"]);
+});
+
+test("JSONL rows are accepted", async () => {
+  const jsonl = join(SANDBOX, "Downloads", "rows.jsonl");
+  await writeFile(jsonl, '{"intent":"a kite"}\n\n{"intent":"a drum","slot_overrides":{"steps":12}}\n');
+  const report = jsonOf(await h.call({ action: "generate_batch", batch_name: "toys", file_path: jsonl, timeout_seconds: 30 }));
+  assert.equal(report.completed, 2);
+  assert.ok(h.mock.state.requests.some((r) => r.path === "/generate" && r.body.slot_overrides?.steps === 12));
+});
+
+test("a short timeout reports progress while the batch keeps running", async () => {
+  const report = jsonOf(await h.call({ action: "generate_batch", batch_name: "later", intents: ["a lamp"], timeout_seconds: 0 }));
+  assert.equal(report.status, "running");
+  assert.match(report.message, /keep waiting/);
+  assert.match(textOf(await h.call({ action: "generate_batch", batch_name: "later", intents: ["x"] })), /already running/);
+  const done = jsonOf(await h.call({ action: "generate_batch", batch_name: "later", timeout_seconds: 30 }));
+  assert.equal(done.status, "completed");
+});
+
+test("the batch total is checked against the budget caps before anything is submitted", async () => {
+  h.config.budget = { maxCreditsPerCall: 600, onExceed: "refuse" };
+  const sent = h.mock.state.requests.filter((r) => r.path === "/generate").length;
+  try {
+    const res = await h.call({ action: "generate_batch", batch_name: "pricey", intents: ["a", "b", "c"] });
+    assert.match(textOf(res), /This batch \(~750 credits\)/);
+  } finally {
+    delete h.config.budget;
+  }
+  assert.equal(h.mock.state.requests.filter((r) => r.path === "/generate").length, sent);
+  assert.match(textOf(await h.call({ action: "generate_batch", batch_name: "pricey" })), /No batch named/);
+});
+
+test("input images of a batch over the caps are never uploaded", async () => {
+  const sketch = join(SANDBOX, "Downloads", "batch-sketch.png");
+  await writeFile(sketch, samplePng(8, 8, [3, 1, 4]));
+  const uploads = () => h.mock.state.requests.filter((r) => r.method === "POST" && r.path === "/assets").length;
+  const before = uploads();
+  h.config.budget = { maxCreditsPerCall: 600, onExceed: "refuse" };
+  try {
+    const res = await h.call({ action: "generate_batch", batch_name: "sketches", intents: ["paint it", "ink it", "etch it"], input_image_path: sketch });
+    assert.match(textOf(res), /This batch \(~750 credits\)/);
+  } finally {
+    delete h.config.budget;
+  }
+  assert.equal(uploads(), before);
+
+  const report = jsonOf(await h.call({ action: "generate_batch", batch_name: "sketches", intents: ["paint it", "ink it"], input_image_path: sketch, timeout_seconds: 30 }));
+  assert.equal(report.completed, 2);
+  const sent = h.mock.state.requests.filter((r) => r.path === "/generate").slice(-2);
+  assert.ok(sent.every((r) => h.mock.state.assets.has(r.body.input_image_asset_id)));
+});
+
+test("generate_batch validates its input", async () => {
+  const err = async (args) => textOf(await h.call({ action: "generate_batch", ...args }));
+  assert.match(await err({}), /Provide 'intents'/);
+  assert.match(await err({ intents: [] }), /no rows/);
+  assert.match(await err({ intents: ["a"], batch_name: "../up" }), /batch_name/);
+  assert.match(await err({ intents: ["a"], concurrency: 50 }), /concurrency/);
+  assert.match(await err({ file_path: "/etc/passwd" }), /not allowed/);
+  assert.match(await err({ intents: ["a"], batch_name: "mugs" }), /already exists/);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setup, textOf, jsonOf, mediaPaths } from "./helpers.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup({ mock: { slowJobMs: 60000 } });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+// The job for `intent`, once the plugin has been told its id and polls it
+async function jobFor(intent) {
+  for (let i = 0; i < 100; i++) {
+    const job = [...h.mock.state.jobs.values()].find((j) => j.intent === intent);
+    if (job && h.mock.state.requests.some((r) => r.method === "GET" && r.path === `/jobs/${job.job_id}`)) return job;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  return null;
+}
+
+const cancels = () => h.mock.state.requests.filter((r) => r.method === "POST" && r.path.endsWith("/cancel"));
+
+test("aborting generate_sync cancels the job on the server", async () => {
+  const balance = h.mock.state.balance;
+  const intent = "a slow video of a comet";
+  const ctrl = new AbortController();
+  const pending = h.call({ action: "generate_sync", intent }, ctrl.signal);
+  const job = await jobFor(intent);
+  assert.ok(job, "the generation was submitted");
+  ctrl.abort();
+
+  const res = await pending;
+  assert.ok(res.isError);
+  assert.match(textOf(res), /Generation cancelled/);
+  assert.equal(job.status, "cancelled");
+  assert.equal(cancels().at(-1).path, `/jobs/${job.job_id}/cancel`);
+  assert.equal(h.mock.state.balance, balance);
+  assert.ok(!h.events.some((e) => e.includes(job.job_id)));
+});
+
+test("an already-aborted call sends no generation", async () => {
+  const posts = () => h.mock.state.requests.filter((r) => r.path === "/generate").length;
+  const before = posts();
+  const res = await h.call({ action: "generate_sync", intent: "a kite" }, AbortSignal.abort());
+  assert.ok(res.isError);
+  assert.match(textOf(res), /Cancelled/);
+  assert.equal(posts(), before);
+});
+
+test("cancel_job stops a tracked job without a completion notice", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "a slow timelapse video" }));
+  const res = await h.call({ action: "cancel_job", job_id: started.job_id });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(jsonOf(res).status, "cancelled");
+  assert.equal(h.mock.state.jobs.get(started.job_id).status, "cancelled");
+
+  const awaited = await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 1 });
+  assert.ok(awaited.isError);
+  assert.match(textOf(awaited), /cancelled/);
+  assert.ok(!h.events.some((e) => e.includes(started.job_id)));
+});
+
+test("cancel_job explains finished and unknown jobs", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "a teapot" }));
+  assert.ok(!(await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 20 })).isError);
+  assert.match(textOf(await h.call({ action: "cancel_job", job_id: started.job_id })), /already finished/);
+  assert.match(textOf(await h.call({ action: "cancel_job", job_id: "job_missing" })), /not found/);
+  assert.match(textOf(await h.call({ action: "cancel_job" })), /'job_id' is required/);
+});
+
+test("aborting await_job returns at once and leaves the job running", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "a slow drone shot video" }));
+  const ctrl = new AbortController();
+  setTimeout(() => ctrl.abort(), 100);
+  const t0 = Date.now();
+  const res = await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 30 }, ctrl.signal);
+  assert.ok(Date.now() - t0 < 5000);
+  assert.match(jsonOf(res).message, /Still running/);
+  assert.notEqual(h.mock.state.jobs.get(started.job_id).status, "cancelled");
+});
+
+test("aborting host_image stops the upload", async () => {
+  const file = mediaPaths(await h.call({ action: "generate_sync", intent: "a postcard" }))[0];
+  h.config.publishing = { disableCatbox: true, targets: { site: { type: "http", url: `${h.mock.url}/uploads` } } };
+  h.mock.failNext("PUT", "/uploads/", { status: 201, body: { ok: true }, delayMs: 10000 });
+  try {
+    const ctrl = new AbortController();
+    const started = Date.now();
+    const pending = h.call({ action: "host_image", file_path: file, target: "site" }, ctrl.signal);
+    for (let i = 0; i < 100 && !h.mock.state.requests.some((r) => r.method === "PUT"); i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    ctrl.abort();
+    const res = await pending;
+    assert.equal(textOf(res), "Error: Cancelled.");
+    assert.ok(Date.now() - started < 5000, "the call returns without waiting for the upload");
+  } finally {
+    delete h.config.publishing;
+  }
+});
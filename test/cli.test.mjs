@@ -0,0 +1,138 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import { mkdir, writeFile, unlink, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, SANDBOX } from "./helpers.mjs";
+import { MOCK_API_KEY } from "./mock-server.mjs";
+
+const BIN = fileURLToPath(new URL("../bin/perstudio.mjs", import.meta.url));
+const OPENCLAW_CONFIG = join(SANDBOX, ".openclaw", "openclaw.json");
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+// Run the bin in a child process (the mock server lives in this one)
+async function perstudio(args, env = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [BIN, ...args], {
+      env: { ...process.env, ...env },
+      timeout: 30000,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (e) {
+    if (typeof e.code !== "number") throw e;
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+const exists = (p) => stat(p).then(() => true, () => false);
+const savedPaths = (out) => [...out.matchAll(/^Saved (.+)$/gm)].map((m) => m[1]);
+
+test("balance prints a readable summary, or JSON with --json", async () => {
+  const plain = await perstudio(["balance"]);
+  assert.equal(plain.code, 0, plain.stderr);
+  assert.match(plain.stdout, new RegExp(`^balance\\s+${h.mock.state.balance}$`, "m"));
+  const json = JSON.parse((await perstudio(["balance", "--json"])).stdout);
+  assert.equal(json.balance, h.mock.state.balance);
+});
+
+test("gen saves outputs that jobs, gallery and get can find again", async () => {
+  const gen = await perstudio(["gen", "a fox in the snow", "--n", "2"]);
+  assert.equal(gen.code, 0, gen.stderr);
+  const files = savedPaths(gen.stdout);
+  assert.equal(files.length, 2);
+  for (const f of files) assert.ok(await exists(f), f);
+  const jobId = /job_id (\S+?)\)/.exec(gen.stdout)[1];
+
+  const jobs = await perstudio(["jobs", "--limit", "5"]);
+  assert.match(jobs.stdout, /^JOB\s+STATUS\s+CREATED\s+INTENT$/m);
+  assert.match(jobs.stdout, new RegExp(`^${jobId}\\s+completed\\s`, "m"));
+
+  const gallery = JSON.parse((await perstudio(["gallery", "fox", "--json"])).stdout);
+  assert.equal(gallery.entries[0].job_id, jobId);
+  assert.match((await perstudio(["gallery", "fox"])).stdout, /a fox in the snow/);
+
+  // A deleted output is downloaded again
+  await unlink(files[0]);
+  const got = await perstudio(["get", jobId]);
+  assert.equal(got.code, 0, got.stderr);
+  assert.match(got.stdout, /2 outputs/);
+  for (const f of savedPaths(got.stdout)) assert.ok(await exists(f), f);
+  const again = JSON.parse((await perstudio(["gallery", "fox", "--json"])).stdout);
+  assert.equal(again.entries.filter((e) => e.job_id === jobId).length, 1, "no duplicate gallery entry");
+});
+
+test("gen --dry-run shows the plan without generating", async () => {
+  const before = h.mock.state.jobs.size;
+  const res = await perstudio(["gen", "a video of a comet", "--dry-run"]);
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /^category\s+video$/m);
+  assert.equal(h.mock.state.jobs.size, before);
+});
+
+test("bad usage and tool errors exit non-zero with a message", async () => {
+  const unknown = await perstudio(["bogus"]);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /Unknown command 'bogus'[\s\S]*Usage:/);
+  assert.match((await perstudio(["jobs", "--colour", "red"])).stderr, /Unknown option --colour for 'jobs'/);
+  assert.match((await perstudio(["jobs", "--limit", "lots"])).stderr, /--limit must be a whole number/);
+  assert.match((await perstudio(["get"])).stderr, /Usage: perstudio get <job_id>/);
+  const missing = await perstudio(["gallery", "--since", "yesterday"]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /Invalid date: yesterday/);
+});
+
+test("the bin reads the OpenClaw config before the environment", async () => {
+  const env = { PERSTUDIO_API_KEY: "", PERSTUDIO_BASE_URL: "" };
+  await mkdir(join(SANDBOX, ".openclaw"), { recursive: true });
+  try {
+    await writeFile(OPENCLAW_CONFIG, JSON.stringify({ plugins: { entries: { perstudio: { config: { apiKey: MOCK_API_KEY, baseUrl: h.mock.url } } } } }));
+    assert.equal((await perstudio(["balance"], env)).code, 0);
+
+    await writeFile(OPENCLAW_CONFIG, "{ plugins: { /* json5 */ } }");
+    const res = await perstudio(["balance"], env);
+    assert.equal(res.code, 1);
+    assert.match(res.stderr, /could not read ~\/\.openclaw\/openclaw\.json/);
+    assert.match(res.stderr, /API key not configured/);
+  } finally {
+    await unlink(OPENCLAW_CONFIG).catch(() => {});
+  }
+});
+
+test("the plugin registers a /perstudio chat command and an openclaw subcommand", async () => {
+  const [command] = h.commands;
+  assert.equal(command.name, "perstudio");
+  assert.equal(command.acceptsArgs, true);
+  const reply = await command.handler({ args: 'gen "a heron, at dawn" --n 1' });
+  assert.match(reply.text, /^```\nGeneration complete\./);
+  assert.equal(savedPaths(reply.text).length, 1);
+  assert.equal(h.mock.lastRequest("POST", "/generate").body.intent, "a heron, at dawn");
+  assert.match((await command.handler({ args: "" })).text, /Usage:/);
+
+  const [{ register, opts }] = h.cli;
+  assert.deepEqual(opts, { commands: ["perstudio"] });
+  let action;
+  const program = new Proxy({}, {
+    get: (_, key) => (key === "action" ? (fn) => { action = fn; return program; } : () => program),
+  });
+  register({ program });
+  const printed = [];
+  const log = console.log;
+  console.log = (s) => printed.push(s);
+  try {
+    await action([], {}, { args: ["balance", "--json"] });
+  } finally {
+    console.log = log;
+  }
+  assert.equal(JSON.parse(printed[0]).balance, h.mock.state.balance);
+});
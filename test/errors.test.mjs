@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setup, textOf } from "./helpers.mjs";
+
+// Words from raw backend errors that must never reach the user
+const INTERNALS = /workflow|flux|sdxl|comfyui|modal|cuda|safetensors|ksampler|proxy/i;
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+async function generationError(args, action = "generate_sync") {
+  const res = await h.call({ action, ...args });
+  assert.ok(res.isError, `${action} should fail`);
+  const msg = textOf(res);
+  assert.doesNotMatch(msg, INTERNALS);
+  return msg;
+}
+
+test("content-policy rejections are reported without backend details", async () => {
+  assert.match(await generationError({ intent: "something nsfw" }), /content policy/);
+});
+
+test("execution timeouts map to the timeout message", async () => {
+  assert.match(await generationError({ intent: "timeout please" }), /timed out/);
+});
+
+test("other backend failures map to the generic message", async () => {
+  assert.match(await generationError({ intent: "crash the sampler" }), /Generation failed/);
+});
+
+test("rate limiting maps to the wait message", async () => {
+  h.mock.failNext("POST", "/generate", {
+    status: 429,
+    body: { detail: "Rate limit exceeded for key tk_1 on modal endpoint" },
+    headers: { "Retry-After": "3600" },
+  });
+  assert.match(await generationError({ intent: "a cat" }), /Too many requests/);
+});
+
+test("insufficient balance maps to the top-up message", async () => {
+  const balance = h.mock.state.balance;
+  h.mock.state.balance = 0;
+  try {
+    assert.match(await generationError({ intent: "a cat" }), /Insufficient token balance/);
+    assert.match(await generationError({ intent: "a cat" }, "generate"), /Insufficient token balance/);
+  } finally {
+    h.mock.state.balance = balance;
+  }
+});
+
+test("gateway errors that outlast the retries are not leaked as HTML", async () => {
+  h.mock.failNext("POST", "/generate", {
+    status: 502,
+    body: "<html><body><h1>502 Bad Gateway</h1>modal container starting</body></html>",
+    headers: { "Retry-After": "0" },
+    times: 6,
+  });
+  const msg = await generationError({ intent: "a cat" });
+  assert.match(msg, /starting up or busy/);
+  assert.doesNotMatch(msg, /<html>|502/);
+});
+
+test("get_job errors are sanitized", async () => {
+  h.mock.failNext("GET", "/jobs/", { status: 500, body: { detail: "ComfyUI proxy https://modal-internal.run unreachable" } });
+  assert.match(await generationError({ job_id: "job_x" }, "get_job"), /Generation failed/);
+});
+
+test("network failures are sanitized for generation actions", async () => {
+  process.env.PERSTUDIO_BASE_URL = "http://127.0.0.1:9";
+  try {
+    assert.match(await generationError({ intent: "a cat" }), /Generation failed/);
+  } finally {
+    process.env.PERSTUDIO_BASE_URL = h.mock.url;
+  }
+});
+
+test("network failures are reported as-is for account actions", async () => {
+  process.env.PERSTUDIO_BASE_URL = "http://127.0.0.1:9";
+  try {
+    const res = await h.call({ action: "balance" });
+    assert.ok(res.isError);
+    assert.match(textOf(res), /^Error: Request failed:/);
+  } finally {
+    process.env.PERSTUDIO_BASE_URL = h.mock.url;
+  }
+});
+
+test("non-JSON error bodies are passed through for account actions", async () => {
+  h.mock.failNext("GET", "/billing/balance", { status: 500, body: "upstream unavailable" });
+  const res = await h.call({ action: "balance" });
+  assert.equal(textOf(res), "Error: HTTP 500: upstream unavailable");
+});
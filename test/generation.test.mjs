@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, mediaPaths, GALLERY_INDEX, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("generate_sync downloads the output and records it in the gallery", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "a lighthouse at dusk" });
+  assert.ok(!res.isError, textOf(res));
+  const [file] = mediaPaths(res);
+  assert.match(file, /\.png$/);
+  assert.ok((await stat(file)).size > 0);
+
+  const sent = h.mock.lastRequest("POST", "/generate");
+  assert.equal(sent.body.intent, "a lighthouse at dusk");
+  assert.equal(sent.body.workflow_id, undefined);
+
+  // Gallery writes are fire-and-forget; give them a moment
+  await new Promise((r) => setTimeout(r, 200));
+  const gallery = (await readFile(GALLERY_INDEX, "utf8")).trim().split("\n").map((l) => JSON.parse(l));
+  assert.ok(gallery.some((e) => e.intent === "a lighthouse at dusk" && e.files.includes(file)));
+});
+
+test("generate_sync returns every output when num_outputs is set", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "four logo ideas", num_outputs: 4 });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(mediaPaths(res).length, 4);
+  assert.match(textOf(res), /4 outputs/);
+  assert.equal(h.mock.lastRequest("POST", "/generate").body.num_outputs, 4);
+});
+
+test("generate_sync rejects out-of-range num_outputs before any request", async () => {
+  const before = h.mock.state.requests.length;
+  const res = await h.call({ action: "generate_sync", intent: "x", num_outputs: 99 });
+  assert.ok(res.isError);
+  assert.equal(h.mock.state.requests.length, before);
+});
+
+test("generate_sync requires an intent", async () => {
+  const res = await h.call({ action: "generate_sync" });
+  assert.ok(res.isError);
+  assert.match(textOf(res), /intent/);
+});
+
+test("video and audio outputs are returned as file references", async () => {
+  const video = await h.call({ action: "generate_sync", intent: "animate a paper boat" });
+  assert.match(textOf(video), /^FILE:.+\.mp4$/m);
+  const audio = await h.call({ action: "generate_sync", intent: "speak a warm welcome" });
+  assert.match(textOf(audio), /^FILE:.+\.wav$/m);
+});
+
+test("generated PNGs carry provenance readable with inspect_media", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "a red fox", palette: "autumn" });
+  const [file] = mediaPaths(res);
+  const info = jsonOf(await h.call({ action: "inspect_media", file_path: file }));
+  assert.equal(info.mime_type, "image/png");
+  assert.equal(info.provenance.intent, "a red fox");
+  assert.equal(info.provenance.palette, "autumn");
+});
+
+test("upload_asset uploads once and reuses the cached asset for identical content", async () => {
+  const file = join(SANDBOX, "Downloads", "photo.png");
+  await writeFile(file, samplePng(8, 8, [1, 2, 3]));
+  const first = jsonOf(await h.call({ action: "upload_asset", file_path: file }));
+  const uploads = h.mock.state.requests.filter((r) => r.path === "/assets" && r.method === "POST").length;
+  const second = jsonOf(await h.call({ action: "upload_asset", file_path: file }));
+  assert.equal(second.asset_id, first.asset_id);
+  assert.equal(h.mock.state.requests.filter((r) => r.path === "/assets" && r.method === "POST").length, uploads);
+});
+
+test("uploads are retried through a busy backend", async () => {
+  const file = join(SANDBOX, "Downloads", "busy.png");
+  await writeFile(file, samplePng(8, 8, [7, 8, 9]));
+  h.mock.failNext("POST", "/assets", { status: 503, body: "busy", headers: { "Retry-After": "0" } });
+  const res = await h.call({ action: "upload_asset", file_path: file });
+  assert.ok(!res.isError, textOf(res));
+  assert.ok(h.mock.state.assets.has(jsonOf(res).asset_id));
+});
+
+test("upload_asset refuses files outside the allowed directories", async () => {
+  const res = await h.call({ action: "upload_asset", file_path: "/etc/hostname" });
+  assert.ok(res.isError);
+  assert.match(textOf(res), /not allowed|Cannot read/);
+});
+
+test("input_image_path uploads the file and sends it as the input image", async () => {
+  const file = join(SANDBOX, "Downloads", "sketch.png");
+  await writeFile(file, samplePng(8, 8, [9, 9, 9]));
+  const res = await h.call({ action: "generate_sync", intent: "make it an oil painting", input_image_path: file });
+  assert.ok(!res.isError, textOf(res));
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  assert.ok(h.mock.state.assets.has(sent.input_image_asset_id));
+});
+
+test("an input asset the server lost is re-uploaded once and the request retried", async () => {
+  const file = join(SANDBOX, "Downloads", "lost.png");
+  await writeFile(file, samplePng(8, 8, [4, 5, 6]));
+  const { asset_id } = jsonOf(await h.call({ action: "upload_asset", file_path: file }));
+  h.mock.state.assets.delete(asset_id);
+
+  const res = await h.call({ action: "generate_sync", intent: "restyle", input_image_path: file });
+  assert.ok(!res.isError, textOf(res));
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  assert.notEqual(sent.input_image_asset_id, asset_id);
+});
+
+test("reference slots are validated and forwarded", async () => {
+  const style = h.mock.addAsset(samplePng(4, 4));
+  const res = await h.call({ action: "generate_sync", intent: "in this style", style_reference_asset_id: style });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(h.mock.lastRequest("POST", "/generate").body.style_reference_asset_id, style);
+
+  const bad = await h.call({ action: "generate_sync", intent: "x", style_reference_asset_id: "../../etc" });
+  assert.ok(bad.isError);
+});
+
+test("unknown profile is rejected", async () => {
+  const res = await h.call({ action: "balance", profile: "nope" });
+  assert.ok(res.isError);
+});
@@ -0,0 +1,90 @@
+/**
+ * Shared test setup: an isolated HOME/TMPDIR per test file (node --test runs
+ * each file in its own process), the mock API, and a fake OpenClaw `api`
+ * that captures the registered tool and its log lines.
+ */
+
+import { mkdtempSync, mkdirSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { execFileSync } from "node:child_process";
+import { startMockServer, MOCK_API_KEY } from "./mock-server.mjs";
+
+// Must happen before index.mjs is imported: its state paths are fixed at load
+const sandbox = mkdtempSync(join(tmpdir(), "perstudio-test-"));
+process.env.HOME = sandbox;
+process.env.TMPDIR = join(sandbox, "tmp");
+mkdirSync(process.env.TMPDIR, { recursive: true });
+mkdirSync(join(sandbox, "Downloads"));
+delete process.env.PERSTUDIO_API_KEY;
+delete process.env.PERSTUDIO_BASE_URL;
+
+export const SANDBOX = sandbox;
+export const OUT_DIR = join(sandbox, "tmp", "perstudio");
+export const GALLERY_INDEX = join(sandbox, ".openclaw", "workspace", "memory", "perstudio-gallery.jsonl");
+
+export function hasCommand(cmd) {
+  try {
+    execFileSync(cmd, ["-version"], { stdio: "ignore", timeout: 5000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Start the mock API and register the plugin against it. `config` is the
+// live plugin config object — mutate it to exercise hot reload.
+export async function setup({ mock: mockOptions, config = {}, env = true } = {}) {
+  const mock = await startMockServer(mockOptions);
+  if (env) {
+    process.env.PERSTUDIO_BASE_URL = mock.url;
+    process.env.PERSTUDIO_API_KEY = MOCK_API_KEY;
+  }
+  const { default: plugin } = await import("../index.mjs");
+
+  const logs = [];
+  const events = [];
+  const commands = [];
+  const cli = [];
+  let tool;
+  const api = {
+    logger: {
+      info: (msg) => logs.push({ level: "info", msg }),
+      error: (msg) => logs.push({ level: "error", msg }),
+    },
+    pluginConfig: {},
+    registerTool: (t) => { tool = t; },
+    registerCommand: (c) => commands.push(c),
+    registerCli: (register, opts) => cli.push({ register, opts }),
+    runtime: {
+      config: { loadConfig: () => ({ plugins: { entries: { perstudio: { config } } } }) },
+      system: { enqueueSystemEvent: (msg) => events.push(msg) },
+    },
+  };
+  plugin.register(api);
+
+  // `signal` stands in for the host's cancellation signal
+  async function call(args, signal) {
+    return tool.execute("test-call", args, signal);
+  }
+
+  async function teardown() {
+    globalThis[Symbol.for("perstudio.jobTracker")]?.stop();
+    globalThis[Symbol.for("perstudio.webhook")]?.close();
+    await mock.close();
+  }
+
+  return { plugin, tool, mock, config, logs, events, commands, cli, call, teardown };
+}
+
+export function textOf(result) {
+  return result.content.filter((c) => c.type === "text").map((c) => c.text).join("\n");
+}
+
+export function jsonOf(result) {
+  return JSON.parse(textOf(result));
+}
+
+export function mediaPaths(result) {
+  return [...textOf(result).matchAll(/^(?:MEDIA|FILE):(.+)$/gm)].map((m) => m[1].trim());
+}
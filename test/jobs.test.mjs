@@ -0,0 +1,71 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setup, textOf, jsonOf, mediaPaths } from "./helpers.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup({ mock: { slowJobMs: 60000 } });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("generate returns a job id and await_job delivers the output", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "clouds over mountains" }));
+  assert.ok(started.job_id);
+  assert.equal(h.mock.lastRequest("POST", "/generate").body.intent, "clouds over mountains");
+
+  const res = await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 20 });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(mediaPaths(res).length, 1);
+  assert.ok(h.events.some((e) => e.includes(started.job_id)), "completion is pushed to the host");
+});
+
+test("await_job reports a still-running job instead of blocking forever", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "a slow panorama" }));
+  const res = await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 1 });
+  assert.ok(!res.isError);
+  const body = jsonOf(res);
+  assert.equal(body.job_id, started.job_id);
+  assert.match(body.message, /Still running/);
+});
+
+test("await_job surfaces a failed job with a sanitized error", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "crash the sampler" }));
+  const res = await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 20 });
+  assert.ok(res.isError);
+  assert.match(textOf(res), /Generation failed/);
+  assert.doesNotMatch(textOf(res), /CUDA|workflow|safetensors/);
+});
+
+test("get_job strips workflow details and sanitizes errors", async () => {
+  const failed = [...h.mock.state.jobs.values()].find((j) => j.status === "failed");
+  const job = jsonOf(await h.call({ action: "get_job", job_id: failed.job_id }));
+  assert.equal(job.status, "failed");
+  assert.equal(job.workflow_id, undefined);
+  assert.equal(job.workflow_name, undefined);
+  assert.doesNotMatch(job.error, /CUDA/);
+});
+
+test("get_job on an unknown job returns a sanitized error", async () => {
+  const res = await h.call({ action: "get_job", job_id: "job_missing" });
+  assert.ok(res.isError);
+  assert.doesNotMatch(textOf(res), /HTTP 404/);
+});
+
+test("get_job and await_job require a job id", async () => {
+  assert.ok((await h.call({ action: "get_job" })).isError);
+  assert.ok((await h.call({ action: "await_job" })).isError);
+});
+
+test("list_jobs filters by status and hides workflow details", async () => {
+  const jobs = jsonOf(await h.call({ action: "list_jobs", status: "completed", limit: 5 }));
+  assert.ok(jobs.length >= 1);
+  for (const job of jobs) {
+    assert.equal(job.status, "completed");
+    assert.equal(job.workflow_name, undefined);
+  }
+  assert.deepEqual(h.mock.lastRequest("GET", "/jobs").query, { status: "completed", limit: "5" });
+});
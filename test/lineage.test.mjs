@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { setup, textOf, jsonOf, mediaPaths, GALLERY_INDEX } from "./helpers.mjs";
+
+let h;
+let parent;
+
+function jobIdOf(result) {
+  return /job_id (\S+?)[,)]/.exec(textOf(result))?.[1];
+}
+
+// Gallery writes are fire-and-forget
+async function galleryEntry(jobId) {
+  for (let i = 0; i < 20; i++) {
+    const raw = await readFile(GALLERY_INDEX, "utf8").catch(() => "");
+    const entry = raw.split("\n").filter(Boolean).map((l) => JSON.parse(l)).find((e) => e.job_id === jobId);
+    if (entry) return entry;
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  return null;
+}
+
+before(async () => {
+  h = await setup();
+  const res = await h.call({ action: "generate_sync", intent: "a lighthouse at dusk", palette: "noir", num_outputs: 2 });
+  assert.ok(!res.isError, textOf(res));
+  parent = h.mock.state.jobs.get(jobIdOf(res));
+  assert.ok(parent, "generate_sync reports its job id");
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("the seed and request of each generation are recorded in the gallery", async () => {
+  const entry = await galleryEntry(parent.job_id);
+  assert.equal(entry.seed, parent.seed);
+  assert.deepEqual(entry.request, { intent: "a lighthouse at dusk", palette: "noir" });
+  assert.equal(entry.parent, null);
+});
+
+test("refine keeps the seed and settings and takes the edited intent", async () => {
+  const res = await h.call({ action: "refine", job_id: parent.job_id, intent: "a lighthouse at dusk, warmer lighting" });
+  assert.ok(!res.isError, textOf(res));
+  assert.match(textOf(res), new RegExp(`refinement of ${parent.job_id}`));
+
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  assert.deepEqual(sent, { intent: "a lighthouse at dusk, warmer lighting", palette: "noir", seed: parent.seed });
+
+  const entry = await galleryEntry(jobIdOf(res));
+  assert.equal(entry.parent.job_id, parent.job_id);
+  assert.equal(entry.parent.relation, "refinement");
+  assert.equal(entry.parent.seed_locked, true);
+
+  const info = jsonOf(await h.call({ action: "inspect_media", file_path: mediaPaths(res)[0] }));
+  assert.equal(info.provenance.parent_job_id, parent.job_id);
+});
+
+test("variations start from the chosen output with fresh seeds", async () => {
+  const res = await h.call({ action: "variations", job_id: parent.job_id, output_index: 1 });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(mediaPaths(res).length, 4);
+
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  assert.equal(sent.input_image_asset_id, parent.output_assets[1].asset_id);
+  assert.equal(sent.num_outputs, 4);
+  assert.equal(sent.seed, undefined);
+  assert.equal(sent.intent, "a lighthouse at dusk");
+});
+
+test("a gallery entry can be the parent, and chains keep their lineage", async () => {
+  const { id } = await galleryEntry(parent.job_id);
+  const first = await h.call({ action: "refine", entry_id: id, intent: "a lighthouse in fog", num_outputs: 1 });
+  assert.ok(!first.isError, textOf(first));
+  const child = jobIdOf(first);
+  assert.equal((await galleryEntry(child)).parent.entry_id, id);
+
+  const second = await h.call({ action: "refine", job_id: child, from_output: true, lock_seed: false });
+  assert.ok(!second.isError, textOf(second));
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  assert.equal(sent.intent, "a lighthouse in fog");
+  assert.equal(sent.input_image_asset_id, h.mock.state.jobs.get(child).output_assets[0].asset_id);
+  assert.equal(sent.seed, undefined);
+  assert.equal((await galleryEntry(jobIdOf(second))).parent.job_id, child);
+});
+
+test("async jobs can be refined once they finish", async () => {
+  const started = jsonOf(await h.call({ action: "generate", intent: "a windmill" }));
+  assert.ok(!(await h.call({ action: "await_job", job_id: started.job_id, timeout_seconds: 20 })).isError);
+  const res = await h.call({ action: "refine", job_id: started.job_id, intent: "a windmill at night" });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(h.mock.lastRequest("POST", "/generate").body.seed, h.mock.state.jobs.get(started.job_id).seed);
+});
+
+test("generate_sync accepts an explicit seed", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "a lighthouse", seed: 1234 });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(h.mock.state.jobs.get(jobIdOf(res)).seed, 1234);
+  assert.ok((await h.call({ action: "generate_sync", intent: "a lighthouse", seed: -1 })).isError);
+});
+
+test("variations and refine validate their parent", async () => {
+  assert.match(textOf(await h.call({ action: "variations" })), /'job_id' or 'entry_id' is required/);
+  assert.match(textOf(await h.call({ action: "refine", job_id: "job_missing", intent: "x" })), /No generation found/);
+  assert.match(textOf(await h.call({ action: "refine", job_id: parent.job_id })), /Nothing to refine/);
+  assert.match(textOf(await h.call({ action: "variations", job_id: parent.job_id, output_index: 5 })), /output_index/);
+});
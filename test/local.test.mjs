@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { writeFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, mediaPaths, hasCommand, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+const hasMediaTools = hasCommand("convert") || hasCommand("ffmpeg");
+
+let h;
+let generated;
+
+before(async () => {
+  h = await setup();
+  const res = await h.call({ action: "generate_sync", intent: "a harbour at night" });
+  [generated] = mediaPaths(res);
+  // Gallery writes are fire-and-forget
+  await new Promise((r) => setTimeout(r, 200));
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("gallery_search finds generations by text, date and media type", async () => {
+  const found = jsonOf(await h.call({ action: "gallery_search", query: "harbour", media_type: "image" }));
+  assert.equal(found.total, 1);
+  assert.equal(found.entries[0].workflow, undefined, "internal workflow names stay hidden");
+
+  const none = jsonOf(await h.call({ action: "gallery_search", query: "harbour", until: "2000-01-01" }));
+  assert.equal(none.total, 0);
+});
+
+test("gallery_tag adds and removes tags; gallery_get returns the files", async () => {
+  const [entry] = jsonOf(await h.call({ action: "gallery_search", query: "harbour" })).entries;
+  const tagged = jsonOf(await h.call({ action: "gallery_tag", entry_id: entry.id, tags: ["Final", "client-a"] }));
+  assert.deepEqual(tagged.tags, ["final", "client-a"]);
+  const untagged = jsonOf(await h.call({ action: "gallery_tag", entry_id: entry.id, remove_tags: ["client-a"] }));
+  assert.deepEqual(untagged.tags, ["final"]);
+  assert.equal(jsonOf(await h.call({ action: "gallery_search", tag: "final" })).total, 1);
+
+  const got = await h.call({ action: "gallery_get", entry_id: entry.id });
+  assert.deepEqual(mediaPaths(got), [generated]);
+});
+
+test("gallery actions validate their arguments", async () => {
+  assert.ok((await h.call({ action: "gallery_get" })).isError);
+  assert.ok((await h.call({ action: "gallery_get", entry_id: "missing" })).isError);
+  assert.ok((await h.call({ action: "gallery_tag", entry_id: "missing" })).isError);
+  assert.ok((await h.call({ action: "gallery_tag", entry_id: "missing", tags: ["x"] })).isError);
+});
+
+test("inspect_media reports files without provenance", async () => {
+  const plain = join(SANDBOX, "Downloads", "plain.png");
+  await writeFile(plain, samplePng(4, 4));
+  const info = jsonOf(await h.call({ action: "inspect_media", file_path: plain }));
+  assert.equal(info.provenance, null);
+  assert.ok((await h.call({ action: "inspect_media" })).isError);
+});
+
+test("create_mask validates regions and size", async () => {
+  assert.ok((await h.call({ action: "create_mask" })).isError);
+  assert.ok((await h.call({ action: "create_mask", regions: [{ shape: "rect", x: 0, y: 0, width: 10, height: 10 }] })).isError);
+});
+
+test("create_mask draws a mask", { skip: !hasMediaTools && "needs ImageMagick or ffmpeg" }, async () => {
+  const res = await h.call({
+    action: "create_mask",
+    width: 64,
+    height: 64,
+    regions: [{ shape: "rect", x: "25%", y: "25%", width: "50%", height: "50%" }],
+  });
+  assert.ok(!res.isError, textOf(res));
+});
+
+test("process_media validates its arguments", async () => {
+  assert.ok((await h.call({ action: "process_media", file_path: generated })).isError);
+  assert.ok((await h.call({ action: "process_media", operation: "resize" })).isError);
+  assert.ok((await h.call({ action: "process_media", operation: "resize", file_paths: [generated, generated] })).isError);
+});
+
+test("process_media resizes locally", { skip: !hasMediaTools && "needs ImageMagick or ffmpeg" }, async () => {
+  const res = await h.call({ action: "process_media", operation: "resize", file_path: generated, options: { width: 32 } });
+  assert.ok(!res.isError, textOf(res));
+});
+
+test("host_image publishes to local and HTTP targets", async () => {
+  const dir = join(SANDBOX, "published");
+  h.config.publishing = {
+    disableCatbox: true,
+    defaultTarget: "site",
+    targets: {
+      site: { type: "local", directory: dir, publicUrl: "https://cdn.example.com/img" },
+      dav: { type: "http", url: `${h.mock.url}/uploads`, webdav: true, prefix: "perstudio" },
+    },
+  };
+  try {
+    const local = jsonOf(await h.call({ action: "host_image", file_path: generated }));
+    assert.equal(local.target, "site");
+    assert.match(local.url, /^https:\/\/cdn\.example\.com\/img\//);
+
+    const dav = jsonOf(await h.call({ action: "host_image", file_path: generated, target: "dav" }));
+    assert.ok(dav.url.startsWith(`${h.mock.url}/uploads/perstudio/`));
+    assert.equal(h.mock.state.uploads.size, 1);
+
+    h.mock.failNext("MKCOL", "/uploads/perstudio", { status: 405, body: "exists" });
+    assert.ok(!(await h.call({ action: "host_image", file_path: generated, target: "dav" })).isError, "an existing collection is fine");
+    h.mock.failNext("MKCOL", "/uploads/perstudio", { status: 403, body: "forbidden" });
+    const refused = await h.call({ action: "host_image", file_path: generated, target: "dav" });
+    assert.match(textOf(refused), /WebDAV MKCOL \/uploads\/perstudio failed: HTTP 403/);
+    assert.equal(h.mock.state.uploads.size, 2, "nothing is PUT after a failed MKCOL");
+
+    assert.ok((await h.call({ action: "host_image", file_path: generated, target: "catbox" })).isError);
+  } finally {
+    delete h.config.publishing;
+  }
+  assert.ok((await stat(dir)).isDirectory());
+});
+
+test("host_image validates its file", async () => {
+  assert.ok((await h.call({ action: "host_image" })).isError);
+  assert.ok((await h.call({ action: "host_image", file_path: "/etc/hostname" })).isError);
+});
+
+test("moltbook_post is off unless enabled and needs a title", async () => {
+  assert.match(textOf(await h.call({ action: "moltbook_post", title: "hi" })), /disabled/);
+  h.config.publishing = { moltbook: { enabled: true, apiKey: "mb" } };
+  try {
+    assert.match(textOf(await h.call({ action: "moltbook_post" })), /'title' is required/);
+  } finally {
+    delete h.config.publishing;
+  }
+});
@@ -0,0 +1,513 @@
+/**
+ * Offline stand-in for the perstudio API, for tests and for trying plugin
+ * upgrades without network access or credits.
+ *
+ *   node test/mock-server.mjs [port]
+ *   PERSTUDIO_BASE_URL=http://127.0.0.1:<port> PERSTUDIO_API_KEY=test-key ...
+ *
+ * Behaviour is driven by the intent text, the same way real prompts would
+ * differ:
+ *   "nsfw"             → content-policy rejection (sync) / failed job (async)
+ *   "crash"            → generic backend failure with internal details
+ *   "timeout"          → job fails with an execution timeout
+ *   "slow"             → job takes `slowJobMs` instead of `jobDurationMs`
+ *   "video"/"animate"  → MP4 output ("webm" → WebM, "quicktime" → untyped MOV);
+ *                        so does any video setting or frame asset in the body
+ *   "speak"/"voice"    → WAV output
+ *
+ * PUT/MKCOL under /uploads/ act as a plain HTTP publishing target.
+ *
+ * Cold starts are simulated with `coldStarts: n` (the next n requests get a
+ * 502/503 while /pod/status reports "cold"), and any single response can be
+ * scripted with failNext(). Generation POSTs honour Idempotency-Key, and jobs
+ * report the seed they used (the request's `seed`, or a random one). POST
+ * /jobs/:id/cancel stops a queued or running job; finished jobs answer 409.
+ *
+ * A `callback_url` on POST /generate gets the finished job POSTed to it,
+ * signed with `callbackSecret` the way the real backend signs callbacks;
+ * each delivery is logged in state.callbacks.
+ */
+
+import { createServer } from "node:http";
+import { createHash, createHmac, randomInt, randomUUID } from "node:crypto";
+import { deflateSync } from "node:zlib";
+import { pathToFileURL } from "node:url";
+
+export const MOCK_API_KEY = "test-key";
+
+const PRICING = {
+  categories: [
+    { category: "text_to_image", tokens: 250 },
+    { category: "image_to_image", tokens: 250 },
+    { category: "inpainting", tokens: 300 },
+    { category: "style_transfer", tokens: 300 },
+    { category: "upscale", tokens: 150 },
+    { category: "text_to_video", tokens: 2000 },
+    { category: "image_to_video", tokens: 2000 },
+    { category: "tts", tokens: 100 },
+  ],
+  packs: [
+    { id: "starter", tokens: 5000, price_usd: 5 },
+    { id: "pro", tokens: 60000, price_usd: 50 },
+  ],
+};
+
+const WORKFLOWS = [
+  { id: "wf_flux_t2i", name: "flux_dev_t2i", category: "text_to_image" },
+  { id: "wf_sdxl_img2img", name: "sdxl_img2img", category: "image_to_image" },
+  { id: "wf_sdxl_inpaint", name: "sdxl_inpaint", category: "inpainting" },
+  { id: "wf_wan_t2v", name: "wan_2_1_t2v", category: "text_to_video" },
+  { id: "wf_kokoro_tts", name: "kokoro_tts", category: "tts" },
+];
+
+const PUBLIC_PATHS = ["/billing/pricing", "/capabilities", "/workflows", "/agent/onboard"];
+
+// ── Sample outputs ──
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "latin1");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// Solid-colour RGB PNG
+export function samplePng(width = 64, height = 64, rgb = [200, 80, 40]) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3).map((_, i) => rgb[i % 3])]);
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Container header only — enough for MIME sniffing, not for playback
+function sampleMp4() {
+  const ftyp = Buffer.alloc(24);
+  ftyp.writeUInt32BE(24, 0);
+  ftyp.write("ftypisom", 4, "latin1");
+  ftyp.write("isomiso2", 16, "latin1");
+  return Buffer.concat([ftyp, Buffer.alloc(2048)]);
+}
+
+function sampleWebm() {
+  return Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(2048)]);
+}
+
+function sampleMov() {
+  const ftyp = Buffer.alloc(20);
+  ftyp.writeUInt32BE(20, 0);
+  ftyp.write("ftypqt  ", 4, "latin1");
+  ftyp.write("qt  ", 16, "latin1");
+  return Buffer.concat([ftyp, Buffer.alloc(2048)]);
+}
+
+function sampleWav() {
+  const samples = Buffer.alloc(8000);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write("WAVEfmt ", 8, "latin1");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(8000, 28);
+  header.writeUInt16LE(1, 32);
+  header.writeUInt16LE(8, 34);
+  header.write("data", 36, "latin1");
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, samples]);
+}
+
+const VIDEO_SETTINGS = ["duration_seconds", "fps", "aspect_ratio", "motion_strength"];
+const VIDEO_KEYS = [...VIDEO_SETTINGS, "first_frame_asset_id", "last_frame_asset_id"];
+
+function outputFor(body) {
+  const intent = body.intent;
+  if (/webm/i.test(intent)) return { category: "text_to_video", workflow: WORKFLOWS[3], mime: "video/webm", data: sampleWebm() };
+  // Served without a usable Content-Type, so the plugin has to sniff it
+  if (/quicktime/i.test(intent)) return { category: "text_to_video", workflow: WORKFLOWS[3], mime: "application/octet-stream", data: sampleMov() };
+  if (/video|animate/i.test(intent) || VIDEO_KEYS.some((k) => body[k] !== undefined)) {
+    return { category: "text_to_video", workflow: WORKFLOWS[3], mime: "video/mp4", data: sampleMp4() };
+  }
+  if (/speak|voice/i.test(intent)) return { category: "tts", workflow: WORKFLOWS[4], mime: "audio/wav", data: sampleWav() };
+  return { category: "text_to_image", workflow: WORKFLOWS[0], mime: "image/png", data: samplePng() };
+}
+
+// Raw backend errors, deliberately full of internals the plugin must not leak
+function failureFor(intent, workflow) {
+  if (/nsfw/i.test(intent)) return `Content policy violation: prompt flagged as nsfw by safety_checker (workflow ${workflow.name})`;
+  if (/timeout/i.test(intent)) return `ComfyUI execution timed out after 600s on ${workflow.name} (proxy https://modal-internal.run)`;
+  if (/crash/i.test(intent)) return `KSampler: CUDA out of memory on node 12 (workflow ${workflow.name}, model flux1-dev.safetensors)`;
+  return null;
+}
+
+// ── Server ──
+
+export async function startMockServer({
+  port = 0,
+  host = "127.0.0.1",
+  apiKey = MOCK_API_KEY,
+  balance = 100000,
+  jobDurationMs = 50,
+  slowJobMs = 3000,
+  coldStarts = 0,
+  callbackSecret = null,
+} = {}) {
+  const state = {
+    balance,
+    coldStarts,
+    assets: new Map(),
+    jobs: new Map(),
+    transactions: [],
+    uploads: new Map(),
+    idempotent: new Map(),
+    requests: [],
+    scripted: [],
+    callbacks: [],
+  };
+
+  function send(res, status, body, headers = {}) {
+    const payload = typeof body === "string" ? body : JSON.stringify(body);
+    res.writeHead(status, {
+      "Content-Type": typeof body === "string" ? "text/html" : "application/json",
+      ...headers,
+    });
+    res.end(payload);
+  }
+
+  function storeAsset(data, mime, name) {
+    const id = `asset_${randomUUID().slice(0, 12)}`;
+    state.assets.set(id, { id, data, mime, name, created_at: new Date().toISOString() });
+    return id;
+  }
+
+  function charge(category, jobId) {
+    const cost = PRICING.categories.find((c) => c.category === category)?.tokens || 250;
+    state.balance -= cost;
+    state.transactions.unshift({
+      id: `tx_${randomUUID().slice(0, 8)}`,
+      type: "generation",
+      amount: -cost,
+      job_id: jobId,
+      created_at: new Date().toISOString(),
+    });
+    return cost;
+  }
+
+  // Validates a generation body; returns [status, error] or null
+  function rejectGeneration(body) {
+    if (!body?.intent || typeof body.intent !== "string") return [422, { detail: "Field 'intent' is required" }];
+    const refs = [
+      body.input_image_asset_id, body.input_mask_asset_id,
+      body.style_reference_asset_id, body.control_image_asset_id, body.voice_reference_asset_id,
+      body.first_frame_asset_id, body.last_frame_asset_id,
+      ...(body.input_asset_ids || []),
+    ].filter(Boolean);
+    const missing = refs.find((id) => !state.assets.has(id));
+    if (missing) return [404, { detail: `Input asset not found: ${missing}` }];
+    const cost = PRICING.categories.find((c) => c.category === outputFor(body).category).tokens;
+    if (state.balance < cost) return [402, { detail: `Insufficient token balance: need ${cost}, have ${state.balance}` }];
+    return null;
+  }
+
+  function createJob(body) {
+    const out = outputFor(body);
+    const now = new Date().toISOString();
+    const seed = Number.isInteger(body.seed) ? body.seed : randomInt(2 ** 31);
+    const video = VIDEO_SETTINGS.filter((k) => body[k] !== undefined).map((k) => [k, body[k]]);
+    const job = {
+      job_id: `job_${randomUUID().slice(0, 12)}`,
+      status: "queued",
+      intent: body.intent,
+      workflow_id: out.workflow.id,
+      workflow_name: out.workflow.name,
+      created_at: now,
+      updated_at: now,
+      output_assets: [],
+      error: null,
+      tokens_charged: 0,
+      seed,
+      parameters: { seed, steps: 28, guidance: 3.5, ...Object.fromEntries(video) },
+    };
+    state.jobs.set(job.job_id, job);
+    return { job, out };
+  }
+
+  function completeJob(job, out, count) {
+    if (job.status === "cancelled") return;
+    const failure = failureFor(job.intent, out.workflow);
+    job.updated_at = new Date().toISOString();
+    if (failure) {
+      job.status = "failed";
+      job.error = failure;
+      return;
+    }
+    // state.videoSample swaps in a real, decodable video for MP4 outputs
+    const data = out.mime === "video/mp4" && state.videoSample ? state.videoSample : out.data;
+    for (let i = 0; i < count; i++) {
+      job.output_assets.push({ asset_id: storeAsset(data, out.mime, `${job.job_id}_${i}`), mime_type: out.mime });
+    }
+    job.tokens_charged = charge(out.category, job.job_id) * count;
+    job.status = "completed";
+  }
+
+  // POSTs the finished job to its callback_url; records the answer
+  async function deliverCallback(job, callbackUrl) {
+    const body = JSON.stringify(job);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = createHmac("sha256", callbackSecret || "").update(`${timestamp}.${body}`).digest("hex");
+    const delivery = { job_id: job.job_id, url: callbackUrl, status: null, error: null };
+    state.callbacks.push(delivery);
+    try {
+      const res = await fetch(callbackUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Perstudio-Timestamp": timestamp,
+          "X-Perstudio-Signature": `sha256=${signature}`,
+        },
+        body,
+      });
+      delivery.status = res.status;
+      await res.arrayBuffer();
+    } catch (e) {
+      delivery.error = e.message;
+    }
+  }
+
+  function serveAsset(req, res, asset) {
+    const sha = createHash("sha256").update(asset.data).digest("hex");
+    const headers = { "Content-Type": asset.mime, "Accept-Ranges": "bytes", "X-Checksum-Sha256": sha };
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || "");
+    if (range && Number(range[1]) < asset.data.length) {
+      const from = Number(range[1]);
+      res.writeHead(206, {
+        ...headers,
+        "Content-Length": asset.data.length - from,
+        "Content-Range": `bytes ${from}-${asset.data.length - 1}/${asset.data.length}`,
+      });
+      res.end(asset.data.subarray(from));
+      return;
+    }
+    res.writeHead(200, { ...headers, "Content-Length": asset.data.length });
+    res.end(asset.data);
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://mock");
+    const path = url.pathname;
+    const raw = await readBody(req);
+    const isJson = /json/.test(req.headers["content-type"] || "");
+    let body = null;
+    if (isJson && raw.length) {
+      try {
+        body = JSON.parse(raw.toString("utf8"));
+      } catch {
+        return send(res, 400, { detail: "Malformed JSON body" });
+      }
+    }
+    state.requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+    const scripted = state.scripted.findIndex((s) => s.method === req.method && path.startsWith(s.path));
+    if (scripted !== -1) {
+      const s = state.scripted[scripted];
+      if (--s.times <= 0) state.scripted.splice(scripted, 1);
+      if (s.delayMs) await new Promise((r) => setTimeout(r, s.delayMs).unref());
+      return send(res, s.status, s.body, s.headers);
+    }
+
+    if (path === "/pod/status") {
+      return send(res, 200, state.coldStarts > 0
+        ? { status: "cold", proxy_url: "https://modal-internal.run" }
+        : { status: "running", proxy_url: "https://modal-internal.run" });
+    }
+    if (state.coldStarts > 0) {
+      const status = state.coldStarts-- % 2 ? 503 : 502;
+      return send(
+        res, status,
+        `<html><body><h1>${status} ${status === 502 ? "Bad Gateway" : "Service Unavailable"}</h1>modal container starting</body></html>`,
+        status === 503 ? { "Retry-After": "1" } : {}
+      );
+    }
+
+    if (path.startsWith("/uploads/") && (req.method === "PUT" || req.method === "MKCOL")) {
+      if (req.method === "PUT") state.uploads.set(path, { data: raw, type: req.headers["content-type"] });
+      return send(res, 201, { path });
+    }
+
+    if (!PUBLIC_PATHS.includes(path) && req.headers["x-api-key"] !== apiKey) {
+      return send(res, 401, { detail: "Invalid API key" });
+    }
+
+    if (req.method === "POST" && (path === "/pod/start" || path === "/pod/stop")) {
+      return send(res, 200, { status: path === "/pod/start" ? "running" : "stopped" });
+    }
+
+    // Replays of an already-accepted generation return the original answer
+    const idempotencyKey = req.headers["idempotency-key"];
+    if (req.method === "POST" && idempotencyKey && state.idempotent.has(idempotencyKey)) {
+      return send(res, 200, state.idempotent.get(idempotencyKey));
+    }
+
+    if (req.method === "POST" && path === "/agent/generate") {
+      const rejected = rejectGeneration(body);
+      if (rejected) return send(res, ...rejected);
+      if (/nsfw/i.test(body.intent)) {
+        return send(res, 400, { detail: failureFor(body.intent, outputFor(body).workflow) });
+      }
+      const { job, out } = createJob(body);
+      if (/slow/i.test(body.intent)) await new Promise((r) => setTimeout(r, slowJobMs));
+      completeJob(job, out, body.num_outputs || 1);
+      if (job.status === "failed") return send(res, 500, { detail: job.error });
+      if (idempotencyKey) state.idempotent.set(idempotencyKey, job);
+      return send(res, 200, job);
+    }
+
+    if (req.method === "POST" && path === "/generate") {
+      const rejected = rejectGeneration(body);
+      if (rejected) return send(res, ...rejected);
+      const { job, out } = createJob(body);
+      const duration = /slow/i.test(body.intent) ? slowJobMs : jobDurationMs;
+      setTimeout(() => {
+        if (job.status !== "queued") return;
+        job.status = "running";
+        job.updated_at = new Date().toISOString();
+      }, Math.min(10, duration)).unref();
+      setTimeout(() => {
+        completeJob(job, out, body.num_outputs || 1);
+        if (body.callback_url && job.status !== "cancelled") deliverCallback(job, body.callback_url);
+      }, duration).unref();
+      const accepted = { job_id: job.job_id, status: job.status };
+      if (idempotencyKey) state.idempotent.set(idempotencyKey, accepted);
+      return send(res, 200, accepted);
+    }
+
+    if (req.method === "GET" && path === "/jobs") {
+      let jobs = [...state.jobs.values()].reverse();
+      if (url.searchParams.get("status")) jobs = jobs.filter((j) => j.status === url.searchParams.get("status"));
+      return send(res, 200, jobs.slice(0, Number(url.searchParams.get("limit")) || 20));
+    }
+    const jobMatch = /^\/jobs\/([^/]+)$/.exec(path);
+    if (req.method === "GET" && jobMatch) {
+      const job = state.jobs.get(decodeURIComponent(jobMatch[1]));
+      return job ? send(res, 200, job) : send(res, 404, { detail: "Job not found" });
+    }
+    const cancelMatch = /^\/jobs\/([^/]+)\/cancel$/.exec(path);
+    if (req.method === "POST" && cancelMatch) {
+      const job = state.jobs.get(decodeURIComponent(cancelMatch[1]));
+      if (!job) return send(res, 404, { detail: "Job not found" });
+      if (job.status !== "queued" && job.status !== "running") return send(res, 409, { detail: `Job is already ${job.status}` });
+      job.status = "cancelled";
+      job.updated_at = new Date().toISOString();
+      return send(res, 200, job);
+    }
+
+    if (req.method === "POST" && path === "/assets") {
+      let file;
+      try {
+        const form = await new Request("http://mock/assets", { method: "POST", headers: req.headers, body: raw }).formData();
+        file = form.get("file");
+      } catch {
+        // fall through to the 422 below
+      }
+      if (!file || typeof file === "string") return send(res, 422, { detail: "Multipart field 'file' is required" });
+      const data = Buffer.from(await file.arrayBuffer());
+      const id = storeAsset(data, file.type || "application/octet-stream", file.name);
+      return send(res, 200, { asset_id: id, filename: file.name, size: data.length, mime_type: file.type });
+    }
+    const assetMatch = /^\/assets\/([^/]+)$/.exec(path);
+    if (req.method === "GET" && assetMatch) {
+      const asset = state.assets.get(decodeURIComponent(assetMatch[1]));
+      return asset ? serveAsset(req, res, asset) : send(res, 404, { detail: "Asset not found" });
+    }
+
+    if (req.method === "GET" && path === "/billing/balance") {
+      return send(res, 200, { balance: state.balance, currency: "tokens" });
+    }
+    if (req.method === "GET" && path === "/billing/pricing") return send(res, 200, PRICING);
+    if (req.method === "GET" && path === "/billing/transactions") {
+      return send(res, 200, state.transactions.slice(0, Number(url.searchParams.get("limit")) || 20));
+    }
+
+    if (req.method === "GET" && path === "/capabilities") {
+      return send(res, 200, {
+        categories: PRICING.categories.map((c) => c.category),
+        max_outputs: 16,
+        input_slots: ["input_image_asset_id", "input_mask_asset_id", "style_reference_asset_id", "control_image_asset_id", "voice_reference_asset_id", "first_frame_asset_id", "last_frame_asset_id"],
+      });
+    }
+    if (req.method === "GET" && path === "/workflows") {
+      const category = url.searchParams.get("category");
+      const q = url.searchParams.get("q");
+      let list = WORKFLOWS.filter((w) => (!category || w.category === category) && (!q || w.name.includes(q)));
+      list = list.slice(0, Number(url.searchParams.get("limit")) || list.length);
+      return send(res, 200, list);
+    }
+    if (req.method === "GET" && path === "/agent/onboard") {
+      return send(res, 200, { message: "Welcome to perstudio. Get an API key at https://perstudio.ai/settings." });
+    }
+
+    return send(res, 404, { detail: `No route for ${req.method} ${path}` });
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((e) => send(res, 500, { detail: `mock error: ${e.message}` }));
+  });
+  await new Promise((resolveListen) => server.listen(port, host, resolveListen));
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    apiKey,
+    state,
+
+    // Answer the next `times` requests matching method + path prefix with
+    // a canned response instead of the normal behaviour.
+    failNext(method, path, { status = 500, body = { detail: "Internal Server Error" }, headers, times = 1, delayMs = 0 } = {}) {
+      state.scripted.push({ method, path, status, body, headers, times, delayMs });
+    },
+
+    addAsset(data, mime = "image/png", name = "fixture.png") {
+      return storeAsset(data, mime, name);
+    },
+
+    lastRequest(method, path) {
+      return state.requests.filter((r) => r.method === method && r.path.startsWith(path)).at(-1);
+    },
+
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolveClose) => server.close(() => resolveClose()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const mock = await startMockServer({ port: Number(process.argv[2]) || 8787 });
+  console.log(`perstudio mock API listening on ${mock.url} (API key: ${mock.apiKey})`);
+}
@@ -0,0 +1,107 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+// Internal routing details a plan must never show
+const INTERNALS = /wf_|flux|sdxl|wan_|kokoro|workflow/i;
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+const generations = () => h.mock.state.requests.filter((r) => r.method === "POST" && r.path === "/generate").length;
+
+test("plan reports the category and estimate without submitting anything", async () => {
+  const before = generations();
+  const balance = h.mock.state.balance;
+  const res = await h.call({ action: "plan", intent: "a watercolour fox" });
+  assert.ok(!res.isError, textOf(res));
+  assert.doesNotMatch(textOf(res), INTERNALS);
+
+  const plan = jsonOf(res);
+  assert.equal(plan.category, "text_to_image");
+  assert.equal(plan.media_type, "image");
+  assert.equal(plan.estimated_credits, 250);
+  assert.deepEqual(plan.missing_inputs, []);
+  assert.equal(plan.ready, true);
+  assert.equal(plan.checked_with_service, true);
+  assert.equal(generations(), before);
+  assert.equal(h.mock.state.balance, balance);
+});
+
+test("outputs, upscaling and video are priced like the real call", async () => {
+  const video = jsonOf(await h.call({ action: "plan", intent: "a video of waves at night", num_outputs: 2 }));
+  assert.equal(video.category, "video");
+  assert.equal(video.media_type, "video");
+  assert.equal(video.estimated_credits, 4000);
+
+  const upscaled = jsonOf(await h.call({ action: "plan", intent: "a poster", auto_upscale: true }));
+  assert.equal(upscaled.estimated_credits, 250 + 150);
+});
+
+test("missing inputs are named", async () => {
+  const noImage = jsonOf(await h.call({ action: "plan", intent: "remove the lamp post" }));
+  assert.equal(noImage.category, "inpainting");
+  assert.equal(noImage.ready, false);
+  assert.equal(noImage.missing_inputs.length, 2);
+  assert.match(noImage.missing_inputs[0], /input_image_path/);
+
+  const photo = join(SANDBOX, "Downloads", "street.png");
+  await writeFile(photo, samplePng(8, 8));
+  const noMask = jsonOf(await h.call({ action: "plan", intent: "remove the lamp post", input_image_path: photo }));
+  assert.deepEqual(noMask.missing_inputs.map((m) => /mask/.test(m)), [true]);
+  assert.match(noMask.missing_inputs[0], /create_mask/);
+
+  const upscale = jsonOf(await h.call({ action: "plan", intent: "upscale this to 4x" }));
+  assert.equal(upscale.category, "upscale");
+  assert.match(upscale.missing_inputs[0], /upscale needs the image/);
+});
+
+test("budget caps and policy are reported, not enforced", async () => {
+  h.config.budget = { maxCreditsPerCall: 100 };
+  h.config.policy = { promptBlocklist: ["fox"] };
+  try {
+    const plan = jsonOf(await h.call({ action: "plan", intent: "a fox" }));
+    assert.match(plan.exceeds_budget, /per-call cap of 100 credits/);
+    assert.match(plan.blocked_by_policy, /policy blocks/);
+    assert.equal(plan.ready, false);
+  } finally {
+    delete h.config.budget;
+    delete h.config.policy;
+  }
+});
+
+test("dry_run on generation actions returns the plan instead", async () => {
+  const before = generations();
+  const sync = jsonOf(await h.call({ action: "generate_sync", intent: "a paper boat", num_outputs: 3, dry_run: true }));
+  assert.equal(sync.estimated_credits, 750);
+  assert.equal(generations(), before);
+
+  const parent = await h.call({ action: "generate_sync", intent: "a paper boat" });
+  const jobId = /job_id (\S+?)[,)]/.exec(textOf(parent))[1];
+  const variations = jsonOf(await h.call({ action: "variations", job_id: jobId, dry_run: true }));
+  assert.equal(variations.category, "image_to_image");
+  assert.equal(variations.num_outputs, 4);
+  assert.equal(generations(), before + 1);
+});
+
+test("plan works without an API key", async () => {
+  delete process.env.PERSTUDIO_API_KEY;
+  try {
+    const res = await h.call({ action: "plan", intent: "a speaking robot voice" });
+    assert.ok(!res.isError, textOf(res));
+    assert.equal(jsonOf(res).category, "tts");
+    assert.match(textOf(await h.call({ action: "plan" })), /'intent' is required for plan/);
+  } finally {
+    process.env.PERSTUDIO_API_KEY = h.mock.apiKey;
+  }
+});
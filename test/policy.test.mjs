@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, mediaPaths, hasCommand, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+const hasMediaTools = hasCommand("convert") || hasCommand("ffmpeg");
+
+let h;
+
+before(async () => {
+  h = await setup({ config: { policy: { deniedActions: ["host_imag"], maxUploadMB: -1 } } });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+// Runs `fn` with a policy in the live config
+async function withPolicy(policy, fn) {
+  h.config.policy = policy;
+  try {
+    return await fn();
+  } finally {
+    delete h.config.policy;
+  }
+}
+
+test("an invalid policy is reported at load and refuses calls until fixed", async () => {
+  const logged = h.logs.find((l) => l.level === "error" && /Invalid policy/.test(l.msg));
+  assert.ok(logged, "load-time validation is logged");
+  assert.match(logged.msg, /unknown action\(s\): host_imag/);
+  assert.match(logged.msg, /'maxUploadMB' must be a positive number/);
+
+  const refused = await h.call({ action: "gallery_search" });
+  assert.ok(refused.isError);
+  assert.match(textOf(refused), /Invalid policy.*config\.policy/);
+
+  delete h.config.policy;
+  assert.ok(!(await h.call({ action: "gallery_search" })).isError);
+});
+
+test("actions can be denied or limited to an allowlist", async () => {
+  await withPolicy({ deniedActions: ["host_image", "moltbook_post"] }, async () => {
+    assert.match(textOf(await h.call({ action: "host_image", file_path: "/tmp/x.png" })), /'host_image' action is turned off/);
+    assert.ok(!(await h.call({ action: "balance" })).isError);
+  });
+  await withPolicy({ allowedActions: ["generate_sync", "balance"] }, async () => {
+    assert.ok(!(await h.call({ action: "balance" })).isError);
+    assert.match(textOf(await h.call({ action: "pricing" })), /turned off/);
+  });
+});
+
+test("disallowed categories are refused before anything is sent", async () => {
+  await withPolicy({ allowedCategories: ["text_to_image", "image_to_image"] }, async () => {
+    const before = h.mock.state.requests.length;
+    const res = await h.call({ action: "generate_sync", intent: "a video of waves rolling in" });
+    assert.ok(res.isError);
+    assert.match(textOf(res), /video generations are not allowed/);
+    assert.match(textOf(await h.call({ action: "generate_sync", intent: "a cat", auto_upscale: true })), /upscale generations/);
+    assert.equal(h.mock.state.requests.length, before);
+
+    assert.ok(!(await h.call({ action: "generate_sync", intent: "a still life" })).isError);
+  });
+});
+
+test("blocklisted prompts are refused locally", async () => {
+  await withPolicy({ promptBlocklist: ["competitor logo", "/\\bacme\\s*corp\\b/i"] }, async () => {
+    const before = h.mock.state.requests.length;
+    assert.match(textOf(await h.call({ action: "generate_sync", intent: "a mug with the Competitor  Logo" })), /contains "Competitor  Logo"/);
+    assert.match(textOf(await h.call({ action: "generate", intent: "billboard for ACME Corp" })), /policy blocks/);
+    assert.equal(h.mock.state.requests.length, before);
+    assert.ok(!(await h.call({ action: "generate_sync", intent: "a logo-free mug" })).isError);
+  });
+});
+
+test("allowedDirs replaces the built-in directories and deniedDirs carves out of them", async () => {
+  const project = join(SANDBOX, "projects", "acme");
+  await mkdir(join(project, "private"), { recursive: true });
+  await writeFile(join(project, "ref.png"), samplePng(4, 4));
+  await writeFile(join(project, "private", "ref.png"), samplePng(4, 4));
+  await mkdir(join(SANDBOX, "Pictures"), { recursive: true });
+  await writeFile(join(SANDBOX, "Pictures", "ref.png"), samplePng(4, 4));
+  const generated = mediaPaths(await h.call({ action: "generate_sync", intent: "a pebble" }))[0];
+
+  await withPolicy({ allowedDirs: ["~/projects"], deniedDirs: [join(project, "private")] }, async () => {
+    assert.ok(!(await h.call({ action: "inspect_media", file_path: join(project, "ref.png") })).isError);
+    assert.ok(!(await h.call({ action: "inspect_media", file_path: generated })).isError, "outputs stay usable");
+
+    const outside = await h.call({ action: "upload_asset", file_path: join(SANDBOX, "Pictures", "ref.png") });
+    assert.match(textOf(outside), /Files must be in .*~\/projects/);
+    const carved = await h.call({ action: "inspect_media", file_path: join(project, "private", "ref.png") });
+    assert.match(textOf(carved), /blocked by the perstudio policy/);
+  });
+  assert.ok(!(await h.call({ action: "upload_asset", file_path: join(SANDBOX, "Pictures", "ref.png") })).isError);
+});
+
+test("only the perstudio folder of the temp directory is allowed by default", async () => {
+  const loose = join(SANDBOX, "tmp", "loose.png");
+  await writeFile(loose, samplePng(4, 4));
+  const res = await h.call({ action: "upload_asset", file_path: loose });
+  assert.match(textOf(res), /File path not allowed\. Files must be in tmp\/perstudio, workspace/);
+});
+
+test("uploads and publishing respect maxUploadMB", async () => {
+  const big = join(SANDBOX, "Downloads", "big.png");
+  await writeFile(big, Buffer.concat([samplePng(4, 4), Buffer.alloc(200 * 1024)]));
+  await withPolicy({ maxUploadMB: 0.1 }, async () => {
+    const res = await h.call({ action: "upload_asset", file_path: big });
+    assert.ok(res.isError);
+    assert.match(textOf(res), /0\.2 MB; the perstudio policy allows uploads up to 0\.1 MB/);
+    assert.match(textOf(await h.call({ action: "generate_sync", intent: "restyle this", input_image_path: big })), /allows uploads up to/);
+    assert.match(textOf(await h.call({ action: "host_image", file_path: big })), /allows uploads up to/);
+  });
+  assert.equal(typeof jsonOf(await h.call({ action: "upload_asset", file_path: big })).asset_id, "string");
+});
+
+test("create_mask uploads respect maxUploadMB", { skip: !hasMediaTools && "needs ImageMagick or ffmpeg" }, async () => {
+  const mask = { action: "create_mask", width: 512, height: 512, regions: [{ shape: "ellipse", cx: "50%", cy: "50%", rx: 100, ry: 60 }], upload: true };
+  await withPolicy({ maxUploadMB: 0.000001 }, async () => {
+    const before = h.mock.state.requests.length;
+    const res = await h.call(mask);
+    assert.ok(res.isError);
+    assert.match(textOf(res), /Mask saved to .* but not uploaded: .*allows uploads up to/);
+    assert.equal(h.mock.state.requests.length, before);
+  });
+  const uploaded = jsonOf(await h.call(mask));
+  assert.ok(h.mock.state.assets.has(uploaded.input_mask_asset_id));
+});
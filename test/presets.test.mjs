@@ -0,0 +1,121 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+const PRESETS_FILE = join(SANDBOX, ".openclaw", "workspace", "perstudio-presets.json");
+
+let h;
+let styleRef;
+
+before(async () => {
+  h = await setup({
+    config: {
+      presets: {
+        "product-shot": {
+          description: "White-background product photo",
+          intent_prefix: "studio product photo of {product},",
+          intent_suffix: ", {aspect} crop, no text",
+          variables: { aspect: "square" },
+          slot_overrides: { width: 1024, height: 1024, steps: 30 },
+          palette: "clean-studio",
+          auto_upscale: true,
+        },
+      },
+    },
+  });
+  styleRef = h.mock.addAsset(samplePng(4, 4));
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+test("a config preset fills templates and defaults", async () => {
+  const res = await h.call({
+    action: "generate_sync",
+    intent: "on a marble plinth",
+    preset: "product-shot",
+    preset_vars: { product: "a leather sneaker" },
+  });
+  assert.ok(!res.isError, textOf(res));
+  const body = h.mock.lastRequest("POST", "/generate").body;
+  assert.equal(body.intent, "studio product photo of a leather sneaker, on a marble plinth, square crop, no text");
+  assert.deepEqual(body.slot_overrides, { width: 1024, height: 1024, steps: 30 });
+  assert.equal(body.palette, "clean-studio");
+  assert.equal(body.auto_upscale, true);
+});
+
+test("explicit arguments override the preset", async () => {
+  await h.call({
+    action: "generate",
+    intent: "floating",
+    preset: "product-shot",
+    preset_vars: { product: "a watch", aspect: "portrait" },
+    slot_overrides: { height: 1536 },
+    palette: "noir",
+    auto_upscale: false,
+  });
+  const body = h.mock.lastRequest("POST", "/generate").body;
+  assert.equal(body.intent, "studio product photo of a watch, floating, portrait crop, no text");
+  assert.deepEqual(body.slot_overrides, { width: 1024, height: 1536, steps: 30 });
+  assert.equal(body.palette, "noir");
+  assert.equal(body.auto_upscale, false);
+});
+
+test("a missing template variable is reported before any request", async () => {
+  const sent = h.mock.state.requests.length;
+  const res = await h.call({ action: "generate_sync", intent: "x", preset: "product-shot" });
+  assert.ok(res.isError);
+  assert.match(textOf(res), /\{product\}.*preset_vars/);
+  assert.equal(h.mock.state.requests.length, sent);
+});
+
+test("unknown presets are rejected", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "x", preset: "nope" });
+  assert.match(textOf(res), /Unknown preset 'nope'/);
+});
+
+test("preset_save writes to the workspace and the preset can supply the whole intent", async () => {
+  const saved = jsonOf(await h.call({
+    action: "preset_save",
+    preset: "brand-look",
+    preset_definition: { intent_prefix: "a poster in our brand style", style_reference_asset_id: styleRef },
+  }));
+  assert.equal(saved.saved, "brand-look");
+  const file = JSON.parse(await readFile(PRESETS_FILE, "utf8"));
+  assert.equal(file["brand-look"].style_reference_asset_id, styleRef);
+
+  const res = await h.call({ action: "generate_sync", preset: "brand-look" });
+  assert.ok(!res.isError, textOf(res));
+  const body = h.mock.lastRequest("POST", "/generate").body;
+  assert.equal(body.intent, "a poster in our brand style");
+  assert.equal(body.style_reference_asset_id, styleRef);
+});
+
+test("preset_save validates the name and definition", async () => {
+  assert.match(textOf(await h.call({ action: "preset_save", preset: "../x", preset_definition: {} })), /'preset' must be/);
+  assert.match(textOf(await h.call({ action: "preset_save", preset: "a", preset_definition: { colour: "red" } })), /unknown field/);
+  assert.match(textOf(await h.call({ action: "preset_save", preset: "a", preset_definition: { style_reference_asset_id: "../etc" } })), /asset id/);
+});
+
+test("preset_list shows config and workspace presets; workspace shadows config", async () => {
+  const shadow = jsonOf(await h.call({ action: "preset_save", preset: "product-shot", preset_definition: { palette: "warm" } }));
+  assert.match(shadow.note, /overrides/);
+  const { presets } = jsonOf(await h.call({ action: "preset_list" }));
+  const byName = Object.fromEntries(presets.map((p) => [p.name, p]));
+  assert.equal(byName["product-shot"].source, "workspace");
+  assert.equal(byName["product-shot"].palette, "warm");
+  assert.equal(byName["brand-look"].source, "workspace");
+});
+
+test("preset_delete removes workspace presets only", async () => {
+  assert.deepEqual(jsonOf(await h.call({ action: "preset_delete", preset: "product-shot" })), { deleted: "product-shot" });
+  const { presets } = jsonOf(await h.call({ action: "preset_list" }));
+  assert.equal(presets.find((p) => p.name === "product-shot").source, "config");
+
+  assert.match(textOf(await h.call({ action: "preset_delete", preset: "product-shot" })), /plugin config/);
+  assert.match(textOf(await h.call({ action: "preset_delete", preset: "ghost" })), /Unknown preset/);
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setup, textOf, jsonOf, mediaPaths } from "./helpers.mjs";
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+function lastLog(pattern) {
+  return h.logs.filter((l) => pattern.test(l.msg)).at(-1)?.msg || "";
+}
+
+test("requests ride out a cold start", async () => {
+  h.mock.state.coldStarts = 2;
+  const res = await h.call({ action: "generate_sync", intent: "a sunset" });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(h.mock.state.coldStarts, 0);
+});
+
+test("generation retries reuse one idempotency key and log the cold-start wait", async () => {
+  h.mock.failNext("POST", "/generate", { status: 502, body: "Bad Gateway", times: 2 });
+  const sent = h.mock.state.requests.length;
+  const res = await h.call({ action: "generate_sync", intent: "a sunrise" });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(mediaPaths(res).length, 1);
+
+  const posts = h.mock.state.requests.slice(sent).filter((r) => r.path === "/generate");
+  assert.equal(posts.length, 3);
+  assert.ok(posts[0].headers["idempotency-key"]);
+  assert.ok(posts.every((p) => p.headers["idempotency-key"] === posts[0].headers["idempotency-key"]));
+  assert.match(lastLog(/generate_sync completed/), /retries=2 cold_start_wait=\d+ms/);
+});
+
+test("a retried async generation creates and charges one job", async () => {
+  const balance = h.mock.state.balance;
+  const jobs = h.mock.state.jobs.size;
+  h.mock.failNext("POST", "/generate", { status: 504, body: "Gateway Timeout", headers: { "Retry-After": "0" } });
+  const started = jsonOf(await h.call({ action: "generate", intent: "a harbour" }));
+  assert.ok(started.job_id);
+  assert.equal(h.mock.state.jobs.size, jobs + 1);
+  await new Promise((r) => setTimeout(r, 100));
+  assert.equal(h.mock.state.balance, balance - 250);
+});
+
+test("GETs are retried and the retry count is logged", async () => {
+  h.mock.failNext("GET", "/billing/balance", { status: 503, body: "Service Unavailable", headers: { "Retry-After": "0" } });
+  const res = await h.call({ action: "balance" });
+  assert.ok(!res.isError, textOf(res));
+  assert.match(lastLog(/action=balance/), /status=200 retries=1 /);
+});
+
+test("POSTs without an idempotency key are not retried", async () => {
+  h.mock.failNext("POST", "/jobs/job_x/cancel", { status: 503, body: "Service Unavailable", headers: { "Retry-After": "0" } });
+  const res = await h.call({ action: "cancel_job", job_id: "job_x" });
+  assert.match(textOf(res), /starting up or busy/);
+  assert.match(lastLog(/action=cancel_job/), /status=503 retries=0/);
+});
+
+test("a Retry-After beyond the cap is returned instead of waited out", async () => {
+  h.mock.failNext("GET", "/billing/transactions", { status: 429, body: { detail: "rate limit" }, headers: { "Retry-After": "600" } });
+  const started = Date.now();
+  const res = await h.call({ action: "transactions" });
+  assert.match(textOf(res), /HTTP 429/);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("repeated upstream failures open the circuit breaker", async () => {
+  h.mock.failNext("GET", "/billing/balance", { status: 502, body: "Bad Gateway", headers: { "Retry-After": "0" }, times: 18 });
+  for (let i = 0; i < 3; i++) {
+    assert.match(textOf(await h.call({ action: "balance" })), /HTTP 502/);
+  }
+  const sent = h.mock.state.requests.length;
+  const res = await h.call({ action: "balance" });
+  assert.match(textOf(res), /temporarily unavailable/);
+  assert.equal(h.mock.state.requests.length, sent, "fails fast without calling the API");
+
+  const gen = await h.call({ action: "generate_sync", intent: "a cat" });
+  assert.match(textOf(gen), /starting up or busy/);
+});
@@ -0,0 +1,235 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, readFile, writeFile, readdir, utimes, stat } from "node:fs/promises";
+import { join, basename } from "node:path";
+import { randomBytes } from "node:crypto";
+import * as zlib from "node:zlib";
+import { setup, textOf, jsonOf, mediaPaths, SANDBOX, OUT_DIR, GALLERY_INDEX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+const MEDIA_DIR = join(SANDBOX, ".openclaw", "workspace", "media", "perstudio");
+const GALLERY_MD = GALLERY_INDEX.replace(/\.jsonl$/, ".md");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let h;
+
+before(async () => {
+  h = await setup();
+  await mkdir(join(SANDBOX, "Downloads"), { recursive: true });
+  await mkdir(join(SANDBOX, "Desktop"), { recursive: true });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+const exists = (p) => stat(p).then(() => true, () => false);
+
+async function galleryEntries() {
+  const raw = await readFile(GALLERY_INDEX, "utf8").catch(() => "");
+  return raw.split("\n").filter(Boolean).map((l) => JSON.parse(l));
+}
+
+// Generate one output and wait for its (fire-and-forget) gallery entry
+async function generate(intent) {
+  const res = await h.call({ action: "generate_sync", intent });
+  assert.ok(!res.isError, textOf(res));
+  const jobId = /job_id (\S+?)[,)]/.exec(textOf(res))[1];
+  for (let i = 0; i < 20 && !(await galleryEntries()).some((e) => e.job_id === jobId); i++) {
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  return { jobId, file: mediaPaths(res)[0] };
+}
+
+// Backdate a generation: its gallery entry and its files
+async function backdate(jobId, days) {
+  const when = new Date(Date.now() - days * DAY_MS);
+  const entries = await galleryEntries();
+  const entry = entries.find((e) => e.job_id === jobId);
+  entry.created_at = when.toISOString();
+  await writeFile(GALLERY_INDEX, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  for (const f of entry.files) await utimes(f, when, when).catch(() => {});
+}
+
+async function oldFile(name, days, data = samplePng(4, 4)) {
+  const path = join(OUT_DIR, name);
+  await writeFile(path, data);
+  const when = new Date(Date.now() - days * DAY_MS);
+  await utimes(path, when, when);
+  return path;
+}
+
+test("cleanup lists expired outputs on a dry run, then deletes them and their gallery entries", async () => {
+  const old = await generate("an old harbour");
+  const recent = await generate("a new harbour");
+  await backdate(old.jobId, 40);
+  const preview = await oldFile(basename(old.file).replace(/\.[^.]+$/, "_thumb.jpg"), 40);
+  const orphan = await oldFile("leftover_resize_abc123.png", 40);
+  const fresh = await oldFile("just_made.png", 0);
+  const state = await oldFile("jobs.json", 40, "{}");
+
+  const plan = jsonOf(await h.call({ action: "cleanup", max_age_days: 30, dry_run: true }));
+  assert.equal(plan.dry_run, true);
+  assert.deepEqual(plan.files.map((f) => f.file).sort(), [old.file, preview, orphan].sort());
+  assert.ok(plan.files.every((f) => f.reason === "older than 30 days"));
+  assert.equal(plan.would_delete.gallery_entries, 1);
+  assert.equal(plan.entries[0].intent, "an old harbour");
+  assert.ok(await exists(old.file), "a dry run deletes nothing");
+
+  const done = jsonOf(await h.call({ action: "cleanup", max_age_days: 30 }));
+  assert.equal(done.deleted.files, 3);
+  for (const p of [old.file, preview, orphan]) assert.equal(await exists(p), false, p);
+  for (const p of [recent.file, fresh, state]) assert.ok(await exists(p), p);
+  const jobs = (await galleryEntries()).map((e) => e.job_id);
+  assert.ok(!jobs.includes(old.jobId) && jobs.includes(recent.jobId));
+  assert.doesNotMatch(await readFile(GALLERY_MD, "utf8"), new RegExp(old.jobId));
+});
+
+test("the size limit removes the oldest outputs first", async () => {
+  const big = Buffer.concat([samplePng(4, 4), Buffer.alloc(400 * 1024)]);
+  const oldest = await oldFile("size_a.png", 5, big);
+  const middle = await oldFile("size_b.png", 4, big);
+  const newest = await oldFile("size_c.png", 3, big);
+  const res = jsonOf(await h.call({ action: "cleanup", max_total_mb: 1 }));
+  assert.ok(res.deleted.files >= 1);
+  assert.ok(res.files.every((f) => f.reason === "over the 1 MB limit"));
+  assert.equal(await exists(oldest), false);
+  assert.ok(await exists(newest));
+  assert.ok(res.total_mb_after <= 1);
+  if (await exists(middle)) assert.equal(res.deleted.files, 1);
+});
+
+test("starred entries are kept and can move out of tmp", async () => {
+  const starred = await generate("a starred lighthouse");
+  await backdate(starred.jobId, 90);
+  h.config.storage = { moveStarred: true };
+  try {
+    const tagged = jsonOf(await h.call({ action: "gallery_tag", job_id: starred.jobId, tags: ["starred"] }));
+    const moved = join(MEDIA_DIR, basename(starred.file));
+    assert.deepEqual(tagged.files, [moved]);
+    assert.ok(await exists(moved));
+    assert.equal(await exists(starred.file), false);
+
+    const res = jsonOf(await h.call({ action: "cleanup", max_age_days: 30 }));
+    assert.equal(res.starred_kept, 1);
+    assert.ok(await exists(moved));
+    assert.ok((await galleryEntries()).some((e) => e.job_id === starred.jobId));
+    assert.ok(!(await h.call({ action: "inspect_media", file_path: moved })).isError, "the media folder stays usable");
+  } finally {
+    delete h.config.storage;
+  }
+});
+
+test("files in the media folder that no gallery entry lists are never deleted", async () => {
+  const pictures = join(SANDBOX, "Pictures");
+  await mkdir(pictures, { recursive: true });
+  const photo = join(pictures, "holiday.png");
+  await writeFile(photo, Buffer.concat([samplePng(4, 4), Buffer.alloc(300 * 1024)]));
+  const when = new Date(Date.now() - 400 * DAY_MS);
+  await utimes(photo, when, when);
+
+  const kept = await generate("a pier kept in the shared folder");
+  h.config.storage = { mediaDir: pictures, moveStarred: true };
+  try {
+    await h.call({ action: "gallery_tag", job_id: kept.jobId, tags: ["starred"] });
+    await h.call({ action: "gallery_tag", job_id: kept.jobId, remove_tags: ["starred"] });
+    await backdate(kept.jobId, 400);
+    const moved = join(pictures, basename(kept.file));
+    assert.ok(await exists(moved));
+
+    const res = jsonOf(await h.call({ action: "cleanup", max_age_days: 1, max_total_mb: 0.001 }));
+    assert.ok(!res.files.some((f) => f.file === photo));
+    assert.ok(await exists(photo), "the user's own file survives");
+    assert.equal(await exists(moved), false, "a gallery output moved there still expires");
+  } finally {
+    delete h.config.storage;
+  }
+});
+
+test("cleanup needs a retention and checks the storage config", async () => {
+  assert.match(textOf(await h.call({ action: "cleanup" })), /No retention is configured/);
+  assert.match(textOf(await h.call({ action: "cleanup", max_age_days: -1 })), /'max_age_days' must be a positive number/);
+  h.config.storage = { maxAgeDays: "30" };
+  try {
+    assert.match(textOf(await h.call({ action: "cleanup" })), /'storage\.maxAgeDays' must be a positive number/);
+    h.config.storage = { keepForever: true };
+    assert.match(textOf(await h.call({ action: "cleanup" })), /unknown setting\(s\) keepForever/);
+  } finally {
+    delete h.config.storage;
+  }
+});
+
+test("inline previews are not left next to the outputs", async () => {
+  await generate("a teapot");
+  const leftovers = (await readdir(OUT_DIR)).filter((n) => /_(thumb|poster|strip)\.jpg$/.test(n));
+  assert.deepEqual(leftovers, []);
+});
+
+// Names and contents of a stored ZIP archive
+function readZip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(end + 10);
+  let off = buf.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(off), 0x02014b50);
+    const size = buf.readUInt32LE(off + 24);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const local = buf.readUInt32LE(off + 42);
+    const name = buf.toString("utf8", off + 46, off + 46 + nameLen);
+    const dataAt = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    assert.equal(buf.readUInt32LE(local + 14), buf.readUInt32LE(off + 16), `${name}: local and central CRC agree`);
+    assert.equal(buf.readUInt32LE(local + 18), size, `${name}: local header has the size`);
+    files[name] = buf.subarray(dataAt, dataAt + size);
+    // zlib.crc32 is Node 20.15+
+    if (zlib.crc32) assert.equal(zlib.crc32(files[name]), buf.readUInt32LE(off + 16), `${name}: CRC matches`);
+    off += 46 + nameLen + buf.readUInt16LE(off + 30) + buf.readUInt16LE(off + 32);
+  }
+  return files;
+}
+
+test("export packages the chosen generations with a manifest", async () => {
+  const a = await generate("a red kite");
+  const b = await generate("a blue kite");
+  const res = jsonOf(await h.call({ action: "export", job_ids: [a.jobId, b.jobId, "job_gone"], output_dir: join(SANDBOX, "Downloads", "kites") }));
+  assert.match(res.path, /Downloads\/kites\/perstudio-export-\d{4}-\d{2}-\d{2}-\w+\.zip$/);
+  assert.equal(res.entries, 2);
+  assert.deepEqual(res.not_found, ["job_gone"]);
+
+  const zip = readZip(await readFile(res.path));
+  const manifest = JSON.parse(zip["manifest.json"]);
+  assert.deepEqual(manifest.entries.map((e) => e.intent), ["a red kite", "a blue kite"]);
+  const [file] = manifest.entries[0].files;
+  assert.equal(file, `media/${basename(a.file)}`);
+  assert.deepEqual(zip[file], await readFile(a.file));
+});
+
+test("export streams outputs larger than its copy buffer", async () => {
+  const clip = await generate("a long kite video");
+  const big = randomBytes(2.5 * 1024 * 1024);
+  await writeFile(clip.file, big);
+  const res = jsonOf(await h.call({ action: "export", job_ids: [clip.jobId], output_dir: join(SANDBOX, "Downloads") }));
+  assert.equal(res.mb, 2.5);
+  const zip = readZip(await readFile(res.path));
+  assert.ok(zip[`media/${basename(clip.file)}`].equals(big));
+});
+
+test("export can write a folder for a date range", async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const res = jsonOf(await h.call({ action: "export", since: "2000-01-01", archive: "folder", output_dir: join(SANDBOX, "Desktop") }));
+  assert.ok(res.entries >= 2);
+  const manifest = JSON.parse(await readFile(join(res.path, "manifest.json"), "utf8"));
+  assert.equal(manifest.entries.length, res.entries);
+  for (const e of manifest.entries) {
+    for (const f of e.files) assert.ok(await exists(join(res.path, f)), f);
+  }
+  assert.ok(manifest.entries.some((e) => e.created_at.startsWith(today.slice(0, 4))));
+});
+
+test("export validates its selection and destination", async () => {
+  assert.match(textOf(await h.call({ action: "export", output_dir: join(SANDBOX, "Downloads") })), /Choose what to export/);
+  assert.match(textOf(await h.call({ action: "export", tag: "kites" })), /'output_dir' is required/);
+  assert.match(textOf(await h.call({ action: "export", since: "2000-01-01", output_dir: "/etc/perstudio" })), /File path not allowed/);
+  assert.match(textOf(await h.call({ action: "export", until: "2000-01-01", output_dir: join(SANDBOX, "Downloads") })), /No gallery entries match/);
+  assert.match(textOf(await h.call({ action: "export", since: "2000-01-01", archive: "tar", output_dir: join(SANDBOX, "Downloads") })), /'archive' must be/);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { setup, textOf, jsonOf, mediaPaths, hasCommand, SANDBOX } from "./helpers.mjs";
+import { samplePng } from "./mock-server.mjs";
+
+const hasFfmpeg = hasCommand("ffmpeg") && hasCommand("ffprobe");
+
+let h;
+
+before(async () => {
+  h = await setup();
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+const imageBlocks = (res) => res.content.filter((c) => c.type === "image");
+
+test("video settings and frames are forwarded and make the request a video", async () => {
+  const first = h.mock.addAsset(samplePng(8, 8));
+  const last = h.mock.addAsset(samplePng(8, 8));
+  const args = {
+    intent: "the tide coming in",
+    duration_seconds: 6,
+    fps: 24,
+    aspect_ratio: "9:16",
+    motion_strength: 0.4,
+    first_frame_asset_id: first,
+    last_frame_asset_id: last,
+  };
+  assert.equal(jsonOf(await h.call({ action: "plan", ...args })).category, "video");
+
+  const res = await h.call({ action: "generate_sync", ...args });
+  assert.ok(!res.isError, textOf(res));
+  const body = h.mock.lastRequest("POST", "/generate").body;
+  for (const [key, value] of Object.entries(args)) assert.deepEqual(body[key], value, key);
+  assert.match(mediaPaths(res)[0], /\.mp4$/);
+  assert.match(textOf(res), /^FILE:/m);
+});
+
+test("invalid video settings are refused before submitting", async () => {
+  const before = h.mock.state.requests.length;
+  const cases = [
+    [{ duration_seconds: 0 }, /duration_seconds/],
+    [{ duration_seconds: 90 }, /up to 20/],
+    [{ fps: 12.5 }, /'fps' must be an integer/],
+    [{ aspect_ratio: "wide" }, /'aspect_ratio' must look like '16:9'/],
+    [{ aspect_ratio: "10:1" }, /between 1:4 and 4:1/],
+    [{ motion_strength: 2 }, /motion_strength/],
+    [{ first_frame_asset_id: "../frame" }, /first_frame_asset_id/],
+  ];
+  for (const [extra, pattern] of cases) {
+    const res = await h.call({ action: "generate_sync", intent: "a river", ...extra });
+    assert.ok(res.isError, JSON.stringify(extra));
+    assert.match(textOf(res), pattern);
+  }
+  assert.equal(h.mock.state.requests.length, before);
+});
+
+test("webm and mov outputs keep their format", async () => {
+  const webm = await h.call({ action: "generate_sync", intent: "a webm loop of rain" });
+  assert.match(mediaPaths(webm)[0], /\.webm$/);
+  const mov = await h.call({ action: "generate_sync", intent: "a quicktime clip of fog" });
+  assert.match(mediaPaths(mov)[0], /\.mov$/, "sniffed from the bytes when the type is missing");
+});
+
+test("an undecodable video is still returned, without previews", async () => {
+  const res = await h.call({ action: "generate_sync", intent: "a video of a candle" });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(imageBlocks(res).length, 0);
+  assert.equal(mediaPaths(res).length, 1);
+});
+
+test("videos come back with a poster frame and a contact strip", { skip: !hasFfmpeg && "needs ffmpeg" }, async () => {
+  const clip = join(SANDBOX, "Downloads", "clip.mp4");
+  execFileSync("ffmpeg", ["-y", "-f", "lavfi", "-i", "testsrc=duration=2:size=160x90:rate=10", "-pix_fmt", "yuv420p", clip], { stdio: "ignore", timeout: 30000 });
+  h.mock.state.videoSample = readFileSync(clip);
+  try {
+    const res = await h.call({ action: "generate_sync", intent: "a video of a test pattern" });
+    assert.ok(!res.isError, textOf(res));
+    const [poster, strip] = imageBlocks(res);
+    assert.equal(poster.mimeType, "image/jpeg");
+    assert.ok(strip.data.length > 0);
+    assert.match(mediaPaths(res)[0], /\.mp4$/);
+  } finally {
+    delete h.mock.state.videoSample;
+  }
+});
@@ -0,0 +1,201 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:net";
+import { readFile, stat } from "node:fs/promises";
+import { networkInterfaces } from "node:os";
+import { setup, textOf, jsonOf, mediaPaths, GALLERY_INDEX } from "./helpers.mjs";
+import { startMockServer } from "./mock-server.mjs";
+
+const SECRET = "test-webhook-secret-0123456789";
+// A non-loopback address of this machine stands in for the hosted API
+const REMOTE_HOST = Object.values(networkInterfaces()).flat().find((i) => i.family === "IPv4" && !i.internal)?.address;
+
+let h;
+
+before(async () => {
+  h = await setup({
+    mock: { callbackSecret: SECRET },
+    config: { webhook: { enabled: true, port: 0, secret: SECRET } },
+  });
+});
+
+after(async () => {
+  await h.teardown();
+});
+
+async function until(check, what) {
+  for (let i = 0; i < 100; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  assert.fail(`timed out waiting for ${what}`);
+}
+
+// Starts a job and returns its id and the callback URL it was sent with
+async function startJob(intent) {
+  const started = jsonOf(await h.call({ action: "generate", intent }));
+  const sent = h.mock.lastRequest("POST", "/generate").body;
+  return { jobId: started.job_id, callbackUrl: sent.callback_url };
+}
+
+const trackedJob = (jobId) => globalThis[Symbol.for("perstudio.jobTracker")].get(jobId);
+
+function jobPolls(jobId) {
+  return h.mock.state.requests.filter((r) => r.method === "GET" && r.path === `/jobs/${jobId}`).length;
+}
+
+// A callback as the backend would send it; `headers` overrides the signed ones
+async function postCallback(url, payload, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000), headers = {} } = {}) {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Perstudio-Timestamp": String(timestamp),
+      "X-Perstudio-Signature": `sha256=${signature}`,
+      ...headers,
+    },
+    body,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("a signed callback downloads and records the job without polling", async () => {
+  const { jobId, callbackUrl } = await startJob("a hot-air balloon");
+  assert.match(callbackUrl, /^http:\/\/127\.0\.0\.1:\d+\/perstudio\/callback$/);
+
+  const notice = await until(() => h.events.find((e) => e.includes(jobId)), "the completion notice");
+  assert.match(notice, /finished with 1 output/);
+  assert.equal(h.mock.state.callbacks.find((c) => c.job_id === jobId).status, 202);
+  assert.equal(jobPolls(jobId), 0, "callback jobs are not polled right away");
+  assert.equal(trackedJob(jobId).callback, true);
+  assert.ok(h.logs.some((l) => l.msg.includes(`job ${jobId} settled by callback`)));
+
+  const entry = await until(async () => {
+    const raw = await readFile(GALLERY_INDEX, "utf8").catch(() => "");
+    return raw.split("\n").filter(Boolean).map((l) => JSON.parse(l)).find((e) => e.job_id === jobId);
+  }, "the gallery entry");
+  assert.equal(entry.intent, "a hot-air balloon");
+
+  const res = await h.call({ action: "await_job", job_id: jobId });
+  assert.ok(!res.isError, textOf(res));
+  assert.equal(mediaPaths(res).length, 1);
+  assert.ok((await stat(mediaPaths(res)[0])).size > 0);
+});
+
+test("a failed job is settled by its callback", async () => {
+  const { jobId } = await startJob("crash the sampler");
+  const notice = await until(() => h.events.find((e) => e.includes(jobId) || e.includes("crash the sampler")), "the failure notice");
+  assert.match(notice, /failed/);
+  assert.doesNotMatch(notice, /CUDA|flux/i);
+  assert.equal(jobPolls(jobId), 0);
+});
+
+test("a callback during a poll is answered at once and applied after it", async () => {
+  const { jobId, callbackUrl } = await startJob("slow: a tide pool");
+  h.mock.failNext("GET", `/jobs/${jobId}`, { status: 200, body: { job_id: jobId, status: "running" }, delayMs: 1500 });
+  const awaited = h.call({ action: "await_job", job_id: jobId, timeout_seconds: 20 });
+  await until(() => jobPolls(jobId) === 1, "the poll");
+
+  const started = Date.now();
+  const reply = await postCallback(callbackUrl, { job_id: jobId, status: "failed", error: "out of memory" });
+  assert.equal(reply.status, 202);
+  assert.ok(Date.now() - started < 1000, "the reply does not wait for the poll");
+  assert.equal(trackedJob(jobId).status, "pending", "the poll in flight goes first");
+
+  const res = await awaited;
+  assert.ok(res.isError);
+  assert.equal(trackedJob(jobId).status, "failed");
+  await until(() => h.logs.some((l) => l.msg.includes(`job ${jobId} settled by callback`)), "the callback log");
+});
+
+test("callbacks that fail verification are refused", async () => {
+  const { jobId, callbackUrl } = await startJob("slow: a glacier");
+  const payload = { job_id: jobId, status: "completed", output_assets: [] };
+  const stale = Math.floor(Date.now() / 1000) - 3600;
+
+  assert.deepEqual(await postCallback(callbackUrl, payload, { secret: "not-the-secret-at-all" }), { status: 401, body: { error: "bad signature" } });
+  assert.deepEqual(await postCallback(callbackUrl, payload, { timestamp: stale }), { status: 401, body: { error: "stale timestamp" } });
+  assert.equal((await postCallback(callbackUrl, payload, { headers: { "X-Perstudio-Signature": "" } })).status, 401);
+  assert.equal((await postCallback(callbackUrl, "{not json")).status, 400);
+  assert.equal((await postCallback(callbackUrl, { job_id: jobId })).status, 400);
+  assert.equal((await postCallback(callbackUrl, { job_id: "job_elsewhere", status: "completed" })).status, 404);
+  assert.equal((await postCallback(callbackUrl, { ...payload, padding: "x".repeat(70 * 1024) })).status, 413);
+  assert.equal((await postCallback(callbackUrl.replace("/perstudio/callback", "/other"), payload)).status, 404);
+
+  assert.ok(!h.events.some((e) => e.includes(jobId)), "the job is still running");
+  await h.call({ action: "cancel_job", job_id: jobId });
+});
+
+test("await_job falls back to polling when callbacks are rejected", async () => {
+  h.config.webhook = { enabled: true, port: 0, secret: "a-different-secret-0123456789" };
+  try {
+    const { jobId, callbackUrl } = await startJob("a lighthouse keeper");
+    assert.ok(callbackUrl);
+    const res = await h.call({ action: "await_job", job_id: jobId, timeout_seconds: 20 });
+    assert.ok(!res.isError, textOf(res));
+    assert.equal(mediaPaths(res).length, 1);
+    assert.ok(jobPolls(jobId) > 0);
+    await until(() => h.mock.state.callbacks.find((c) => c.job_id === jobId)?.status, "the delivery");
+    assert.equal(h.mock.state.callbacks.find((c) => c.job_id === jobId).status, 401);
+  } finally {
+    h.config.webhook = { enabled: true, port: 0, secret: SECRET };
+  }
+});
+
+test("generate goes on without a callback when the listener cannot start", async () => {
+  const busy = createServer();
+  await new Promise((r) => busy.listen(0, "127.0.0.1", r));
+  h.config.webhook = { enabled: true, port: busy.address().port, secret: SECRET };
+  try {
+    const { jobId, callbackUrl } = await startJob("a paper lantern");
+    assert.equal(callbackUrl, undefined);
+    assert.ok(h.logs.some((l) => l.level === "error" && /webhook listener failed to start .*polling instead/.test(l.msg)));
+    const res = await h.call({ action: "await_job", job_id: jobId, timeout_seconds: 20 });
+    assert.ok(!res.isError, textOf(res));
+    assert.equal(mediaPaths(res).length, 1);
+  } finally {
+    h.config.webhook = { enabled: true, port: 0, secret: SECRET };
+    await new Promise((r) => busy.close(r));
+  }
+});
+
+test("an invalid webhook config is reported and jobs are polled", async () => {
+  h.config.webhook = { enabled: true, secret: "short" };
+  try {
+    const { callbackUrl } = await startJob("a kite");
+    assert.equal(callbackUrl, undefined);
+    assert.ok(h.logs.some((l) => /'webhook\.secret' .* at least 16 characters — polling instead/.test(l.msg)));
+  } finally {
+    h.config.webhook = { enabled: true, port: 0, secret: SECRET };
+  }
+});
+
+test("a remote API only gets a callback_url when publicUrl is set", { skip: !REMOTE_HOST && "needs a non-loopback network interface" }, async () => {
+  const remote = await startMockServer({ host: REMOTE_HOST });
+  process.env.PERSTUDIO_BASE_URL = remote.url;
+  try {
+    const first = jsonOf(await h.call({ action: "generate", intent: "a harbour at dawn" }));
+    assert.equal(remote.lastRequest("POST", "/generate").body.callback_url, undefined);
+    assert.equal(trackedJob(first.job_id).callback, false);
+    assert.ok(!(await h.call({ action: "await_job", job_id: first.job_id, timeout_seconds: 20 })).isError);
+    const again = jsonOf(await h.call({ action: "generate", intent: "a harbour at noon" }));
+    assert.ok(!(await h.call({ action: "await_job", job_id: again.job_id, timeout_seconds: 20 })).isError);
+    assert.equal(h.logs.filter((l) => /needs 'webhook\.publicUrl' to be reachable from http:\/\/.*polling instead/.test(l.msg)).length, 1);
+
+    const publicUrl = "https://tunnel.example.com/perstudio/callback";
+    h.config.webhook = { enabled: true, port: 0, secret: SECRET, publicUrl };
+    // Slow, and cancelled below, so the mock never calls the made-up tunnel
+    const second = jsonOf(await h.call({ action: "generate", intent: "slow: a harbour at night" }));
+    assert.equal(remote.lastRequest("POST", "/generate").body.callback_url, publicUrl);
+    assert.equal(trackedJob(second.job_id).callback, true);
+    await h.call({ action: "cancel_job", job_id: second.job_id });
+  } finally {
+    process.env.PERSTUDIO_BASE_URL = h.mock.url;
+    h.config.webhook = { enabled: true, port: 0, secret: SECRET };
+    await remote.close();
+  }
+});